@@ -1,14 +1,90 @@
 import {
   PLANETS,
+  TARGET_ALTITUDE_MAX_DEG,
+  TARGET_ALTITUDE_MIN_DEG,
+  findBody,
   heliocentricDistanceAU,
-  planetIrradianceScale,
+  isBuiltInBodyKey,
+  moonsOf,
+  nextPlanetTime,
+  targetAltitudeForPlanetKey,
+  targetApparentAltitudeForPlanetKey,
 } from "./planets.js";
 import {
   formatTime,
+  horizonDipDeg,
+  solarApparentAltitudeDeg,
+  splitCrossings,
+  standardPressureHPa,
+  sunAltitudeSamples,
   sunTimes,
-  EARTH_NOON_LUX,
+  TWILIGHT_BANDS,
   findApparentAltitudeCrossings,
 } from "./solar.js";
+import {
+  browserTimeZone,
+  formatUtcOffset,
+  timeZoneForCountry,
+  timeZoneForLongitude,
+  zoneOffsetMinutes,
+  zonedDayWindow,
+  zonedParts,
+  zonedTime,
+} from "./timezone.js";
+import { planetMonthCalendar } from "./calendar.js";
+import { buildPlanetTimeICS } from "./ics.js";
+import { EXOPLANETS } from "./exoplanets.js";
+import {
+  MINOR_BODIES,
+  findMinorBody,
+  minorBodies,
+  minorBodyDistanceAU,
+  minorBodyFromElements,
+  parseMPCLine,
+  setCustomMinorBodies,
+} from "./minorbodies.js";
+import { SPACECRAFT, findSpacecraft } from "./spacecraft.js";
+import {
+  ATMOSPHERES,
+  MARS_OPTICAL_DEPTH_MAX,
+  MARS_OPTICAL_DEPTH_MIN,
+  hasAtmosphere,
+  surfaceTransmission,
+} from "./atmospheres.js";
+import { MAPPING_MODELS, findMappingModel } from "./mapping.js";
+import {
+  LUX_PRESETS,
+  findLuxTarget,
+  formatLux,
+  luxAltitudeDeg,
+  luxTarget,
+} from "./lux.js";
+import {
+  altitudeToLux,
+  gaugeFraction,
+  matchNoonLight,
+  noonLightPhrase,
+  planetNoonScale,
+} from "./noonlight.js";
+import { planetComparison, sortComparison } from "./compare.js";
+import { formatRoute, isRoute, parseRoute } from "./router.js";
+import {
+  buildNearestIndex,
+  buildPlaceIndex,
+  loadCities,
+  nearestPlace,
+  placeLabel,
+  searchPlaces,
+} from "./gazetteer.js";
+import {
+  cancelReminder,
+  ensureNotificationPermission,
+  loadReminders,
+  notificationsSupported,
+  saveReminders,
+  scheduleReminder,
+  showReminderNotification,
+} from "./reminders.js";
 
 const q = (sel) => document.querySelector(sel);
 // Fixed star count for the global starfield
@@ -43,37 +119,29 @@ const state = {
   lat: null,
   lon: null,
   place: null, // "City, Country"
+  tz: null, // IANA zone of the location; null until known
+  observer: {}, // elevation and weather options for solar.js; persisted
+  light: {}, // surface-light and mapping options for planets.js; persisted
+  travelTo: null, // simulated "now" picked with the time controls; null = live
+  view: null, // panel or section last used (see wireViewTracking); in the URL
   selectedEl: null,
+  selectedMoon: null, // moon picked among the selected planet's satellites
+  selectedWorld: null, // body picked under "Other worlds", or a lux target
   flickerTimers: new WeakMap(),
   countries: [],
-  countryByName: new Map(),
+  cities: [], // bundled gazetteer, loaded lazily
+  citiesReady: null, // promise for the gazetteer load in flight
+  placeIndex: null, // search index over countries + cities
+  nearestIndex: null, // spatial index over cities for reverse lookup
+  placeMatches: [], // places currently listed in the dropdown
   countryGuess: null,
   countryActiveIndex: -1,
-  // Ensure initial country selection uses centroid like later manual picks
-  countryAutoAppliedOnce: false,
-  pendingCountryName: null,
+  // Bumped on every calendar run so a stale run stops rendering
+  calendarRun: 0,
+  // Data that could not be fetched: "country list", "city list"
+  unavailableData: new Set(),
 };
 
-// Compute target apparent solar altitude (degrees) for a planet on a given date.
-// Pluto is fixed to -1.5°, matching NASA's PlutoTime definition. Others map
-// inverse-square illuminance at planet noon to an equivalent Earth Sun altitude
-// using a clear-sky illuminance model, then we solve for that altitude.
-function targetApparentAltitudeForPlanetKey(planetKey, date = new Date()) {
-  if (!planetKey) return null;
-  const key = planetKey.toLowerCase();
-  if (key === "earth") return null; // we don't show Earth times
-  const H_PLUTO = -1.5; // NASA PlutoTime baseline
-  const r = heliocentricDistanceAU(key, date) || 1;
-  const rPluto = heliocentricDistanceAU("pluto", date) || 39.48;
-  const Lx = EARTH_NOON_LUX * planetIrradianceScale(r);
-  const Lp = EARTH_NOON_LUX * planetIrradianceScale(rPluto);
-  // Slope from 0°=120000 lux to -6°=400 lux (log10 scale)
-  const m = (-6 - 0) / (Math.log10(400) - Math.log10(120000));
-  const delta = m * (Math.log10(Lx) - Math.log10(Lp));
-  const hTarget = H_PLUTO + delta;
-  return Math.max(-18, Math.min(85, hTarget));
-}
-
 // Prefer custom textures placed by the user under assets/custom_textures/{key}.{ext}
 // Tries PNG, JPG, WEBP in that order. On success, sets the element's background image to only that texture (square, no rounding).
 function tryCustomTexture(assetKey, el) {
@@ -109,39 +177,152 @@ function deviceKind() {
   return isMobile ? "Phone" : "Desktop";
 }
 
+// Zone used for day windows and displayed times at the current location.
+// Falls back to the nautical zone for the longitude until a real one is known.
+function locationTimeZone() {
+  return state.tz || timeZoneForLongitude(state.lon);
+}
+
+function timeZoneLabel(tz, date = new Date()) {
+  const offset = formatUtcOffset(zoneOffsetMinutes(date, tz));
+  if (tz === "UTC" || tz.startsWith("Etc/")) return offset;
+  return `${tz.replace(/_/g, " ")} (${offset})`;
+}
+
 function setLocationDisplay(lat, lon) {
   const pretty = `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
   const el = q("#locationText");
   if (el) el.textContent = state.place || pretty;
+  syncTravelControls();
+  scheduleRouteSync();
+  renderNoonNow();
+  renderComparison();
 }
 
+// Beyond this distance from any bundled city (open sea, ice caps) the
+// location is shown as coordinates rather than a misleading place name.
+const NEAREST_PLACE_MAX_KM = 300;
+// Farther than this from the city, the name reads "near <city>"
+const NEAR_PLACE_KM = 30;
+
+// Loads the bundled cities once and indexes them for search and reverse lookup.
+function loadCityData() {
+  if (!state.citiesReady) {
+    state.citiesReady = loadCities()
+      .then((cities) => {
+        state.cities = cities;
+        state.nearestIndex = buildNearestIndex(cities);
+        rebuildPlaceIndex();
+        markDataAvailable("city list");
+        return cities;
+      })
+      .catch((e) => {
+        state.citiesReady = null; // retry on the next call
+        markDataUnavailable("city list");
+        throw e;
+      });
+  }
+  return state.citiesReady;
+}
+
+// Names the location after the nearest bundled city. The lookup runs
+// on-device, so coordinates never leave it.
 async function reverseGeocode(lat, lon) {
   try {
-    const url = `https://nominatim.openstreetmap.org/reverse?format=jsonv2&lat=${encodeURIComponent(
-      lat
-    )}&lon=${encodeURIComponent(lon)}`;
-    const res = await fetch(url, { headers: { Accept: "application/json" } });
-    if (!res.ok) throw new Error("geocode failed");
-    const data = await res.json();
-    const a = data.address || {};
-    const country = a.country || ""; // only country for display
-    const place = country || null;
-    state.place = place || null;
-    // Record for auto-apply; if countries loaded and not yet applied, apply silently
-    state.pendingCountryName = country || null;
-    if (
-      state.pendingCountryName &&
-      !state.countryAutoAppliedOnce &&
-      state.countryByName &&
-      state.countryByName.has(state.pendingCountryName)
-    ) {
-      state.countryAutoAppliedOnce = true;
-      applyCountrySelection(state.pendingCountryName, { visual: false });
-    }
-    setLocationDisplay(lat, lon);
+    await loadCityData();
   } catch (_) {
-    // ignore network/geocode errors silently
+    // Planet times don't need a place name; the header flags the missing list
+    return;
+  }
+  // The location may have changed while the cities were loading
+  if (state.lat !== lat || state.lon !== lon) return;
+  const hit = nearestPlace(state.nearestIndex, lat, lon);
+  if (!hit || hit.distanceKm > NEAREST_PLACE_MAX_KM) {
+    state.place = null;
+  } else {
+    const name = `${hit.place.name}, ${hit.place.country}`;
+    state.place = hit.distanceKm > NEAR_PLACE_KM ? `Near ${name}` : name;
+    // Keep a zone we already know (device or picked place); otherwise use
+    // the nearest city's zone.
+    if (!state.tz) state.tz = hit.place.tz;
   }
+  setLocationDisplay(lat, lon);
+  rescheduleReminders();
+}
+
+// Move the observer to coordinates with no place picked; the name (and the
+// zone, when `tz` is null) follow from the gazetteer
+function startAt(lat, lon, tz) {
+  state.lat = lat;
+  state.lon = lon;
+  state.place = null;
+  state.tz = tz;
+  const latEl = q("#latInput");
+  const lonEl = q("#lonInput");
+  if (latEl) latEl.value = lat.toFixed(6);
+  if (lonEl) lonEl.value = lon.toFixed(6);
+  setLocationDisplay(lat, lon);
+  rescheduleReminders();
+  return reverseGeocode(lat, lon);
+}
+
+// --- Offline support ---
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  // Relative URL keeps the worker scoped to wherever the app is hosted
+  navigator.serviceWorker.register("./sw.js").catch(() => {
+    // Not fatal: the app still works online without a worker
+  });
+}
+
+function markDataUnavailable(what) {
+  state.unavailableData.add(what);
+  updateConnectivityBadge();
+}
+
+function markDataAvailable(what) {
+  state.unavailableData.delete(what);
+  updateConnectivityBadge();
+}
+
+function updateConnectivityBadge() {
+  const badge = q("#offlineBadge");
+  if (!badge) return;
+  const offline = navigator.onLine === false;
+  const missing = [...state.unavailableData];
+  if (!offline && !missing.length) {
+    badge.hidden = true;
+    badge.textContent = "";
+    badge.removeAttribute("title");
+    return;
+  }
+  badge.hidden = false;
+  badge.textContent = offline ? "Offline" : "Limited data";
+  const detail = missing.length
+    ? `Unavailable: ${missing.join(", ")}.`
+    : "Using saved app data.";
+  badge.title = `${detail} Planet times are computed on this device and still work.`;
+}
+
+function wireConnectivity() {
+  updateConnectivityBadge();
+  window.addEventListener("offline", updateConnectivityBadge);
+  window.addEventListener("online", () => {
+    updateConnectivityBadge();
+    // Retry what failed while offline
+    if (state.unavailableData.has("country list")) {
+      state.countries = [];
+      fetchCountriesOnce();
+    }
+    if (state.unavailableData.has("city list")) {
+      // Name the location too unless a picked place already did
+      if (state.lat != null && !state.place) {
+        reverseGeocode(state.lat, state.lon);
+      } else {
+        loadCityData().catch(() => {});
+      }
+    }
+  });
 }
 
 function buildSystem() {
@@ -285,6 +466,33 @@ function buildSystem() {
       }
     });
     plane.appendChild(el);
+
+    // Satellites stay hidden until their planet is selected (see showMoons)
+    moonsOf(p.key).forEach((m) => {
+      const moonEl = document.createElement("div");
+      moonEl.className = "orbit-moon";
+      moonEl.setAttribute("data-key", m.key);
+      moonEl.setAttribute("data-parent", p.key);
+      moonEl.setAttribute("title", m.name);
+      moonEl.style.setProperty("--z", `${depth}px`);
+      const moonDot = document.createElement("div");
+      moonDot.className = "dot";
+      moonDot.style.backgroundColor = m.color;
+      tryCustomTexture(m.key, moonDot);
+      const moonLabel = document.createElement("div");
+      moonLabel.className = "label";
+      moonLabel.textContent = m.name;
+      moonEl.appendChild(moonDot);
+      moonEl.appendChild(moonLabel);
+      moonEl.addEventListener("click", () => {
+        if (moonEl.classList.contains("active")) {
+          selectMoon(null);
+        } else {
+          selectMoon(m);
+        }
+      });
+      plane.appendChild(moonEl);
+    });
   });
   // Match diffuse ellipse size to the outermost ring diameter
   const outer = radii[radii.length - 1] * 2;
@@ -298,217 +506,2088 @@ function buildSystem() {
   }
 }
 
-function nextPlanetTime(date, lat, lon, au, key) {
-  // Target apparent altitude in degrees using Pluto scaling method
-  let targetAltDeg = null;
-  if (key) {
-    targetAltDeg = targetApparentAltitudeForPlanetKey(key, date);
-  } else if (au) {
-    const H_PLUTO = -1.5;
-    const rPluto = heliocentricDistanceAU("pluto", date) || 39.48;
-    const Lx = EARTH_NOON_LUX * planetIrradianceScale(au);
-    const Lp = EARTH_NOON_LUX * planetIrradianceScale(rPluto);
-    const m = (-6 - 0) / (Math.log10(400) - Math.log10(120000));
-    const delta = m * (Math.log10(Lx) - Math.log10(Lp));
-    targetAltDeg = H_PLUTO + delta;
-  }
-  const now = new Date();
-  // Try to find a true crossing in the next 3 days
-  for (let d = 0; d < 3; d++) {
-    const day = new Date(
-      date.getFullYear(),
-      date.getMonth(),
-      date.getDate() + d
+// --- Moons ---
+// Distance (px) of the satellites from the centre of the selected planet,
+// just outside its zoomed disc
+const MOON_RING_PX = 160;
+
+// Spread the planet's moons around it on the tilted plane, or hide all
+// moons when `parentKey` is null
+function showMoons(parentKey) {
+  const system = q("#system");
+  const squeeze =
+    parseFloat(getComputedStyle(system).getPropertyValue("--squeeze")) || 0.55;
+  const moons = [...system.querySelectorAll(".orbit-moon")];
+  const shown = moons.filter((n) => n.dataset.parent === parentKey);
+  moons.forEach((n) => {
+    n.classList.remove("visible", "active");
+  });
+  shown.forEach((n, i) => {
+    // Start on the right and go round; two moons sit on opposite sides
+    const angle = (2 * Math.PI * i) / shown.length;
+    const x = MOON_RING_PX * Math.cos(angle);
+    const y = MOON_RING_PX * Math.sin(angle) * squeeze;
+    n.style.left = `calc(50% + ${x}px)`;
+    n.style.top = `calc(50% + ${y}px)`;
+    n.classList.add("visible");
+  });
+}
+
+// Switch the panels to one of the selected planet's moons, or back to the
+// planet itself when `m` is null
+function selectMoon(m) {
+  if (!state.selectedEl) return;
+  state.selectedMoon = m;
+  q("#system")
+    .querySelectorAll(".orbit-moon")
+    .forEach((n) => {
+      n.classList.toggle("active", !!m && n.dataset.key === m.key);
+    });
+  const p = selectedPlanet();
+  renderSelectionInfo(p);
+  updatePanelsForSelection(p);
+}
+
+// --- Other worlds ---
+// Exoplanets, dwarf planets, comets and spacecraft have no place in the
+// orbit view; they are picked from a list (exoplanets grouped by star), and
+// the orbit view steps back while one is shown. Rebuilt when the user's
+// bodies change.
+function populateWorldPicker() {
+  const picker = q("#worldPicker");
+  if (!picker) return;
+  const current = picker.value;
+  picker.querySelectorAll("optgroup").forEach((g) => g.remove());
+  const addGroup = (label, bodies) => {
+    if (!bodies.length) return;
+    const group = document.createElement("optgroup");
+    group.label = label;
+    bodies.forEach((b) => {
+      const opt = document.createElement("option");
+      opt.value = b.key;
+      opt.textContent = b.name;
+      group.appendChild(opt);
+    });
+    picker.appendChild(group);
+  };
+  const stars = [...new Set(EXOPLANETS.map((w) => w.star))];
+  stars.forEach((star) =>
+    addGroup(
+      star,
+      EXOPLANETS.filter((w) => w.star === star)
+    )
+  );
+  addGroup("Dwarf planets and comets", MINOR_BODIES);
+  addGroup("Spacecraft", SPACECRAFT);
+  addGroup(
+    "Your bodies",
+    minorBodies().filter((b) => b.custom)
+  );
+  picker.value = findBody(current) ? current : "";
+}
+
+function selectWorld(w) {
+  if (!w) {
+    clearSelection("animate");
+    return;
+  }
+  if (state.lat == null || state.lon == null) {
+    alert("Please set your location first.");
+    const picker = q("#worldPicker");
+    if (picker) picker.value = "";
+    return;
+  }
+  clearSelection("instant");
+  state.selectedWorld = w;
+  q("#system").classList.add("world-mode");
+  const picker = q("#worldPicker");
+  if (picker) {
+    const listed = [...picker.options].some((o) => o.value === w.key);
+    picker.value = listed ? w.key : "";
+  }
+  renderSelectionInfo(w);
+  updatePanelsForSelection(w);
+}
+
+// --- Minor bodies ---
+// Asteroids and comets the user adds, from an MPC one-line orbit or typed-in
+// perihelion elements. Saved as minorbodies.js bodies.
+const MINOR_STORAGE_KEY = "planetsTime.minorBodies";
+
+function loadCustomMinorBodies() {
+  try {
+    const raw = localStorage.getItem(MINOR_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(data)) return [];
+    return data.filter(
+      (b) =>
+        b &&
+        typeof b.key === "string" &&
+        typeof b.name === "string" &&
+        [b.q, b.e, b.tp].every(Number.isFinite)
     );
-    const times =
-      findApparentAltitudeCrossings(day, lat, lon, targetAltDeg) || [];
-    const candidates = times.filter(Boolean);
-    if (!candidates.length) continue;
-    // Prefer the next occurrence as PlutoTime does:
-    // - If now < morning today -> morning today
-    // - Else if now < evening today -> evening today
-    // - Else -> morning tomorrow
-    if (targetAltDeg != null && targetAltDeg <= 0) {
-      const morning = candidates[0] || null;
-      const evening = candidates[1] || null;
-      if (d === 0) {
-        if (morning && morning.getTime() > now.getTime()) return morning;
-        if (evening && evening.getTime() > now.getTime()) return evening;
-        // Otherwise, continue to next day (d=1) and return its morning
-        continue;
+  } catch (_) {
+    return [];
+  }
+}
+
+function saveCustomMinorBodies(list) {
+  try {
+    localStorage.setItem(MINOR_STORAGE_KEY, JSON.stringify(list));
+  } catch (_) {
+    // storage full or disabled; the bodies then last for this page only
+  }
+}
+
+function customMinorBodies() {
+  return minorBodies().filter((b) => b.custom);
+}
+
+// Replace the user's bodies everywhere: registry, storage, picker and list
+function setMinorBodies(list) {
+  setCustomMinorBodies(list, isBuiltInBodyKey);
+  saveCustomMinorBodies(customMinorBodies().map(({ custom, ...b }) => b));
+  populateWorldPicker();
+  renderMinorBodyList();
+}
+
+function renderMinorBodyList() {
+  const list = q("#minorList");
+  if (!list) return;
+  list.textContent = "";
+  customMinorBodies().forEach((b) => {
+    const li = document.createElement("li");
+    const name = document.createElement("span");
+    const r = minorBodyDistanceAU(b);
+    name.textContent = `${b.name} · ${r.toFixed(2)} AU`;
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn btn-secondary";
+    remove.textContent = "Remove";
+    remove.setAttribute("aria-label", `Remove ${b.name}`);
+    remove.addEventListener("click", () => removeMinorBody(b.key));
+    li.append(name, remove);
+    list.appendChild(li);
+  });
+}
+
+function addMinorBodyFromControls() {
+  const status = q("#minorStatus");
+  const line = q("#minorMpcLine");
+  let body;
+  try {
+    if (line && line.value.trim()) {
+      body = parseMPCLine(line.value);
+    } else {
+      const num = (sel) => {
+        const el = q(sel);
+        return el && el.value.trim() !== "" ? Number(el.value) : NaN;
+      };
+      const dateEl = q("#minorPerihelion");
+      body = minorBodyFromElements({
+        name: q("#minorName") ? q("#minorName").value : "",
+        q: num("#minorQ"),
+        e: num("#minorE"),
+        perihelion: dateEl ? Date.parse(`${dateEl.value}T00:00Z`) : NaN,
+      });
+    }
+  } catch (err) {
+    if (status) status.textContent = err.message;
+    return;
+  }
+  if (isBuiltInBodyKey(body.key)) {
+    if (status) status.textContent = `${body.name} is already listed.`;
+    return;
+  }
+  setMinorBodies([
+    ...customMinorBodies().filter((b) => b.key !== body.key),
+    body,
+  ]);
+  const form = q("#minorForm");
+  if (form) form.reset();
+  if (status) {
+    const r = minorBodyDistanceAU(body);
+    status.textContent = `Added ${body.name}, ${r.toFixed(2)} AU from the Sun.`;
+  }
+}
+
+function removeMinorBody(key) {
+  if (state.selectedWorld && state.selectedWorld.key === key) {
+    clearSelection("animate");
+  }
+  setMinorBodies(customMinorBodies().filter((b) => b.key !== key));
+  rescheduleReminders();
+  const status = q("#minorStatus");
+  if (status) status.textContent = "";
+}
+
+// --- Lux targets ---
+// Any illuminance as a target, from bundled or saved presets or typed in.
+// Shown like an "Other worlds" body, so every planet panel works for it.
+const LUX_STORAGE_KEY = "planetsTime.luxPresets";
+
+function loadLuxPresets() {
+  try {
+    const raw = localStorage.getItem(LUX_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(data)) return [];
+    return data.filter(
+      (p) => p && typeof p.name === "string" && Number.isFinite(p.lux)
+    );
+  } catch (_) {
+    return [];
+  }
+}
+
+function saveLuxPresets(list) {
+  try {
+    localStorage.setItem(LUX_STORAGE_KEY, JSON.stringify(list));
+  } catch (_) {
+    // storage full or disabled; the presets then last for this page only
+  }
+}
+
+// Preset options: bundled first, then the user's, as "b:0" / "s:0" values
+function populateLuxPresets() {
+  const select = q("#luxPreset");
+  if (!select) return;
+  select.textContent = "";
+  const custom = document.createElement("option");
+  custom.value = "";
+  custom.textContent = "Custom";
+  select.appendChild(custom);
+  const addGroup = (label, list, prefix) => {
+    if (!list.length) return;
+    const group = document.createElement("optgroup");
+    group.label = label;
+    list.forEach((p, i) => {
+      const opt = document.createElement("option");
+      opt.value = `${prefix}:${i}`;
+      opt.textContent = `${p.name} · ${formatLux(p.lux)} lux`;
+      group.appendChild(opt);
+    });
+    select.appendChild(group);
+  };
+  addGroup("Presets", LUX_PRESETS, "b");
+  addGroup("Saved", loadLuxPresets(), "s");
+  syncLuxDeleteButton();
+}
+
+function selectedLuxPreset() {
+  const select = q("#luxPreset");
+  const m = select && /^([bs]):(\d+)$/.exec(select.value);
+  if (!m) return null;
+  const list = m[1] === "b" ? LUX_PRESETS : loadLuxPresets();
+  return list[Number(m[2])] || null;
+}
+
+function syncLuxDeleteButton() {
+  const select = q("#luxPreset");
+  const del = q("#luxDeleteBtn");
+  if (del) del.hidden = !(select && select.value.startsWith("s:"));
+}
+
+function readLuxValue() {
+  const input = q("#luxValue");
+  return input && input.value.trim() !== "" ? Number(input.value) : NaN;
+}
+
+// Equivalent Sun altitude for the typed value, or why it can't be used
+function updateLuxReadout() {
+  const status = q("#luxStatus");
+  if (!status) return;
+  const lux = readLuxValue();
+  if (Number.isNaN(lux)) {
+    status.textContent = "";
+    return;
+  }
+  try {
+    luxTarget(lux);
+  } catch (err) {
+    status.textContent = err.message;
+    return;
+  }
+  const h = luxAltitudeDeg(lux);
+  status.textContent = `${formatLux(lux)} lux ≈ Sun ${Math.abs(h).toFixed(
+    1
+  )}° ${h >= 0 ? "above" : "below"} the horizon`;
+}
+
+function showLuxTarget() {
+  const status = q("#luxStatus");
+  let body;
+  try {
+    body = luxTarget(readLuxValue());
+  } catch (err) {
+    if (status) status.textContent = err.message;
+    return;
+  }
+  updateLuxReadout();
+  selectWorld(body);
+}
+
+function saveLuxPresetFromControls() {
+  const status = q("#luxStatus");
+  const lux = readLuxValue();
+  try {
+    luxTarget(lux);
+  } catch (err) {
+    if (status) status.textContent = err.message;
+    return;
+  }
+  const nameEl = q("#luxName");
+  const name = (nameEl && nameEl.value.trim()) || `${formatLux(lux)} lux`;
+  const list = loadLuxPresets().filter((p) => p.name !== name);
+  list.push({ name, lux });
+  saveLuxPresets(list);
+  populateLuxPresets();
+  const select = q("#luxPreset");
+  if (select) select.value = `s:${list.length - 1}`;
+  syncLuxDeleteButton();
+  if (status) status.textContent = `Saved "${name}".`;
+}
+
+function deleteSelectedLuxPreset() {
+  const select = q("#luxPreset");
+  const preset = selectedLuxPreset();
+  if (!select || !preset || !select.value.startsWith("s:")) return;
+  saveLuxPresets(loadLuxPresets().filter((p) => p.name !== preset.name));
+  populateLuxPresets();
+  const status = q("#luxStatus");
+  if (status) status.textContent = `Deleted "${preset.name}".`;
+}
+
+function applyLuxPreset() {
+  syncLuxDeleteButton();
+  const preset = selectedLuxPreset();
+  if (!preset) return;
+  const input = q("#luxValue");
+  if (input) input.value = String(preset.lux);
+  const nameEl = q("#luxName");
+  if (nameEl) nameEl.value = preset.name;
+  showLuxTarget();
+}
+
+// --- Light outside now ---
+// Which planet's noon the light outside matches, refreshed while the page
+// is open. Follows the location, observer and light settings.
+const NOON_NOW_INTERVAL_MS = 15000;
+let noonNowTimer = null;
+
+function renderNoonNow() {
+  const text = q("#noonNowText");
+  const detail = q("#noonNowDetail");
+  const gauge = q("#noonNowGauge");
+  if (!text && !gauge) return;
+  if (state.lat == null || state.lon == null) {
+    if (text) text.textContent = "Set your location to see the light now.";
+    return;
+  }
+  const now = selectedDate();
+  const h = solarApparentAltitudeDeg(now, state.lat, state.lon, state.observer);
+  const scale = planetNoonScale(now, state.light);
+  const m = matchNoonLight(h, scale);
+  const phrase = noonLightPhrase(m);
+  const when = state.travelTo ? "At the chosen time" : "Right now";
+  if (text) text.textContent = `${when}: ${phrase}`;
+  if (detail) {
+    const side = h >= 0 ? "above" : "below";
+    detail.textContent =
+      `Sun ${Math.abs(h).toFixed(1)}° ${side} the horizon · ` +
+      (m.lux >= 0.0001 ? `about ${formatLux(m.lux)} lux` : "dark");
+  }
+  if (!gauge) return;
+  gauge.textContent = "";
+  gauge.setAttribute("aria-label", `${phrase}, on a scale of planet noons`);
+  const pct = (lux) => `${(gaugeFraction(lux) * 100).toFixed(2)}%`;
+  const track = document.createElement("div");
+  track.className = "noon-gauge-track";
+  gauge.appendChild(track);
+  for (const body of scale) {
+    const tick = document.createElement("span");
+    tick.className = "noon-gauge-tick";
+    tick.style.left = pct(body.lux);
+    tick.style.setProperty("--tick-color", body.color);
+    tick.title = `${body.name} noon · ${formatLux(body.lux)} lux`;
+    // Name the neighbours only; the inner planets sit too close to label all
+    const place =
+      body === m.match || body === m.brighter
+        ? "above"
+        : body === m.dimmer
+        ? "below"
+        : null;
+    if (place) {
+      const label = document.createElement("span");
+      label.className = `noon-gauge-label is-${place}`;
+      label.textContent = body.name;
+      tick.appendChild(label);
+    }
+    gauge.appendChild(tick);
+  }
+  const marker = document.createElement("span");
+  marker.className = "noon-gauge-now";
+  marker.style.left = pct(m.lux);
+  marker.title = `Now · ${formatLux(m.lux)} lux`;
+  gauge.appendChild(marker);
+}
+
+// Idempotent: init may run more than once
+function startNoonNow() {
+  renderNoonNow();
+  if (noonNowTimer) return;
+  noonNowTimer = setInterval(renderNoonNow, NOON_NOW_INTERVAL_MS);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") renderNoonNow();
+  });
+}
+
+// --- Time travel ---
+// Date picker, day steps and a time-of-day scrubber, all in the location's
+// zone. Picking a moment freezes the app's "now" there until "Now" is hit.
+const TRAVEL_SYNC_MS = 15000;
+let travelClock = null;
+let scrubbing = false; // between the scrubber's first input and its release
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function syncTravelControls() {
+  const tz = locationTimeZone();
+  if (state.lon == null) return;
+  const p = zonedParts(selectedDate(), tz);
+  const dp = q("#datePicker");
+  if (dp) dp.value = `${p.year}-${pad2(p.month + 1)}-${pad2(p.day)}`;
+  const scrubber = q("#timeScrubber");
+  if (scrubber) scrubber.value = String(p.hour * 60 + p.minute);
+  syncScrubberText();
+  const nowBtn = q("#travelNowBtn");
+  if (nowBtn) nowBtn.disabled = !state.travelTo;
+  const status = q("#travelStatus");
+  if (status) {
+    status.textContent = state.travelTo ? "Time travelling" : "Live";
+  }
+}
+
+function syncScrubberText() {
+  const scrubber = q("#timeScrubber");
+  const out = q("#timeScrubberText");
+  if (!scrubber || !out) return;
+  const minutes = Number(scrubber.value);
+  out.textContent = `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`;
+}
+
+// Move the app to `moment` (a Date), or back to the live clock for null
+function setTravelMoment(moment) {
+  state.travelTo = moment;
+  syncTravelControls();
+  scheduleRouteSync();
+  renderNoonNow();
+  renderComparison();
+  const p = selectedPlanet();
+  if (p) {
+    renderSelectionInfo(p);
+    updatePanelsForSelection(p);
+  }
+}
+
+// The moment set by the date picker and scrubber
+function travelFromControls() {
+  const dp = q("#datePicker");
+  const scrubber = q("#timeScrubber");
+  const m = dp && /^(\d{4})-(\d{2})-(\d{2})$/.exec(dp.value);
+  if (!m) return;
+  const minutes = scrubber ? Number(scrubber.value) : 0;
+  const moment = zonedTime(
+    +m[1],
+    +m[2] - 1,
+    +m[3],
+    Math.floor(minutes / 60),
+    minutes % 60,
+    locationTimeZone()
+  );
+  setTravelMoment(moment);
+}
+
+// Same time of day, `days` days away
+function travelByDays(days) {
+  const tz = locationTimeZone();
+  const p = zonedParts(selectedDate(), tz);
+  setTravelMoment(
+    zonedTime(p.year, p.month, p.day + days, p.hour, p.minute, tz)
+  );
+}
+
+function wireTravelControls() {
+  const form = q("#travelForm");
+  if (!form) return;
+  form.addEventListener("submit", (e) => e.preventDefault());
+  const dp = q("#datePicker");
+  if (dp) dp.addEventListener("change", travelFromControls);
+  const scrubber = q("#timeScrubber");
+  if (scrubber) {
+    // Recompute on release; dragging only moves the clock readout
+    scrubber.addEventListener("input", () => {
+      scrubbing = true;
+      syncScrubberText();
+    });
+    scrubber.addEventListener("change", () => {
+      scrubbing = false;
+      travelFromControls();
+    });
+  }
+  const prev = q("#prevDayBtn");
+  if (prev) prev.addEventListener("click", () => travelByDays(-1));
+  const next = q("#nextDayBtn");
+  if (next) next.addEventListener("click", () => travelByDays(1));
+  const nowBtn = q("#travelNowBtn");
+  if (nowBtn) nowBtn.addEventListener("click", () => setTravelMoment(null));
+  syncTravelControls();
+  // Live, the controls follow the clock, but never under the user's hand
+  if (!travelClock) {
+    travelClock = setInterval(() => {
+      const busy = scrubbing || document.activeElement === q("#timeScrubber");
+      if (!state.travelTo && !busy) syncTravelControls();
+    }, TRAVEL_SYNC_MS);
+  }
+}
+
+// --- Deep links ---
+// The selection, location, simulated moment and panel live in the hash
+// (see router.js). A new selection is a new history entry; other changes
+// rewrite the current one. Changes are gathered until the current task ends,
+// so switching planets (clear, then select) makes a single entry.
+const router = { applying: false, pending: false };
+
+function currentRoute() {
+  const p = selectedPlanet();
+  let date = null;
+  let time = null;
+  if (state.travelTo) {
+    const z = zonedParts(state.travelTo, locationTimeZone());
+    date = { year: z.year, month: z.month, day: z.day };
+    time = { hour: z.hour, minute: z.minute };
+  }
+  return {
+    planet: p ? p.key : null,
+    lat: state.lat,
+    lon: state.lon,
+    date,
+    time,
+    view: state.view,
+  };
+}
+
+// `replace` rewrites the current entry whatever changed (a followed link
+// gets its canonical form, not a second entry)
+function syncRoute(replace = false) {
+  if (router.applying || state.lat == null || state.lon == null) return;
+  const route = currentRoute();
+  const hash = formatRoute(route);
+  if (hash === location.hash) return;
+  const shown = parseRoute(location.hash);
+  // Nothing picked yet and no link followed: keep the URL clean
+  if (!shown && !route.planet) return;
+  if (replace || (shown && shown.planet === route.planet)) {
+    history.replaceState(null, "", hash);
+  } else {
+    history.pushState(null, "", hash);
+  }
+}
+
+function scheduleRouteSync() {
+  if (router.applying || router.pending) return;
+  router.pending = true;
+  Promise.resolve().then(() => {
+    router.pending = false;
+    syncRoute();
+  });
+}
+
+// Select the body a route names (a planet, a moon through its planet, or
+// any other world), or go back to the Solar System for none
+function selectRouteBody(key) {
+  const current = selectedPlanet();
+  if ((current ? current.key : null) === key) return;
+  const body = key ? findBody(key) : null;
+  if (!body) {
+    if (current) clearSelection("animate");
+    return;
+  }
+  const isMoon = !!body.parent; // only moons have one
+  const planetKey = isMoon ? body.parent : body.key;
+  const el = q(`#system .orbit-planet[data-key="${planetKey}"]`);
+  if (!el) {
+    selectWorld(body);
+    return;
+  }
+  if (state.selectedEl !== el) selectPlanet(findBody(planetKey), el);
+  if (isMoon) selectMoon(body);
+  else if (state.selectedMoon) selectMoon(null);
+}
+
+async function applyRoute(route) {
+  if (!route) return;
+  router.applying = true;
+  try {
+    // The same place to the link's precision keeps its name and zone
+    const samePlace =
+      formatRoute({ lat: route.lat, lon: route.lon }) ===
+      formatRoute({ lat: state.lat, lon: state.lon });
+    if (route.lat != null && !samePlace) {
+      await startAt(route.lat, route.lon, null);
+    }
+    if (state.lat == null || state.lon == null) return;
+    selectRouteBody(route.planet);
+    if (route.date) {
+      // A date alone keeps the time of day
+      const tz = locationTimeZone();
+      const { hour, minute } = route.time || zonedParts(new Date(), tz);
+      const { year, month, day } = route.date;
+      setTravelMoment(zonedTime(year, month, day, hour, minute, tz));
+    } else if (state.travelTo) {
+      setTravelMoment(null);
+    }
+    state.view = route.view && viewElement(route.view) ? route.view : null;
+    if (state.view) scrollToTarget(`#${viewElement(state.view).id}`);
+  } finally {
+    router.applying = false;
+  }
+  syncRoute(true);
+}
+
+// applyRoute for links and history: one that fails part-way keeps what did
+// apply, with the URL put back in step, instead of an unhandled rejection
+function followRoute(route) {
+  applyRoute(route).catch(() => syncRoute(true));
+}
+
+// A view names a panel ("timeline" for #panel-timeline) or a page section
+// ("about")
+function viewElement(view) {
+  return (
+    document.getElementById(`panel-${view}`) || document.getElementById(view)
+  );
+}
+
+function setView(view) {
+  if (state.view === view) return;
+  state.view = view;
+  scheduleRouteSync();
+}
+
+// The panel last clicked or focused is the view a link reopens
+function wireViewTracking() {
+  const track = (e) => {
+    const panel = e.target.closest && e.target.closest('.panel[id^="panel-"]');
+    if (panel) setView(panel.id.slice("panel-".length));
+  };
+  document.addEventListener("click", track);
+  document.addEventListener("focusin", track);
+}
+
+// --- Panel helpers ---
+// The moment every panel describes: the simulated one while time
+// travelling, else the real clock. Reminders always use the real clock.
+function selectedDate() {
+  return state.travelTo ? new Date(state.travelTo.getTime()) : new Date();
+}
+
+function formatDuration(ms) {
+  if (ms == null) return "—";
+  const totalMin = Math.round(ms / 60000);
+  const h = Math.floor(totalMin / 60);
+  const m = totalMin % 60;
+  if (h <= 0) return `${m} mins`;
+  if (m === 0) return `${h} hrs`;
+  return `${h} hrs ${m} mins`;
+}
+
+// Long form with seconds for the live countdown
+function formatCountdown(ms) {
+  const totalSec = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  const parts = [];
+  if (h > 0) parts.push(`${h} ${h === 1 ? "hour" : "hours"}`);
+  if (h > 0 || m > 0) parts.push(`${m} ${m === 1 ? "minute" : "minutes"}`);
+  parts.push(`${s} ${s === 1 ? "second" : "seconds"}`);
+  return parts.join(" ");
+}
+
+// Long form for UI copy in panels
+function formatDurationLong(ms) {
+  if (ms == null) return "—";
+  const totalMin = Math.max(0, Math.round(ms / 60000));
+  const h = Math.floor(totalMin / 60);
+  const m = totalMin % 60;
+  const hPart = h > 0 ? `${h} ${h === 1 ? "hour" : "hours"}` : "";
+  const mPart = m > 0 ? `${m} ${m === 1 ? "minute" : "minutes"}` : "";
+  if (!hPart && !mPart) return "0 minutes";
+  if (!hPart) return mPart;
+  if (!mPart) return hPart;
+  return `${hPart} ${mPart}`;
+}
+
+// --- Live countdown ---
+// "{Planet} time is in…" ticks every second. When the time comes the panel
+// says so for a minute, then rolls over to the next occurrence. The next
+// time is looked up again at the location's midnight and when the tab comes
+// back, since timers stall while it sleeps.
+const COUNTDOWN_TICK_MS = 1000;
+const HAPPENING_NOW_MS = 60000;
+const countdown = {
+  planet: null,
+  next: null, // Date of the next planet time, or null if none is found
+  day: null, // location's civil day the lookup was made on
+  timer: null,
+};
+
+function locationDayKey(date, tz) {
+  const { year, month, day } = zonedDayWindow(date, tz);
+  return `${year}-${month}-${day}`;
+}
+
+// Next planet time from `from`, counting one just started as still current
+function refreshCountdown(from = selectedDate()) {
+  const p = countdown.planet;
+  if (!p) return;
+  const tz = locationTimeZone();
+  const since = new Date(from.getTime() - HAPPENING_NOW_MS);
+  countdown.next = nextPlanetTime(
+    from,
+    state.lat,
+    state.lon,
+    p.au,
+    p.key,
+    tz,
+    since,
+    state.observer,
+    state.light
+  );
+  countdown.day = locationDayKey(from, tz);
+}
+
+function tickCountdown() {
+  const p = countdown.planet;
+  const box = q("#nextPanelContent");
+  if (!p || !box) return;
+  const now = selectedDate();
+  if (locationDayKey(now, locationTimeZone()) !== countdown.day) {
+    refreshCountdown(now);
+  }
+  // Past the "happening now" minute: on to the next occurrence
+  let next = countdown.next;
+  if (next && now - next >= HAPPENING_NOW_MS) {
+    refreshCountdown(now);
+    next = countdown.next;
+  }
+  const place = state.place ? ` in ${state.place}` : "";
+  box.classList.toggle("is-now", !!next && now >= next);
+  if (!next) {
+    box.textContent = `No ${p.name} time in the next few days${place}`;
+  } else if (now >= next) {
+    box.textContent = `${p.name} time is happening now${place}`;
+  } else {
+    box.textContent = `${formatCountdown(next - now)}${place}`;
+  }
+}
+
+function startCountdown(p) {
+  const box = q("#nextPanelContent");
+  if (p.key === "earth") {
+    stopCountdown();
+    if (box) box.textContent = "Your current time, duh";
+    return;
+  }
+  countdown.planet = p;
+  refreshCountdown();
+  tickCountdown();
+  if (!countdown.timer) {
+    countdown.timer = setInterval(tickCountdown, COUNTDOWN_TICK_MS);
+  }
+}
+
+function stopCountdown() {
+  countdown.planet = null;
+  countdown.next = null;
+  if (countdown.timer) clearInterval(countdown.timer);
+  countdown.timer = null;
+  const box = q("#nextPanelContent");
+  if (box) {
+    box.textContent = "";
+    box.classList.remove("is-now");
+  }
+}
+
+function updatePanelsForSelection(p) {
+  const nextTitle = q("#nextPanelTitle");
+  const tlTitle = q("#timelinePanelTitle");
+  const tlList = q("#timelineList");
+  const tlMorning = q("#tlMorning");
+  const tlEvening = q("#tlEvening");
+  const tlSunrise = q("#tlSunrise");
+  const tlNoon = q("#tlNoon");
+  const tlSunset = q("#tlSunset");
+  const tlDaylight = q("#tlDaylight");
+  const tlMorningLabel = q("#tlMorningLabel");
+  const tlEveningLabel = q("#tlEveningLabel");
+  const tlOtherRow = q("#tlOtherRow");
+  const tlOtherLabel = q("#tlOtherLabel");
+  const tlOther = q("#tlOther");
+  const tlZoneText = q("#tlZoneText");
+  const myTimeToggle = q("#myTimeToggle");
+  const icsForm = q("#icsForm");
+  const icsStatus = q("#icsStatus");
+  const timelineRows = [
+    tlMorning,
+    tlSunrise,
+    tlNoon,
+    tlSunset,
+    tlEvening,
+  ].filter(Boolean);
+
+  if (!p) {
+    if (nextTitle) nextTitle.textContent = "Planet time is in…";
+    if (tlTitle) tlTitle.textContent = "Planet light timeline";
+    if (tlMorningLabel) tlMorningLabel.textContent = "Morning Planet Time";
+    if (tlEveningLabel) tlEveningLabel.textContent = "Evening Planet Time";
+    stopCountdown();
+    if (tlList) tlList.style.display = "";
+    [tlMorning, tlEvening, tlSunrise, tlNoon, tlSunset, tlDaylight].forEach(
+      (el) => el && (el.textContent = "—")
+    );
+    timelineRows.forEach((el) => setMyTime(el, null));
+    if (tlOtherRow) tlOtherRow.hidden = true;
+    renderSunChart(null);
+    renderMappingComparison(null);
+    if (tlZoneText) tlZoneText.textContent = "";
+    if (icsStatus) icsStatus.textContent = "";
+    resetCalendarPanel(null);
+    syncReminderControls(null);
+    scheduleRouteSync();
+    return;
+  }
+  scheduleRouteSync();
+
+  // Update titles with planet name
+  if (nextTitle) nextTitle.textContent = `${p.name} time is in…`;
+  syncReminderControls(p);
+  if (tlTitle) tlTitle.textContent = `${p.name} light timeline`;
+  // Bodies with an atmosphere say which light the times match
+  const atmosphere = hasAtmosphere(p.key);
+  const variant = !atmosphere ? "" : state.light.surface ? " (surface)" : "";
+  if (tlMorningLabel) {
+    tlMorningLabel.textContent = `Morning ${p.name} Time${variant}`;
+  }
+  if (tlEveningLabel) {
+    tlEveningLabel.textContent = `Evening ${p.name} Time${variant}`;
+  }
+  resetCalendarPanel(p);
+
+  // Use current date and location
+  const date = selectedDate();
+  const lat = state.lat;
+  const lon = state.lon;
+  const tz = locationTimeZone();
+
+  // Next occurrence and time remaining (panel 2), ticking from here on
+  startCountdown(p);
+
+  // Timeline entries for this date
+  const targetAltDeg =
+    p.key === "earth"
+      ? null
+      : targetApparentAltitudeForPlanetKey(p.key, date, state.light);
+  // Timeline: compute both morning/evening by apparent altitude equivalence
+  let crossings =
+    targetAltDeg == null
+      ? []
+      : findApparentAltitudeCrossings(
+          date,
+          lat,
+          lon,
+          targetAltDeg,
+          tz,
+          state.observer
+        ) || [];
+  // If no crossings (e.g., polar conditions), keep nulls; no elevation fallback here.
+  const sun = sunTimes(date, lat, lon, tz, state.observer);
+  const { morning, evening } = splitCrossings(crossings, sun.solarNoon);
+
+  // Times are shown in the location's zone; optionally also in the viewer's
+  const myTz = browserTimeZone();
+  const differentZone =
+    !!myTz && zoneOffsetMinutes(date, myTz) !== zoneOffsetMinutes(date, tz);
+  const showMine = differentZone && !!(myTimeToggle && myTimeToggle.checked);
+  if (tlZoneText)
+    tlZoneText.textContent = `Times in ${timeZoneLabel(tz, date)}`;
+  if (myTimeToggle && myTimeToggle.parentElement) {
+    myTimeToggle.parentElement.hidden = !differentZone;
+  }
+  if (tlList) tlList.classList.toggle("show-mine", showMine);
+  const setTime = (el, t) => {
+    if (!el) return;
+    el.textContent = t ? formatTime(t, tz) : "—";
+    setMyTime(el, showMine && t ? formatTime(t, myTz) : null);
+  };
+  setTime(tlMorning, morning);
+  setTime(tlEvening, evening);
+  // The other light variant, morning and evening, for atmosphere bodies
+  if (tlOtherRow) tlOtherRow.hidden = !atmosphere;
+  if (atmosphere && tlOther) {
+    const other = { ...state.light, surface: !state.light.surface };
+    const otherAltDeg = targetApparentAltitudeForPlanetKey(p.key, date, other);
+    const pair =
+      findApparentAltitudeCrossings(
+        date,
+        lat,
+        lon,
+        otherAltDeg,
+        tz,
+        state.observer
+      ) || [];
+    const fmt = (t) => (t ? formatTime(t, tz) : "—");
+    if (tlOtherLabel) {
+      tlOtherLabel.textContent = other.surface
+        ? "At the surface"
+        : "Above the atmosphere";
+    }
+    const split = splitCrossings(pair, sun.solarNoon);
+    tlOther.textContent = `${fmt(split.morning)} · ${fmt(split.evening)}`;
+  }
+  renderSunChart(p);
+  renderMappingComparison(p);
+  setTime(tlSunrise, sun.sunrise);
+  setTime(tlNoon, sun.solarNoon);
+  setTime(tlSunset, sun.sunset);
+  if (tlDaylight) {
+    tlDaylight.textContent =
+      sun.alwaysUp || sun.alwaysDown
+        ? sun.alwaysUp
+          ? "All day"
+          : "No daylight"
+        : `${Math.floor(sun.daylight)}hrs ${Math.round(
+            (sun.daylight % 1) * 60
+          )}mins`;
+  }
+
+  // Earth special copy for timeline panel: keep the title; show message as content, hide list
+  if (p.key === "earth") {
+    if (tlTitle) tlTitle.textContent = `${p.name} light timeline`;
+    if (tlList) tlList.style.display = "none";
+    if (icsForm) icsForm.style.display = "none";
+    // Render message into nextPanelContent? No; it's for timeline panel.
+    // We'll inject a simple paragraph below the title in the timeline panel body when list is hidden.
+    const timelinePanel = q("#panel-timeline .panel-body");
+    if (timelinePanel) {
+      // Ensure message element exists and is unique.
+      let msg = timelinePanel.querySelector(".earth-timeline-note");
+      if (!msg) {
+        msg = document.createElement("p");
+        msg.className = "earth-timeline-note";
+        timelinePanel.appendChild(msg);
       }
-      // For future days (d>0) just return the morning for that day
-      if (morning) return morning;
+      msg.textContent =
+        "Just look outside the window, and maybe touch some grass while you're at it";
+      msg.style.margin = "10px 0 0";
+      msg.style.textAlign = "center";
+      msg.style.color =
+        getComputedStyle(document.documentElement)
+          .getPropertyValue("--muted")
+          .trim() || "#94a3b8";
     }
-    // Otherwise, return the next crossing after now
-    let t = candidates[0];
-    if (d === 0) {
-      t = candidates.find((x) => x.getTime() > now.getTime()) || null;
+  } else {
+    if (tlTitle) tlTitle.textContent = `${p.name} light timeline`;
+    if (tlList) tlList.style.display = "";
+    if (icsForm) icsForm.style.display = "";
+    const timelinePanel = q("#panel-timeline .panel-body");
+    if (timelinePanel) {
+      const msg = timelinePanel.querySelector(".earth-timeline-note");
+      if (msg) msg.remove();
+    }
+  }
+}
+
+// Secondary "my time" value shown next to a timeline value
+function setMyTime(valueEl, text) {
+  const li = valueEl && valueEl.closest("li");
+  if (!li) return;
+  let mine = li.querySelector(".tl-mine");
+  if (!text) {
+    if (mine) mine.remove();
+    return;
+  }
+  if (!mine) {
+    mine = document.createElement("span");
+    mine.className = "tl-mine";
+    li.appendChild(mine);
+  }
+  mine.textContent = `${text} your time`;
+}
+
+// --- Observing conditions ---
+const OBSERVER_STORAGE_KEY = "planetsTime.observer";
+const OBSERVER_FIELDS = [
+  ["#observerElevation", "elevationM", "Elevation"],
+  ["#observerPressure", "pressureHPa", "Pressure"],
+  ["#observerTemperature", "temperatureC", "Temperature"],
+];
+
+// { elevationM, pressureHPa, temperatureC }; a missing field means solar.js's
+// default (sea level, standard pressure for the elevation, 10 °C)
+function loadObserver() {
+  try {
+    const raw = localStorage.getItem(OBSERVER_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : {};
+    return data && typeof data === "object" ? data : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function saveObserver(observer) {
+  try {
+    localStorage.setItem(OBSERVER_STORAGE_KEY, JSON.stringify(observer));
+  } catch (_) {
+    // storage full or disabled; the settings then last for this page only
+  }
+}
+
+function syncObserverControls() {
+  const obs = state.observer;
+  OBSERVER_FIELDS.forEach(([sel, field]) => {
+    const el = q(sel);
+    if (el && obs[field] != null) el.value = String(obs[field]);
+  });
+  const status = q("#observerStatus");
+  if (status) {
+    const elevation = obs.elevationM || 0;
+    const pressure =
+      obs.pressureHPa != null
+        ? `${obs.pressureHPa} hPa`
+        : `standard ${Math.round(standardPressureHPa(elevation))} hPa`;
+    status.textContent =
+      elevation > 0
+        ? `Horizon dip ${horizonDipDeg(elevation).toFixed(2)}°, ${pressure}`
+        : `Sea-level horizon, ${pressure}`;
+  }
+}
+
+function updateObserverFromControls() {
+  const status = q("#observerStatus");
+  const observer = {};
+  for (const [sel, field, label] of OBSERVER_FIELDS) {
+    const el = q(sel);
+    if (!el || el.value.trim() === "") continue; // default
+    const x = Number(el.value);
+    const min = Number(el.min);
+    const max = Number(el.max);
+    if (!isFinite(x) || x < min || x > max) {
+      if (status) {
+        status.textContent = `${label} must be between ${min} and ${max}.`;
+      }
+      return;
+    }
+    observer[field] = x;
+  }
+  state.observer = observer;
+  saveObserver(observer);
+  syncObserverControls();
+  renderNoonNow();
+  renderComparison();
+  rescheduleReminders();
+  if (selectedPlanet()) updatePanelsForSelection(selectedPlanet());
+}
+
+// --- Surface light ---
+const LIGHT_STORAGE_KEY = "planetsTime.light";
+
+// { surface, marsOpticalDepth, model }; see targetApparentAltitudeForPlanetKey
+function loadLight() {
+  try {
+    const raw = localStorage.getItem(LIGHT_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : {};
+    return data && typeof data === "object" ? data : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function saveLight(light) {
+  try {
+    localStorage.setItem(LIGHT_STORAGE_KEY, JSON.stringify(light));
+  } catch (_) {
+    // storage full or disabled; the settings then last for this page only
+  }
+}
+
+function syncLightControls() {
+  const light = state.light;
+  const mode = q("#lightMode");
+  if (mode) mode.value = light.surface ? "surface" : "orbital";
+  const tau = q("#marsOpticalDepth");
+  if (tau && light.marsOpticalDepth != null) {
+    tau.value = String(light.marsOpticalDepth);
+  }
+  const status = q("#lightStatus");
+  if (status) {
+    const pct = (key) => {
+      const x = surfaceTransmission(key, light) * 100;
+      return `${x < 10 ? x.toFixed(1) : Math.round(x)}%`;
+    };
+    status.textContent =
+      `Reaching the ground: Mars ${pct("mars")}, Titan ${pct("titan")}, ` +
+      `Venus ${pct("venus")}`;
+  }
+}
+
+function updateLightFromControls() {
+  const status = q("#lightStatus");
+  const mode = q("#lightMode");
+  const tau = q("#marsOpticalDepth");
+  const light = { surface: !!mode && mode.value === "surface" };
+  if (state.light.model) light.model = state.light.model;
+  if (tau && tau.value.trim() !== "") {
+    const x = Number(tau.value);
+    if (
+      !isFinite(x) ||
+      x < MARS_OPTICAL_DEPTH_MIN ||
+      x > MARS_OPTICAL_DEPTH_MAX
+    ) {
+      if (status) {
+        status.textContent = `Mars dust must be between ${MARS_OPTICAL_DEPTH_MIN} and ${MARS_OPTICAL_DEPTH_MAX}.`;
+      }
+      return;
+    }
+    light.marsOpticalDepth = x;
+  }
+  state.light = light;
+  saveLight(light);
+  syncLightControls();
+  renderNoonNow();
+  renderComparison();
+  rescheduleReminders();
+  if (selectedPlanet()) {
+    renderSelectionInfo(selectedPlanet());
+    updatePanelsForSelection(selectedPlanet());
+  }
+}
+
+// --- Mapping models ---
+function populateMappingModels() {
+  const select = q("#mappingModel");
+  if (!select) return;
+  select.textContent = "";
+  MAPPING_MODELS.forEach((m) => {
+    const opt = document.createElement("option");
+    opt.value = m.key;
+    opt.textContent = m.name;
+    select.appendChild(opt);
+  });
+}
+
+function syncMappingControls() {
+  const model = findMappingModel(state.light.model);
+  const select = q("#mappingModel");
+  if (select) select.value = model.key;
+  const summary = q("#mappingSummary");
+  if (summary) summary.textContent = model.summary;
+}
+
+function updateMappingFromControls() {
+  const select = q("#mappingModel");
+  if (!select) return;
+  state.light = { ...state.light, model: select.value };
+  saveLight(state.light);
+  syncMappingControls();
+  renderNoonNow();
+  renderComparison();
+  rescheduleReminders();
+  if (selectedPlanet()) {
+    renderSelectionInfo(selectedPlanet());
+    updatePanelsForSelection(selectedPlanet());
+  }
+}
+
+// Today's target and times for `p` under every model, with the shift of
+// each morning from the chosen model's
+function renderMappingComparison(p) {
+  const box = q("#mappingCompare");
+  if (!box) return;
+  box.textContent = "";
+  if (!p || p.key === "earth") {
+    box.textContent =
+      "Select a planet to compare today's times under each model.";
+    return;
+  }
+  if (findLuxTarget(p.key)) {
+    box.textContent = "A lux target is Earth light already; no model needed.";
+    return;
+  }
+  const date = selectedDate();
+  const tz = locationTimeZone();
+  const current = findMappingModel(state.light.model).key;
+  const rows = MAPPING_MODELS.map((m) => {
+    const light = { ...state.light, model: m.key };
+    const target = targetAltitudeForPlanetKey(p.key, date, light);
+    const times = target
+      ? findApparentAltitudeCrossings(
+          date,
+          state.lat,
+          state.lon,
+          target.altitude,
+          tz,
+          state.observer
+        ) || []
+      : [];
+    return { model: m, target, morning: times[0], evening: times[1] };
+  });
+  const base = rows.find((r) => r.model.key === current);
+  const table = document.createElement("table");
+  table.className = "calendar-table";
+  const head = table.createTHead().insertRow();
+  ["Model", "Target", "Morning", "Evening", "Shift"].forEach((h) => {
+    const th = document.createElement("th");
+    th.textContent = h;
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  rows.forEach((r) => {
+    const row = body.insertRow();
+    if (r.model.key === current) row.className = "is-current";
+    let shift = "";
+    if (r.model.key !== current && r.morning && base.morning) {
+      const min = Math.round((r.morning - base.morning) / 60000);
+      shift = `${min > 0 ? "+" : ""}${min} min`;
+    }
+    [
+      r.model.name,
+      r.target ? `${r.target.altitude.toFixed(1)}°` : "—",
+      formatTime(r.morning || null, tz),
+      formatTime(r.evening || null, tz),
+      shift,
+    ].forEach((v) => {
+      row.insertCell().textContent = v;
+    });
+  });
+  box.appendChild(table);
+}
+
+// --- Reminders ---
+const DEFAULT_REMINDER_MINUTES = 10;
+const REMINDER_GRACE_MINUTES = 5;
+
+// Re-plan every stored reminder from the current location and time.
+function rescheduleReminders() {
+  if (state.lat == null || state.lon == null) return;
+  const reminders = loadReminders();
+  Object.keys(reminders).forEach((key) => planReminder(key, reminders[key]));
+  const p = selectedPlanet();
+  if (p) syncReminderControls(p);
+}
+
+function planReminder(key, reminder) {
+  const p = findBody(key);
+  if (!p || p.key === "earth") {
+    cancelReminder(key);
+    return;
+  }
+  const tz = locationTimeZone();
+  const lead = Math.max(0, Number(reminder.minutesBefore) || 0) * 60000;
+  let now = new Date();
+  const nextAfter = (t) =>
+    nextPlanetTime(
+      t,
+      state.lat,
+      state.lon,
+      p.au,
+      p.key,
+      tz,
+      t,
+      state.observer,
+      state.light
+    );
+  let next = nextAfter(now);
+  // Skip an occurrence this reminder has already announced
+  if (next && reminder.lastFired && next.getTime() <= reminder.lastFired) {
+    now = new Date(reminder.lastFired + 60000);
+    next = nextAfter(now);
+  }
+  if (!next) {
+    cancelReminder(key);
+    return;
+  }
+  const fireAt = new Date(Math.max(Date.now(), next.getTime() - lead));
+  scheduleReminder(key, fireAt, () => {
+    const when = formatTime(next, tz);
+    const mins = Math.round((next.getTime() - Date.now()) / 60000);
+    // A timer that woke up long after the occurrence (sleeping laptop) stays quiet
+    if (mins >= -REMINDER_GRACE_MINUTES) {
+      showReminderNotification(
+        mins > 0
+          ? `${p.name} time in ${formatDurationLong(mins * 60000)}`
+          : `${p.name} time now`,
+        state.place
+          ? `${p.name} time at ${when} in ${state.place}`
+          : `${p.name} time at ${when}`,
+        `planet-time-${key}`
+      );
+    }
+    const all = loadReminders();
+    if (!all[key]) return;
+    all[key].lastFired = next.getTime();
+    saveReminders(all);
+    planReminder(key, all[key]);
+    const sel = selectedPlanet();
+    if (sel && sel.key === key) syncReminderControls(sel);
+  });
+}
+
+function syncReminderControls(p) {
+  const form = q("#reminderForm");
+  const toggle = q("#reminderToggle");
+  const minutes = q("#reminderMinutes");
+  const status = q("#reminderStatus");
+  if (!form) return;
+  if (!p || p.key === "earth" || !notificationsSupported()) {
+    form.hidden = true;
+    return;
+  }
+  form.hidden = false;
+  const reminder = loadReminders()[p.key];
+  if (toggle) toggle.checked = !!reminder;
+  if (minutes) {
+    minutes.value = String(
+      reminder ? reminder.minutesBefore : DEFAULT_REMINDER_MINUTES
+    );
+  }
+  if (status) {
+    if (!reminder) status.textContent = "";
+    else if (Notification.permission === "denied") {
+      status.textContent = "Notifications are blocked in this browser.";
+    } else {
+      const tz = locationTimeZone();
+      const now = new Date();
+      const next = nextPlanetTime(
+        now,
+        state.lat,
+        state.lon,
+        p.au,
+        p.key,
+        tz,
+        now,
+        state.observer,
+        state.light
+      );
+      const at = next
+        ? new Date(next.getTime() - reminder.minutesBefore * 60000)
+        : null;
+      status.textContent =
+        at && at > now ? `Reminder at ${formatTime(at, tz)}` : "";
+    }
+  }
+}
+
+async function updateReminderFromControls() {
+  const p = selectedPlanet();
+  const toggle = q("#reminderToggle");
+  const minutesEl = q("#reminderMinutes");
+  if (!p || !toggle) return;
+  const reminders = loadReminders();
+  if (!toggle.checked) {
+    delete reminders[p.key];
+    saveReminders(reminders);
+    cancelReminder(p.key);
+    syncReminderControls(p);
+    return;
+  }
+  const allowed = await ensureNotificationPermission();
+  if (!allowed) {
+    toggle.checked = false;
+    const status = q("#reminderStatus");
+    if (status) {
+      status.textContent = "Allow notifications to get reminders.";
+    }
+    return;
+  }
+  const minutes = parseInt(minutesEl ? minutesEl.value : "", 10);
+  reminders[p.key] = {
+    minutesBefore:
+      isFinite(minutes) && minutes >= 0
+        ? Math.min(720, minutes)
+        : DEFAULT_REMINDER_MINUTES,
+  };
+  saveReminders(reminders);
+  planReminder(p.key, reminders[p.key]);
+  syncReminderControls(p);
+}
+
+// --- Calendar export ---
+function exportPlanetTimes() {
+  const p = selectedPlanet();
+  const status = q("#icsStatus");
+  if (!p || p.key === "earth" || state.lat == null) return;
+  const daysEl = q("#icsDays");
+  const days = parseInt(daysEl ? daysEl.value : "30", 10);
+  if (!isFinite(days) || days < 1 || days > 366) {
+    if (status) status.textContent = "Pick between 1 and 366 days.";
+    return;
+  }
+  const ics = buildPlanetTimeICS({
+    planet: p,
+    lat: state.lat,
+    lon: state.lon,
+    timeZone: locationTimeZone(),
+    place: state.place,
+    from: selectedDate(),
+    days,
+    observer: state.observer,
+    light: state.light,
+  });
+  const count = (ics.match(/BEGIN:VEVENT/g) || []).length;
+  const blob = new Blob([ics], { type: "text/calendar;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${p.key}-time.ics`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  if (status) {
+    status.textContent = count
+      ? `Exported ${count} events.`
+      : `No ${p.name} times in that range.`;
+  }
+}
+
+// --- All planets ---
+// Every planet's times for the selected day in one sortable table. The
+// countdowns tick with the clock and rows light up as a planet time passes;
+// the times themselves are recomputed only for a new day or new settings.
+const COMPARE_COLUMNS = [
+  ["order", "Planet"],
+  ["distance", "Distance"],
+  ["irradiance", "Light"],
+  ["target", "Target"],
+  ["morning", "Morning"],
+  ["evening", "Evening"],
+  ["next", "Next in"],
+];
+const compare = {
+  rows: null,
+  day: null,
+  sort: "order",
+  dir: 1,
+  timer: null,
+};
+
+function nextForComparisonRow(row, now) {
+  if (row.key === "earth") return null;
+  const p = findBody(row.key);
+  return nextPlanetTime(
+    now,
+    state.lat,
+    state.lon,
+    p.au,
+    p.key,
+    locationTimeZone(),
+    new Date(now.getTime() - HAPPENING_NOW_MS),
+    state.observer,
+    state.light
+  );
+}
+
+function renderComparison() {
+  const box = q("#compareTable");
+  if (!box) return;
+  box.textContent = "";
+  if (state.lat == null || state.lon == null) {
+    compare.rows = null;
+    box.textContent = "Set your location to compare the planets.";
+    return;
+  }
+  const now = selectedDate();
+  const tz = locationTimeZone();
+  compare.day = locationDayKey(now, tz);
+  compare.rows = planetComparison(now, {
+    lat: state.lat,
+    lon: state.lon,
+    timeZone: tz,
+    observer: state.observer,
+    light: state.light,
+  });
+  compare.rows.forEach((r) => (r.next = nextForComparisonRow(r, now)));
+  buildComparisonTable();
+}
+
+// Table markup from the cached rows, in the current sort order
+function buildComparisonTable() {
+  const box = q("#compareTable");
+  if (!box || !compare.rows) return;
+  box.textContent = "";
+  const tz = locationTimeZone();
+  const table = document.createElement("table");
+  table.className = "calendar-table compare-table";
+  const head = table.createTHead().insertRow();
+  COMPARE_COLUMNS.forEach(([key, label]) => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    if (key === compare.sort) {
+      th.setAttribute(
+        "aria-sort",
+        compare.dir > 0 ? "ascending" : "descending"
+      );
     }
-    if (t) return t;
-  }
-  // Fallback: no exact crossing exists (e.g., target >= max altitude).
-  // Use the time of maximum solar elevation: local solar noon today/tomorrow.
-  const noonToday = sunTimes(date, lat, lon).solarNoon;
-  if (noonToday && noonToday.getTime() > now.getTime()) return noonToday;
-  const tomorrow = new Date(
-    date.getFullYear(),
-    date.getMonth(),
-    date.getDate() + 1
-  );
-  const noonTomorrow = sunTimes(tomorrow, lat, lon).solarNoon;
-  return noonTomorrow || null;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "compare-sort";
+    btn.textContent = label;
+    btn.addEventListener("click", () => {
+      compare.dir = compare.sort === key ? -compare.dir : 1;
+      compare.sort = key;
+      buildComparisonTable();
+    });
+    th.appendChild(btn);
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  const fmtTime = (t) => (t ? formatTime(t, tz) : "—");
+  sortComparison(compare.rows, compare.sort, compare.dir).forEach((r) => {
+    const row = body.insertRow();
+    row.dataset.key = r.key;
+    const name = row.insertCell();
+    const swatch = document.createElement("span");
+    swatch.className = "compare-swatch";
+    swatch.style.background = r.color;
+    name.append(swatch, r.name);
+    const light = r.irradiance;
+    [
+      r.distanceAU == null ? "—" : `${r.distanceAU.toFixed(2)} AU`,
+      `${light >= 0.1 ? light.toFixed(2) : light.toPrecision(2)}×`,
+      r.targetAltDeg == null ? "—" : `${r.targetAltDeg.toFixed(1)}°`,
+      fmtTime(r.morning),
+      fmtTime(r.evening),
+      "",
+    ].forEach((v) => {
+      row.insertCell().textContent = v;
+    });
+  });
+  box.appendChild(table);
+  tickComparison();
 }
 
-// --- Panel helpers ---
-function msUntil(date) {
-  if (!date) return null;
-  const now = new Date();
-  return Math.max(0, date.getTime() - now.getTime());
+// Countdowns and highlights only; a new day rebuilds the table
+function tickComparison() {
+  const box = q("#compareTable");
+  if (!box || !compare.rows) return;
+  const now = selectedDate();
+  if (locationDayKey(now, locationTimeZone()) !== compare.day) {
+    renderComparison();
+    return;
+  }
+  for (const r of compare.rows) {
+    if (r.next && now - r.next >= HAPPENING_NOW_MS) {
+      r.next = nextForComparisonRow(r, now);
+    }
+    const row = box.querySelector(`tr[data-key="${r.key}"]`);
+    if (!row) continue;
+    const happening = !!r.next && now >= r.next;
+    row.classList.toggle("is-now", happening);
+    row.cells[4].classList.toggle("is-past", !!r.morning && now > r.morning);
+    row.cells[5].classList.toggle("is-past", !!r.evening && now > r.evening);
+    row.cells[6].textContent =
+      r.key === "earth"
+        ? "—"
+        : happening
+        ? "Now"
+        : r.next
+        ? formatDuration(r.next - now)
+        : "—";
+  }
 }
 
-function formatDuration(ms) {
-  if (ms == null) return "—";
-  const totalMin = Math.round(ms / 60000);
-  const h = Math.floor(totalMin / 60);
-  const m = totalMin % 60;
-  if (h <= 0) return `${m} mins`;
-  if (m === 0) return `${h} hrs`;
-  return `${h} hrs ${m} mins`;
+// Idempotent: init may run more than once
+function startComparison() {
+  renderComparison();
+  if (!compare.timer) {
+    compare.timer = setInterval(tickComparison, COUNTDOWN_TICK_MS);
+  }
 }
 
-// Long form for UI copy in panels
-function formatDurationLong(ms) {
-  if (ms == null) return "—";
-  const totalMin = Math.max(0, Math.round(ms / 60000));
-  const h = Math.floor(totalMin / 60);
-  const m = totalMin % 60;
-  const hPart = h > 0 ? `${h} ${h === 1 ? "hour" : "hours"}` : "";
-  const mPart = m > 0 ? `${m} ${m === 1 ? "minute" : "minutes"}` : "";
-  if (!hPart && !mPart) return "0 minutes";
-  if (!hPart) return mPart;
-  if (!mPart) return hPart;
-  return `${hPart} ${mPart}`;
+// --- Sun altitude chart ---
+// The Sun's altitude through the selected day, with every planet's target
+// as a line (the selected body's drawn boldly) and its crossings dotted.
+// Hovering reads out the time, altitude, light and matching planet noon.
+const SUN_CHART_STEP_MIN = 5;
+const SUN_CHART_MIN_DEG = -24;
+
+// Times the sampled curve crosses `target`, linearly interpolated
+function sampledCrossings(samples, target) {
+  const out = [];
+  for (let i = 1; i < samples.length; i++) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    if (a.altitudeDeg - target > 0 === b.altitudeDeg - target > 0) continue;
+    const f = (target - a.altitudeDeg) / (b.altitudeDeg - a.altitudeDeg);
+    out.push(a.minutes + f * (b.minutes - a.minutes));
+  }
+  return out;
 }
 
-function updatePanelsForSelection(p) {
-  const nextTitle = q("#nextPanelTitle");
-  const nextContent = q("#nextPanelContent");
-  const tlTitle = q("#timelinePanelTitle");
-  const tlList = q("#timelineList");
-  const tlMorning = q("#tlMorning");
-  const tlEvening = q("#tlEvening");
-  const tlSunrise = q("#tlSunrise");
-  const tlNoon = q("#tlNoon");
-  const tlSunset = q("#tlSunset");
-  const tlDaylight = q("#tlDaylight");
-  const tlMorningLabel = q("#tlMorningLabel");
-  const tlEveningLabel = q("#tlEveningLabel");
+function renderSunChart(p) {
+  const host = q("#tlChart");
+  const readout = q("#tlChartReadout");
+  if (!host) return;
+  host.textContent = "";
+  if (readout) readout.textContent = "";
+  if (!p || state.lat == null || state.lon == null) return;
+  const date = selectedDate();
+  const tz = locationTimeZone();
+  const samples = sunAltitudeSamples(
+    date,
+    state.lat,
+    state.lon,
+    tz,
+    state.observer,
+    SUN_CHART_STEP_MIN
+  );
+  const scale = planetNoonScale(date, state.light);
+  const lines = scale.map((b) => ({ ...b, selected: b.key === p.key }));
+  // Moons, other worlds and lux targets join the planets' lines
+  if (p.key !== "earth" && !lines.some((b) => b.selected)) {
+    const alt = targetApparentAltitudeForPlanetKey(p.key, date, state.light);
+    if (alt != null) {
+      lines.push({
+        key: p.key,
+        name: p.name,
+        color: p.color,
+        altitudeDeg: alt,
+        selected: true,
+      });
+    }
+  }
 
-  if (!p) {
-    if (nextTitle) nextTitle.textContent = "Planet time is in…";
-    if (tlTitle) tlTitle.textContent = "Planet light timeline";
-    if (tlMorningLabel) tlMorningLabel.textContent = "Morning Planet Time";
-    if (tlEveningLabel) tlEveningLabel.textContent = "Evening Planet Time";
-    if (nextContent) nextContent.textContent = "";
-    if (tlList) tlList.style.display = "";
-    [tlMorning, tlEvening, tlSunrise, tlNoon, tlSunset, tlDaylight].forEach(
-      (el) => el && (el.textContent = "—")
+  const W = 720;
+  const H = 240;
+  const padL = 36;
+  const padR = 8;
+  const padT = 8;
+  const padB = 22;
+  const plotW = W - padL - padR;
+  const plotH = H - padT - padB;
+  const dayMinutes = samples[samples.length - 1].minutes;
+  const maxAlt = Math.max(...samples.map((s) => s.altitudeDeg));
+  const yMax = Math.max(30, Math.ceil((maxAlt + 5) / 15) * 15);
+  const yMin = SUN_CHART_MIN_DEG;
+  const x = (min) => padL + (plotW * min) / dayMinutes;
+  const y = (alt) =>
+    padT +
+    (plotH * (yMax - Math.max(yMin, Math.min(yMax, alt)))) / (yMax - yMin);
+
+  const ns = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(ns, "svg");
+  svg.setAttribute("viewBox", `0 0 ${W} ${H}`);
+  svg.setAttribute("class", "sun-chart-svg");
+  svg.setAttribute("role", "img");
+  svg.setAttribute(
+    "aria-label",
+    `Sun altitude through the day with ${p.name} time`
+  );
+  const add = (tag, attrs, text, parent = svg) => {
+    const n = document.createElementNS(ns, tag);
+    Object.entries(attrs).forEach(([k, v]) => n.setAttribute(k, String(v)));
+    if (text != null) n.textContent = text;
+    parent.appendChild(n);
+    return n;
+  };
+  // Twilight bands, then the altitude and hour grids
+  for (const band of TWILIGHT_BANDS) {
+    const r = add("rect", {
+      x: padL,
+      y: y(band.to).toFixed(1),
+      width: plotW,
+      height: (y(band.from) - y(band.to)).toFixed(1),
+      class: `sun-band ${band.key}`,
+    });
+    add("title", {}, band.name, r);
+  }
+  for (let alt = -15; alt <= yMax; alt += 15) {
+    add("line", {
+      x1: padL,
+      x2: W - padR,
+      y1: y(alt),
+      y2: y(alt),
+      class: alt === 0 ? "sun-horizon" : "cal-grid",
+    });
+    add(
+      "text",
+      { x: padL - 6, y: y(alt) + 4, class: "cal-axis", "text-anchor": "end" },
+      `${alt}°`
     );
-    return;
+  }
+  const start = samples[0].t.getTime();
+  for (let min = 0; min <= dayMinutes; min += 180) {
+    const z = zonedParts(new Date(start + min * 60000), tz);
+    add("line", {
+      x1: x(min),
+      x2: x(min),
+      y1: padT,
+      y2: padT + plotH,
+      class: "cal-grid",
+    });
+    add(
+      "text",
+      { x: x(min), y: H - 6, class: "cal-axis", "text-anchor": "middle" },
+      `${pad2(z.hour)}:${pad2(z.minute)}`
+    );
+  }
+  // Target lines, the selected body's last so it sits on top
+  lines.sort((a, b) => a.selected - b.selected);
+  for (const line of lines) {
+    const cls = line.selected ? "sun-target is-selected" : "sun-target";
+    const l = add("line", {
+      x1: padL,
+      x2: W - padR,
+      y1: y(line.altitudeDeg).toFixed(1),
+      y2: y(line.altitudeDeg).toFixed(1),
+      stroke: line.color || "#a78bfa",
+      class: cls,
+    });
+    add(
+      "title",
+      {},
+      `${line.name} time: Sun at ${line.altitudeDeg.toFixed(1)}°`,
+      l
+    );
+    for (const min of sampledCrossings(samples, line.altitudeDeg)) {
+      add("circle", {
+        cx: x(min).toFixed(1),
+        cy: y(line.altitudeDeg).toFixed(1),
+        r: line.selected ? 4 : 2.5,
+        fill: line.color || "#a78bfa",
+        class: "sun-crossing",
+      });
+    }
+    if (line.selected) {
+      add(
+        "text",
+        {
+          x: W - padR - 4,
+          y: y(line.altitudeDeg) - 4,
+          class: "cal-axis",
+          "text-anchor": "end",
+        },
+        line.name
+      );
+    }
+  }
+  const curve = samples
+    .map(
+      (s, i) =>
+        `${i ? "L" : "M"}${x(s.minutes).toFixed(1)},${y(s.altitudeDeg).toFixed(
+          1
+        )}`
+    )
+    .join("");
+  add("path", { d: curve, class: "cal-line sun" });
+  // The moment the panels describe, when it falls on this day
+  const nowMin = (date.getTime() - start) / 60000;
+  if (nowMin >= 0 && nowMin <= dayMinutes) {
+    add("line", {
+      x1: x(nowMin),
+      x2: x(nowMin),
+      y1: padT,
+      y2: padT + plotH,
+      class: "sun-now",
+    });
   }
 
-  // Update titles with planet name
-  if (nextTitle) nextTitle.textContent = `${p.name} time is in…`;
-  if (tlTitle) tlTitle.textContent = `${p.name} light timeline`;
-  if (tlMorningLabel) tlMorningLabel.textContent = `Morning ${p.name} Time`;
-  if (tlEveningLabel) tlEveningLabel.textContent = `Evening ${p.name} Time`;
+  // Hover: cursor, dot and a readout under the chart
+  const cursor = add("line", {
+    y1: padT,
+    y2: padT + plotH,
+    class: "sun-cursor",
+    visibility: "hidden",
+  });
+  const dot = add("circle", { r: 4, class: "sun-dot", visibility: "hidden" });
+  const hint = "Hover over the chart to read the light at any time.";
+  if (readout) readout.textContent = hint;
+  const onMove = (e) => {
+    const box = svg.getBoundingClientRect();
+    if (!box.width) return;
+    const px = ((e.clientX - box.left) / box.width) * W;
+    const min = Math.max(
+      0,
+      Math.min(dayMinutes, ((px - padL) / plotW) * dayMinutes)
+    );
+    const s =
+      samples[Math.round(min / SUN_CHART_STEP_MIN)] ||
+      samples[samples.length - 1];
+    cursor.setAttribute("x1", x(s.minutes));
+    cursor.setAttribute("x2", x(s.minutes));
+    dot.setAttribute("cx", x(s.minutes));
+    dot.setAttribute("cy", y(s.altitudeDeg));
+    cursor.setAttribute("visibility", "visible");
+    dot.setAttribute("visibility", "visible");
+    if (readout) {
+      const lux = altitudeToLux(s.altitudeDeg);
+      const match = noonLightPhrase(matchNoonLight(s.altitudeDeg, scale));
+      readout.textContent =
+        `${formatTime(s.t, tz)} · Sun ${s.altitudeDeg.toFixed(1)}° · ` +
+        `about ${lux >= 0.0001 ? formatLux(lux) : "0"} lux · ${match}`;
+    }
+  };
+  svg.addEventListener("pointermove", onMove);
+  svg.addEventListener("pointerleave", () => {
+    cursor.setAttribute("visibility", "hidden");
+    dot.setAttribute("visibility", "hidden");
+    if (readout) readout.textContent = hint;
+  });
+  host.appendChild(svg);
+}
 
-  // Use current date and location
-  const dp = q("#datePicker");
-  const date = dp && dp.valueAsDate ? dp.valueAsDate : new Date();
-  const lat = state.lat;
-  const lon = state.lon;
+// --- Year calendar ---
+const CALENDAR_FLAG_TEXT = {
+  "polar-day": "Never this dark",
+  "polar-night": "Never this bright",
+  single: "One crossing only",
+};
 
-  // Next occurrence and time remaining (panel 2)
-  const nextT = nextPlanetTime(date, lat, lon, p.au, p.key);
-  if (nextContent) {
-    if (p.key === "earth") {
-      nextContent.textContent = "Your current time, duh";
-    } else {
-      const durLong = formatDurationLong(msUntil(nextT));
-      const place = state.place || null;
-      nextContent.textContent = place ? `${durLong} in ${place}` : durLong;
-    }
+// The body the panels describe: a world from the picker or a picked moon,
+// else the selected planet
+function selectedPlanet() {
+  if (state.selectedWorld) return state.selectedWorld;
+  if (!state.selectedEl) return null;
+  if (state.selectedMoon) return state.selectedMoon;
+  return findBody(state.selectedEl.getAttribute("data-key"));
+}
+
+function resetCalendarPanel(p) {
+  state.calendarRun++;
+  const title = q("#calendarPanelTitle");
+  const yearEl = q("#calendarYear");
+  const status = q("#calendarStatus");
+  const chart = q("#calendarChart");
+  const months = q("#calendarMonths");
+  if (title) {
+    title.textContent = p
+      ? `${p.name} time through the year`
+      : "Planet time through the year";
+  }
+  if (yearEl && !yearEl.value && state.lon != null) {
+    yearEl.value = String(zonedParts(selectedDate(), locationTimeZone()).year);
   }
+  if (status) status.textContent = "";
+  if (chart) chart.innerHTML = "";
+  if (months) months.innerHTML = "";
+}
 
-  // Timeline entries for this date
-  const targetAltDeg =
-    p.key === "earth" ? null : targetApparentAltitudeForPlanetKey(p.key, date);
-  // Timeline: compute both morning/evening by apparent altitude equivalence
-  let crossings =
-    targetAltDeg == null
-      ? []
-      : findApparentAltitudeCrossings(date, lat, lon, targetAltDeg) || [];
-  // If target is unreachable (e.g., Mercury/Venus often demand > max brightness),
-  // progressively lower the target elevation until we get two crossings, or give up.
-  // If no crossings (e.g., polar conditions), keep nulls; no elevation fallback here.
-  const morning = crossings[0] || null;
-  const evening = crossings[1] || null;
-  const sun = sunTimes(date, lat, lon);
-
-  if (tlMorning) tlMorning.textContent = morning ? formatTime(morning) : "—";
-  if (tlEvening) tlEvening.textContent = evening ? formatTime(evening) : "—";
-  if (tlSunrise)
-    tlSunrise.textContent = sun.sunrise ? formatTime(sun.sunrise) : "—";
-  if (tlNoon)
-    tlNoon.textContent = sun.solarNoon ? formatTime(sun.solarNoon) : "—";
-  if (tlSunset)
-    tlSunset.textContent = sun.sunset ? formatTime(sun.sunset) : "—";
-  if (tlDaylight) {
-    tlDaylight.textContent =
-      sun.alwaysUp || sun.alwaysDown
-        ? sun.alwaysUp
-          ? "All day"
-          : "No daylight"
-        : `${Math.floor(sun.daylight)}hrs ${Math.round(
-            (sun.daylight % 1) * 60
-          )}mins`;
+async function runCalendar() {
+  const p = selectedPlanet();
+  if (!p || state.lat == null || state.lon == null) return;
+  const yearEl = q("#calendarYear");
+  const status = q("#calendarStatus");
+  const year = parseInt(yearEl ? yearEl.value : "", 10);
+  if (!isFinite(year) || year < 1900 || year > 2100) {
+    if (status) status.textContent = "Pick a year between 1900 and 2100.";
+    return;
+  }
+  resetCalendarPanel(p);
+  const run = state.calendarRun;
+  const opts = {
+    planetKey: p.key,
+    lat: state.lat,
+    lon: state.lon,
+    timeZone: locationTimeZone(),
+    observer: state.observer,
+    light: state.light,
+  };
+  const days = [];
+  for (let m = 0; m < 12; m++) {
+    if (status) status.textContent = `Computing ${year}… ${m}/12`;
+    // Yield between months so the page stays responsive
+    await new Promise((r) => setTimeout(r, 0));
+    if (run !== state.calendarRun) return;
+    days.push(...planetMonthCalendar(year, m, opts));
   }
+  if (status) status.textContent = "";
+  renderCalendarChart(days, p, opts.timeZone);
+  renderCalendarMonths(days, p, opts.timeZone);
+}
 
-  // Earth special copy for timeline panel: keep the title; show message as content, hide list
-  if (p.key === "earth") {
-    if (tlTitle) tlTitle.textContent = `${p.name} light timeline`;
-    if (tlList) tlList.style.display = "none";
-    // Render message into nextPanelContent? No; it's for timeline panel.
-    // We'll inject a simple paragraph below the title in the timeline panel body when list is hidden.
-    const timelinePanel = q("#panel-timeline .panel-body");
-    if (timelinePanel) {
-      // Ensure message element exists and is unique.
-      let msg = timelinePanel.querySelector(".earth-timeline-note");
-      if (!msg) {
-        msg = document.createElement("p");
-        msg.className = "earth-timeline-note";
-        timelinePanel.appendChild(msg);
+function minutesOfDay(t, tz) {
+  if (!t) return null;
+  const z = zonedParts(t, tz);
+  return z.hour * 60 + z.minute + z.second / 60;
+}
+
+// Times of day (y) across the year (x): drift of planet time vs. the Sun
+function renderCalendarChart(days, p, tz) {
+  const host = q("#calendarChart");
+  if (!host) return;
+  const W = 720;
+  const H = 260;
+  const padL = 36;
+  const padB = 22;
+  const plotW = W - padL - 8;
+  const plotH = H - padB - 8;
+  const x = (i) => padL + (plotW * i) / Math.max(1, days.length - 1);
+  const y = (min) => 8 + (plotH * min) / 1440;
+  const path = (key) => {
+    let d = "";
+    let pen = false;
+    days.forEach((day, i) => {
+      const v = minutesOfDay(day[key], tz);
+      if (v == null) {
+        pen = false;
+        return;
       }
-      msg.textContent =
-        "Just look outside the window, and maybe touch some grass while you're at it";
-      msg.style.margin = "10px 0 0";
-      msg.style.textAlign = "center";
-      msg.style.color =
-        getComputedStyle(document.documentElement)
-          .getPropertyValue("--muted")
-          .trim() || "#94a3b8";
-    }
-  } else {
-    if (tlTitle) tlTitle.textContent = `${p.name} light timeline`;
-    if (tlList) tlList.style.display = "";
-    const timelinePanel = q("#panel-timeline .panel-body");
-    if (timelinePanel) {
-      const msg = timelinePanel.querySelector(".earth-timeline-note");
-      if (msg) msg.remove();
-    }
+      d += `${pen ? "L" : "M"}${x(i).toFixed(1)},${y(v).toFixed(1)}`;
+      pen = true;
+    });
+    return d;
+  };
+  const ns = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(ns, "svg");
+  svg.setAttribute("viewBox", `0 0 ${W} ${H}`);
+  svg.setAttribute("class", "calendar-svg");
+  svg.setAttribute("role", "img");
+  svg.setAttribute(
+    "aria-label",
+    `${p.name} time and sun times through ${days[0] ? days[0].year : ""}`
+  );
+  const add = (tag, attrs, text) => {
+    const n = document.createElementNS(ns, tag);
+    Object.entries(attrs).forEach(([k, v]) => n.setAttribute(k, String(v)));
+    if (text != null) n.textContent = text;
+    svg.appendChild(n);
+    return n;
+  };
+  // Days without a crossing pair
+  const colW = plotW / Math.max(1, days.length - 1);
+  days.forEach((day, i) => {
+    if (day.flag !== "polar-day" && day.flag !== "polar-night") return;
+    add("rect", {
+      x: (x(i) - colW / 2).toFixed(1),
+      y: 8,
+      width: colW.toFixed(2),
+      height: plotH,
+      class: `cal-band ${day.flag}`,
+    });
+  });
+  // Hour grid
+  [0, 6, 12, 18, 24].forEach((h) => {
+    add("line", {
+      x1: padL,
+      x2: W - 8,
+      y1: y(h * 60),
+      y2: y(h * 60),
+      class: "cal-grid",
+    });
+    add(
+      "text",
+      {
+        x: padL - 6,
+        y: y(h * 60) + 4,
+        class: "cal-axis",
+        "text-anchor": "end",
+      },
+      `${String(h).padStart(2, "0")}:00`
+    );
+  });
+  // Month ticks
+  const monthFmt = new Intl.DateTimeFormat(undefined, {
+    month: "short",
+    timeZone: "UTC",
+  });
+  days.forEach((day, i) => {
+    if (day.day !== 1) return;
+    add(
+      "text",
+      { x: x(i) + 2, y: H - 6, class: "cal-axis" },
+      monthFmt.format(Date.UTC(day.year, day.month, 1))
+    );
+  });
+  add("path", { d: path("sunrise"), class: "cal-line sun" });
+  add("path", { d: path("sunset"), class: "cal-line sun" });
+  add("path", {
+    d: path("morning"),
+    class: "cal-line planet",
+    stroke: p.color || "#a78bfa",
+  });
+  add("path", {
+    d: path("evening"),
+    class: "cal-line planet",
+    stroke: p.color || "#a78bfa",
+  });
+  host.appendChild(svg);
+  const legend = document.createElement("p");
+  legend.className = "calendar-legend";
+  legend.textContent = `Lines: ${p.name} time (colored), sunrise and sunset (amber). Shaded days never reach ${p.name} light.`;
+  host.appendChild(legend);
+}
+
+// Month-by-month tables, collapsed except the current month
+function renderCalendarMonths(days, p, tz) {
+  const host = q("#calendarMonths");
+  if (!host) return;
+  const monthFmt = new Intl.DateTimeFormat(undefined, {
+    month: "long",
+    timeZone: "UTC",
+  });
+  const today = zonedParts(selectedDate(), tz);
+  const frag = document.createDocumentFragment();
+  for (let m = 0; m < 12; m++) {
+    const list = days.filter((d) => d.month === m);
+    if (!list.length) continue;
+    const details = document.createElement("details");
+    details.className = "calendar-month";
+    if (list[0].year === today.year && m === today.month) details.open = true;
+    const summary = document.createElement("summary");
+    const flagged = list.filter(
+      (d) => d.flag === "polar-day" || d.flag === "polar-night"
+    ).length;
+    summary.textContent =
+      monthFmt.format(Date.UTC(list[0].year, m, 1)) +
+      (flagged ? ` · ${flagged} days without ${p.name} time` : "");
+    details.appendChild(summary);
+    const table = document.createElement("table");
+    table.className = "calendar-table";
+    const head = table.createTHead().insertRow();
+    [
+      "Day",
+      `Morning ${p.name}`,
+      "Sunrise",
+      "Solar noon",
+      "Sunset",
+      `Evening ${p.name}`,
+      "",
+    ].forEach((h) => {
+      const th = document.createElement("th");
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    list.forEach((d) => {
+      const row = body.insertRow();
+      if (d.flag) row.className = `cal-${d.flag}`;
+      [
+        String(d.day),
+        formatTime(d.morning, tz),
+        formatTime(d.sunrise, tz),
+        formatTime(d.solarNoon, tz),
+        formatTime(d.sunset, tz),
+        formatTime(d.evening, tz),
+        CALENDAR_FLAG_TEXT[d.flag] || "",
+      ].forEach((v) => {
+        row.insertCell().textContent = v;
+      });
+    });
+    details.appendChild(table);
+    frag.appendChild(details);
   }
+  host.appendChild(frag);
 }
 
 // Clear current selection.
@@ -612,7 +2691,13 @@ function clearSelection(mode = "animate") {
   system.classList.remove("zoomed");
   system.style.setProperty("--center-pan", "0px");
   system.removeAttribute("data-center-x");
+  showMoons(null);
+  system.classList.remove("world-mode");
+  const picker = q("#worldPicker");
+  if (picker) picker.value = "";
   state.selectedEl = null;
+  state.selectedMoon = null;
+  state.selectedWorld = null;
   const dock = q("#detailDock");
   dock.classList.add("hidden");
   dock.innerHTML = "";
@@ -626,18 +2711,103 @@ function clearSelection(mode = "animate") {
   updatePanelsForSelection(null);
 }
 
+// Fill the centred overlay under the system for the selected body
+function renderSelectionInfo(p) {
+  const overlay = q("#infoOverlay");
+  if (!overlay) return;
+  const date = selectedDate();
+  const tz = locationTimeZone();
+  const t = nextPlanetTime(
+    date,
+    state.lat,
+    state.lon,
+    p.au,
+    p.key,
+    tz,
+    date,
+    state.observer,
+    state.light
+  );
+  const when = t ? formatTime(t, tz) : "—";
+  const place =
+    state.place || `${state.lat.toFixed(2)}, ${state.lon.toFixed(2)}`;
+  const title = overlay.querySelector(".info-title");
+  const sub = overlay.querySelector(".info-sub");
+  const timeEl = overlay.querySelector(".info-time");
+  const placeEl = overlay.querySelector(".info-place");
+  const noteEl = overlay.querySelector(".info-note");
+  const closeBtn = overlay.querySelector(".info-close");
+  if (title) title.textContent = ""; // hide redundant planet name line
+  if (p.key === "earth") {
+    sub.textContent =
+      "You’re already on Earth… unless you’re an alien checking in 👽";
+    // For Earth, do not show time/place
+    if (timeEl) {
+      timeEl.textContent = "";
+      timeEl.style.display = "none";
+    }
+    if (placeEl) {
+      placeEl.textContent = "";
+      placeEl.style.display = "none";
+    }
+  } else {
+    sub.textContent = `Next ${p.name} time will occur at`;
+    // For non-Earth, show time/place as usual
+    if (timeEl) {
+      timeEl.textContent = when || "—";
+      timeEl.style.display = "";
+    }
+    if (placeEl) {
+      placeEl.textContent = place ? `in ${place}` : "";
+      placeEl.style.display = place ? "" : "none";
+    }
+  }
+  // Light-level note for moons; minor bodies and spacecraft lead with
+  // their distance, and a target past the clamp says so
+  if (noteEl) {
+    let note = p.note || "";
+    if (findMinorBody(p.key) || findSpacecraft(p.key)) {
+      const r = heliocentricDistanceAU(p.key, selectedDate());
+      const au = r == null ? null : r.toFixed(r < 10 ? 2 : 1);
+      const when = state.travelTo
+        ? `on ${state.travelTo.toLocaleDateString(undefined, {
+            dateStyle: "medium",
+            timeZone: locationTimeZone(),
+          })}`
+        : "now";
+      note = au ? `${au} AU from the Sun ${when}. ${note}` : note;
+    }
+    if (state.light.surface && hasAtmosphere(p.key)) {
+      note = `${note} ${ATMOSPHERES[p.key].note}`;
+    }
+    const target = targetAltitudeForPlanetKey(p.key, date, state.light);
+    // A lux target's own note already says where its times are clamped
+    const clamped = target && !findLuxTarget(p.key) ? target.clamped : null;
+    if (!target && findSpacecraft(p.key)) {
+      note = `No distance on record for this date. ${note}`;
+    } else if (clamped === "low") {
+      note +=
+        ` Its sunlight is dimmer than any twilight on Earth, so the ` +
+        `target is held at ${TARGET_ALTITUDE_MIN_DEG}°.`;
+    } else if (clamped === "high") {
+      note +=
+        ` Its sunlight is brighter than Earth's Sun ever gets, so the ` +
+        `target is held at ${TARGET_ALTITUDE_MAX_DEG}°.`;
+    }
+    note = note.trim();
+    noteEl.textContent = note;
+    noteEl.style.display = note ? "" : "none";
+  }
+  overlay.classList.remove("hidden");
+  if (closeBtn) closeBtn.onclick = () => clearSelection("animate");
+}
+
 function selectPlanet(p, el) {
   if (state.lat == null || state.lon == null) {
     alert("Please set your location first.");
     return;
   }
   const system = q("#system");
-  const dp = q("#datePicker");
-  const date = dp && dp.valueAsDate ? dp.valueAsDate : new Date();
-  const t = nextPlanetTime(date, state.lat, state.lon, p.au);
-  const when = t ? formatTime(t) : "—";
-  const place =
-    state.place || `${state.lat.toFixed(2)}, ${state.lon.toFixed(2)}`;
 
   // Instant-clear current state so a new selection never fights ongoing animations
   clearSelection("instant");
@@ -741,44 +2911,10 @@ function selectPlanet(p, el) {
   dock.classList.add("hidden");
   dock.innerHTML = "";
 
-  // Populate centered overlay
-  const overlay = q("#infoOverlay");
-  if (overlay) {
-    const title = overlay.querySelector(".info-title");
-    const sub = overlay.querySelector(".info-sub");
-    const timeEl = overlay.querySelector(".info-time");
-    const placeEl = overlay.querySelector(".info-place");
-    const closeBtn = overlay.querySelector(".info-close");
-    if (title) title.textContent = ""; // hide redundant planet name line
-    if (p.key === "earth") {
-      sub.textContent =
-        "You’re already on Earth… unless you’re an alien checking in 👽";
-      // For Earth, do not show time/place
-      if (timeEl) {
-        timeEl.textContent = "";
-        timeEl.style.display = "none";
-      }
-      if (placeEl) {
-        placeEl.textContent = "";
-        placeEl.style.display = "none";
-      }
-    } else {
-      sub.textContent = `Next ${p.name} time will occur at`;
-      // For non-Earth, show time/place as usual
-      if (timeEl) {
-        timeEl.textContent = when || "—";
-        timeEl.style.display = "";
-      }
-      if (placeEl) {
-        placeEl.textContent = place ? `in ${place}` : "";
-        placeEl.style.display = place ? "" : "none";
-      }
-    }
-    overlay.classList.remove("hidden");
-    if (closeBtn) closeBtn.onclick = () => clearSelection("animate");
-  }
+  renderSelectionInfo(p);
 
   state.selectedEl = el;
+  showMoons(p.key);
   // Trigger starfield warp forward on selection
   warpStars("forward");
   // Update panels to reflect selection
@@ -793,9 +2929,11 @@ function setupControls() {
         const { latitude, longitude } = pos.coords;
         state.lat = latitude;
         state.lon = longitude;
+        state.tz = browserTimeZone();
         q("#latInput").value = latitude.toFixed(6);
         q("#lonInput").value = longitude.toFixed(6);
         setLocationDisplay(latitude, longitude);
+        rescheduleReminders();
         reverseGeocode(latitude, longitude);
       },
       (err) => {
@@ -812,23 +2950,28 @@ function setupControls() {
       state.lat = lat;
       state.lon = lon;
       state.place = null;
+      state.tz = null;
       setLocationDisplay(lat, lon);
+      rescheduleReminders();
       reverseGeocode(lat, lon);
     }
   });
-
-  const dp = q("#datePicker");
-  if (dp) {
-    const todayLocal = new Date();
-    dp.valueAsDate = new Date(
-      todayLocal.getFullYear(),
-      todayLocal.getMonth(),
-      todayLocal.getDate()
-    );
-  }
 }
 
 function init() {
+  registerServiceWorker();
+  wireConnectivity();
+  // Before the first planet time is computed
+  setCustomMinorBodies(loadCustomMinorBodies(), isBuiltInBodyKey);
+  state.observer = loadObserver();
+  syncObserverControls();
+  state.light = loadLight();
+  syncLightControls();
+  populateMappingModels();
+  syncMappingControls();
+  wireTravelControls();
+  startNoonNow();
+  startComparison();
   // Build subtle global starfield once
   const sky = q("#sky");
   if (sky && sky.children.length === 0) {
@@ -881,49 +3024,144 @@ function init() {
     applySkyClip();
   });
 
-  if (navigator.geolocation) {
+  // A deep link's location wins over the device's; its selection waits
+  // until some location is known
+  const startRoute = parseRoute(location.hash);
+  const fallback = () => startAt(52.2297, 21.0122, "Europe/Warsaw");
+  if (startRoute && startRoute.lat != null) {
+    followRoute(startRoute);
+  } else if (navigator.geolocation) {
     navigator.geolocation.getCurrentPosition(
       (pos) => {
         const { latitude, longitude } = pos.coords;
-        state.lat = latitude;
-        state.lon = longitude;
-        const latEl = q("#latInput");
-        const lonEl = q("#lonInput");
-        if (latEl) latEl.value = latitude.toFixed(6);
-        if (lonEl) lonEl.value = longitude.toFixed(6);
-        setLocationDisplay(latitude, longitude);
-        reverseGeocode(latitude, longitude);
+        // The device is where the user is, so its zone is the location's
+        startAt(latitude, longitude, browserTimeZone());
+        followRoute(startRoute);
       },
       () => {
-        const lat = 52.2297,
-          lon = 21.0122;
-        state.lat = lat;
-        state.lon = lon;
-        const latEl = q("#latInput");
-        const lonEl = q("#lonInput");
-        if (latEl) latEl.value = lat.toFixed(6);
-        if (lonEl) lonEl.value = lon.toFixed(6);
-        setLocationDisplay(lat, lon);
-        reverseGeocode(lat, lon);
+        fallback();
+        followRoute(startRoute);
       }
     );
   } else {
-    const lat = 52.2297,
-      lon = 21.0122;
-    state.lat = lat;
-    state.lon = lon;
-    const latEl = q("#latInput");
-    const lonEl = q("#lonInput");
-    if (latEl) latEl.value = lat.toFixed(6);
-    if (lonEl) lonEl.value = lon.toFixed(6);
-    setLocationDisplay(lat, lon);
-    reverseGeocode(lat, lon);
+    fallback();
+    followRoute(startRoute);
   }
+  wireViewTracking();
   // Wire country selection controls
   wireCountryControls();
 
   // Wire header tabs (How, About, Contact)
   wireHeaderTabs();
+
+  // Exoplanets from the bundled catalog, minor bodies bundled and added
+  populateWorldPicker();
+  renderMinorBodyList();
+  const minorForm = q("#minorForm");
+  if (minorForm) {
+    minorForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      addMinorBodyFromControls();
+    });
+  }
+  const worldPicker = q("#worldPicker");
+  if (worldPicker) {
+    worldPicker.addEventListener("change", () => {
+      selectWorld(findBody(worldPicker.value));
+    });
+  }
+
+  // Optional "my time" column in the timeline
+  const myTimeToggle = q("#myTimeToggle");
+  if (myTimeToggle) {
+    myTimeToggle.addEventListener("change", () => {
+      if (selectedPlanet()) updatePanelsForSelection(selectedPlanet());
+    });
+  }
+
+  // Reminder toggle and lead time on the "time is in…" panel
+  const reminderToggle = q("#reminderToggle");
+  const reminderMinutes = q("#reminderMinutes");
+  if (reminderToggle) {
+    reminderToggle.addEventListener("change", updateReminderFromControls);
+  }
+  if (reminderMinutes) {
+    reminderMinutes.addEventListener("change", () => {
+      if (reminderToggle && reminderToggle.checked) {
+        updateReminderFromControls();
+      }
+    });
+  }
+  const reminderForm = q("#reminderForm");
+  if (reminderForm) {
+    reminderForm.addEventListener("submit", (e) => e.preventDefault());
+  }
+  // Timers can drift or stall while the tab sleeps; re-plan on return
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState !== "visible") return;
+    rescheduleReminders();
+    if (countdown.planet) {
+      refreshCountdown();
+      tickCountdown();
+    }
+  });
+
+  // Calendar (.ics) export of upcoming planet times
+  const icsForm = q("#icsForm");
+  if (icsForm) {
+    icsForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      exportPlanetTimes();
+    });
+  }
+
+  // Elevation, pressure and temperature feed every solar computation
+  const observerForm = q("#observerForm");
+  if (observerForm) {
+    observerForm.addEventListener("submit", (e) => e.preventDefault());
+    observerForm.addEventListener("change", updateObserverFromControls);
+  }
+
+  // Top-of-atmosphere or surface light for every planet time
+  const lightForm = q("#lightForm");
+  if (lightForm) {
+    lightForm.addEventListener("submit", (e) => e.preventDefault());
+    lightForm.addEventListener("change", updateLightFromControls);
+  }
+
+  // Lux targets, from presets or typed in
+  populateLuxPresets();
+  const luxForm = q("#luxForm");
+  if (luxForm) {
+    luxForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      showLuxTarget();
+    });
+    const preset = q("#luxPreset");
+    if (preset) preset.addEventListener("change", applyLuxPreset);
+    const value = q("#luxValue");
+    if (value) value.addEventListener("input", updateLuxReadout);
+    const save = q("#luxSaveBtn");
+    if (save) save.addEventListener("click", saveLuxPresetFromControls);
+    const del = q("#luxDeleteBtn");
+    if (del) del.addEventListener("click", deleteSelectedLuxPreset);
+  }
+
+  // Brightness-to-altitude model for every planet time
+  const mappingForm = q("#mappingForm");
+  if (mappingForm) {
+    mappingForm.addEventListener("submit", (e) => e.preventDefault());
+    mappingForm.addEventListener("change", updateMappingFromControls);
+  }
+
+  // Year calendar runs on demand (a full year is ~365 crossing searches)
+  const calendarForm = q("#calendarForm");
+  if (calendarForm) {
+    calendarForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      runCalendar();
+    });
+  }
 }
 
 async function fetchCountriesOnce() {
@@ -936,6 +3174,7 @@ async function fetchCountriesOnce() {
     );
     if (!res.ok) throw new Error("country list fetch failed");
     const data = await res.json();
+    markDataAvailable("country list");
     const list = [];
     for (const c of data) {
       const name = c.name && (c.name.common || c.name.official || c.name);
@@ -946,42 +3185,43 @@ async function fetchCountriesOnce() {
         name: String(name),
         lat: Number(latlng[0]),
         lon: Number(latlng[1]),
+        tz: timeZoneForCountry(c.cca2, Number(latlng[1])),
       });
     }
     list.sort((a, b) => a.name.localeCompare(b.name));
     state.countries = list;
-    state.countryByName = new Map(list.map((c) => [c.name, c]));
+    rebuildPlaceIndex();
     // No native datalist used; we render our own dropdown.
-    // Auto-apply pending reverse-geocoded country once (silent)
-    if (state.pendingCountryName && !state.countryAutoAppliedOnce) {
-      const name = state.pendingCountryName;
-      if (state.countryByName.has(name)) {
-        state.countryAutoAppliedOnce = true;
-        applyCountrySelection(name, { visual: false });
-      }
-    }
     return list;
   } catch (e) {
+    markDataUnavailable("country list");
     // Minimal fallback list
     const list = [
-      { name: "United States", lat: 39.7837304, lon: -100.445882 },
-      { name: "Poland", lat: 52.237, lon: 21.017 },
-      { name: "United Kingdom", lat: 54.7023545, lon: -3.2765753 },
-      { name: "India", lat: 22.3511148, lon: 78.6677428 },
-      { name: "Australia", lat: -24.7761086, lon: 134.755 },
-      { name: "Japan", lat: 36.5748441, lon: 139.2394179 },
+      {
+        name: "United States",
+        lat: 39.7837304,
+        lon: -100.445882,
+        tz: "America/Chicago",
+      },
+      { name: "Poland", lat: 52.237, lon: 21.017, tz: "Europe/Warsaw" },
+      {
+        name: "United Kingdom",
+        lat: 54.7023545,
+        lon: -3.2765753,
+        tz: "Europe/London",
+      },
+      { name: "India", lat: 22.3511148, lon: 78.6677428, tz: "Asia/Kolkata" },
+      {
+        name: "Australia",
+        lat: -24.7761086,
+        lon: 134.755,
+        tz: "Australia/Darwin",
+      },
+      { name: "Japan", lat: 36.5748441, lon: 139.2394179, tz: "Asia/Tokyo" },
     ];
     state.countries = list;
-    state.countryByName = new Map(list.map((c) => [c.name, c]));
+    rebuildPlaceIndex();
     // No native datalist used in fallback either.
-    // Auto-apply pending reverse-geocoded country once (silent) using fallback list
-    if (state.pendingCountryName && !state.countryAutoAppliedOnce) {
-      const name = state.pendingCountryName;
-      if (state.countryByName.has(name)) {
-        state.countryAutoAppliedOnce = true;
-        applyCountrySelection(name, { visual: false });
-      }
-    }
     return list;
   }
 }
@@ -1003,19 +3243,25 @@ function guessCountryFromNavigator() {
   }
 }
 
-function applyCountrySelection(name, opts = { visual: true }) {
-  if (!name) return;
-  const entry = state.countryByName.get(name);
-  if (!entry) return;
-  const { lat, lon } = entry;
+function rebuildPlaceIndex() {
+  const countries = state.countries.map((c) => ({ kind: "country", ...c }));
+  state.placeIndex = buildPlaceIndex([...countries, ...state.cities]);
+}
+
+// Move the observer to a searched place (country centroid or city).
+function applyPlaceSelection(place, opts = { visual: true }) {
+  const { lat, lon } = place;
   state.lat = lat;
   state.lon = lon;
-  state.place = name;
+  state.place =
+    place.kind === "city" ? `${place.name}, ${place.country}` : place.name;
+  state.tz = place.tz || timeZoneForLongitude(lon);
   const latEl = q("#latInput");
   const lonEl = q("#lonInput");
   if (latEl) latEl.value = lat.toFixed(6);
   if (lonEl) lonEl.value = lon.toFixed(6);
   setLocationDisplay(lat, lon);
+  rescheduleReminders();
   if (opts && opts.visual) {
     // Visual indicator: reset to system view (exit any selection) with animation
     clearSelection("animate");
@@ -1030,49 +3276,50 @@ function applyCountrySelection(name, opts = { visual: true }) {
     }
   } else {
     // Silent refresh of panels if something is selected
-    if (state.selectedEl) {
-      const k = state.selectedEl.getAttribute("data-key");
-      const planet = PLANETS.find((p) => p.key === k) || null;
-      updatePanelsForSelection(planet);
+    if (selectedPlanet()) {
+      updatePanelsForSelection(selectedPlanet());
     }
   }
 }
 
-function wireHeaderTabs() {
-  // Smooth-scroll to in-page sections and briefly highlight the target
+// Smooth-scroll to an in-page section and briefly highlight it
+function scrollToTarget(hash) {
+  if (!hash) return;
   const header = document.querySelector(".app-header");
-  function scrollToTarget(hash) {
-    if (!hash) return;
-    const id = hash.replace(/^#/, "");
-    const target = document.getElementById(id);
-    if (!target) return;
-    const rect = target.getBoundingClientRect();
-    const headerH = header ? header.offsetHeight : 0;
-    const y = window.scrollY + rect.top - (headerH + 12); // small breathing space
-    window.scrollTo({ top: y, behavior: "smooth" });
-    // Add highlight pulse after the scroll settles a bit
-    setTimeout(() => {
-      target.classList.add("section-highlight");
-      setTimeout(() => target.classList.remove("section-highlight"), 750);
-    }, 300);
-  }
+  const id = hash.replace(/^#/, "");
+  const target = document.getElementById(id);
+  if (!target) return;
+  const rect = target.getBoundingClientRect();
+  const headerH = header ? header.offsetHeight : 0;
+  const y = window.scrollY + rect.top - (headerH + 12); // small breathing space
+  window.scrollTo({ top: y, behavior: "smooth" });
+  // Add highlight pulse after the scroll settles a bit
+  setTimeout(() => {
+    target.classList.add("section-highlight");
+    setTimeout(() => target.classList.remove("section-highlight"), 750);
+  }, 300);
+}
 
+function wireHeaderTabs() {
   document.querySelectorAll(".top-tabs .tab-link").forEach((a) => {
     a.addEventListener("click", (e) => {
       const href = a.getAttribute("href") || "";
       if (href.startsWith("#") && href.length > 1) {
         e.preventDefault();
         scrollToTarget(href);
-        // Update hash without jumping
-        history.pushState(null, "", href);
+        // Inside a route the section is its view; otherwise update the hash
+        // without jumping
+        if (isRoute(location.hash)) setView(href.slice(1));
+        else history.pushState(null, "", href);
       }
     });
   });
 
-  // Also handle back/forward
+  // Back/forward: routes restore their selection, anchors scroll
   window.addEventListener("popstate", () => {
     const h = location.hash;
-    if (h) scrollToTarget(h);
+    if (!h || isRoute(h)) followRoute(parseRoute(h) || parseRoute("#/"));
+    else scrollToTarget(h);
   });
 
   // Contact form submit (placeholder send)
@@ -1102,6 +3349,8 @@ function wireHeaderTabs() {
 }
 
 async function wireCountryControls() {
+  // Cities load alongside the country list and join the index when ready
+  loadCityData().catch(() => {});
   await fetchCountriesOnce();
   const input = q("#countrySearch");
   const dropdown = q("#countryDropdown");
@@ -1144,19 +3393,20 @@ async function wireCountryControls() {
   function renderMatches(matches) {
     dropdown.innerHTML = "";
     const frag = document.createDocumentFragment();
+    state.placeMatches = matches;
     matches.forEach((c, i) => {
       const d = document.createElement("div");
       d.className = "country-item";
       d.setAttribute("role", "option");
-      d.textContent = c.name;
-      d.dataset.name = c.name;
+      d.textContent = placeLabel(c);
+      d.dataset.index = String(i);
       // Mouse selection should not blur input before we handle selection
       d.addEventListener("mousedown", (ev) => {
         ev.preventDefault();
       });
       d.addEventListener("click", () => {
-        input.value = c.name;
-        applyCountrySelection(c.name, { visual: true });
+        input.value = placeLabel(c);
+        applyPlaceSelection(c, { visual: true });
         hideDropdown();
         input.blur();
       });
@@ -1173,10 +3423,7 @@ async function wireCountryControls() {
       hideDropdown();
       return;
     }
-    const ql = v.toLowerCase();
-    const matches = state.countries
-      .filter((c) => c.name.toLowerCase().includes(ql))
-      .slice(0, 10);
+    const matches = searchPlaces(state.placeIndex, v, 10);
     if (!matches.length) {
       // Show an empty state briefly, then hide
       dropdown.innerHTML = "";
@@ -1209,19 +3456,19 @@ async function wireCountryControls() {
     } else if (e.key === "Enter") {
       const items = dropdown.querySelectorAll(".country-item");
       if (isOpen && items.length && state.countryActiveIndex >= 0) {
-        const el = items[state.countryActiveIndex];
-        const name = el && el.dataset && el.dataset.name;
-        if (name && state.countryByName.has(name)) {
-          input.value = name;
-          applyCountrySelection(name, { visual: true });
+        const place = state.placeMatches[state.countryActiveIndex];
+        if (place) {
+          input.value = placeLabel(place);
+          applyPlaceSelection(place, { visual: true });
           hideDropdown();
           return;
         }
       }
-      // Else apply typed value if exact
-      const name = (input.value || "").trim();
-      if (name && state.countryByName.has(name)) {
-        applyCountrySelection(name, { visual: true });
+      // Else apply the top match for the typed value
+      const [top] = searchPlaces(state.placeIndex, input.value || "", 1);
+      if (top) {
+        input.value = placeLabel(top);
+        applyPlaceSelection(top, { visual: true });
         hideDropdown();
       }
     } else if (e.key === "Escape") {
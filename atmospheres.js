@@ -0,0 +1,45 @@
+// Sunlight at the ground under a body's atmosphere, as a fraction of the
+// sunlight arriving on top of it. Only bodies with a thick enough atmosphere
+// are listed; everything else keeps its top-of-atmosphere light.
+//
+// Fractions are for a high noon Sun, daylight-averaged over the visible band:
+// - Venus: about 2.5% gets through the cloud deck (Venera 13/14 photometry,
+//   Ekonomov et al. 1984)
+// - Titan: about 10% gets through the haze (Huygens DISR, Tomasko et al.
+//   2005)
+// - Mars: depends on dust. exp(-0.26 τ) follows the normalized net flux of
+//   Appelbaum & Flood (1990) for an overhead Sun, scattered light included;
+//   τ is 0.3-0.6 in clear seasons and 4-6 in a global dust storm.
+
+export const ATMOSPHERES = {
+  venus: {
+    transmission: 0.025,
+    note: "Under the clouds: about 1/40 of the light at their tops reaches the ground.",
+  },
+  titan: {
+    transmission: 0.1,
+    note: "Under the haze: about a tenth of the light gets through.",
+  },
+  mars: {
+    opticalDepth: 0.5,
+    note: "Dust scatters the light; a dust storm can dim noon several times over.",
+  },
+};
+
+export const MARS_OPTICAL_DEPTH_MIN = 0;
+export const MARS_OPTICAL_DEPTH_MAX = 8;
+
+export function hasAtmosphere(key) {
+  return Object.prototype.hasOwnProperty.call(ATMOSPHERES, key);
+}
+
+// Fraction of the light on top of the atmosphere that reaches the ground,
+// 1 for bodies without one. `light.marsOpticalDepth` overrides Mars's τ.
+export function surfaceTransmission(key, light = {}) {
+  const atm = hasAtmosphere(key) ? ATMOSPHERES[key] : null;
+  if (!atm) return 1;
+  if (atm.opticalDepth == null) return atm.transmission;
+  const tau =
+    light.marsOpticalDepth != null ? light.marsOpticalDepth : atm.opticalDepth;
+  return Math.exp(-0.26 * Math.max(0, tau));
+}
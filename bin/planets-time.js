@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+// Planet times from the command line, computed with the same solar.js and
+// planets.js code as the web app.
+//
+//   planets-time --planet pluto --lat 52.23 --lon 21.01 --date 2026-10-19
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { planetDaySummary } from "../calendar.js";
+import { buildNearestIndex, nearestPlace, parseCities } from "../gazetteer.js";
+import { EXOPLANETS } from "../exoplanets.js";
+import { MINOR_BODIES } from "../minorbodies.js";
+import { SPACECRAFT } from "../spacecraft.js";
+import {
+  MARS_OPTICAL_DEPTH_MAX,
+  MARS_OPTICAL_DEPTH_MIN,
+} from "../atmospheres.js";
+import { MAPPING_MODELS } from "../mapping.js";
+import { LUX_MAX, LUX_MIN, luxTarget } from "../lux.js";
+import { MOONS, PLANETS, nextPlanetTime } from "../planets.js";
+import {
+  formatUtcOffset,
+  isValidTimeZone,
+  timeZoneForLongitude,
+  zoneOffsetMinutes,
+  zonedDayWindow,
+  zonedDayWindowFor,
+  zonedParts,
+} from "../timezone.js";
+
+const USAGE = `Usage: planets-time --planet <name> --lat <deg> --lon <deg> [options]
+       planets-time --lux <lux> --lat <deg> --lon <deg> [options]
+
+Prints morning/evening planet time, sunrise, solar noon and sunset for each
+day, plus the next planet time.
+
+Options:
+  --planet <name>   mercury, venus, mars, jupiter, saturn, uranus, neptune,
+                    pluto, or a moon: moon, europa, ganymede, titan, triton,
+                    charon, an exoplanet: proxima-b, trappist-1b..h,
+                    toi-700d, kepler-452b, a dwarf planet or comet:
+                    ceres, eris, makemake, sedna, 1p-halley, or a
+                    spacecraft: voyager-1, voyager-2, new-horizons, parker
+  --lux <lux>       instead of a planet: when the clear-sky light outdoors
+                    is this many lux, ${LUX_MIN}..${LUX_MAX}
+  --lat <deg>       latitude, -90..90 (north positive)
+  --lon <deg>       longitude, -180..180 (east positive)
+  --date <date>     first day as YYYY-MM-DD (default: today at the location)
+  --days <n>        number of days, 1..366 (default: 1)
+  --tz <zone>       IANA time zone (default: zone of the nearest bundled city)
+  --elevation <m>   observer elevation in metres (default: 0)
+  --pressure <hPa>  air pressure (default: standard atmosphere at --elevation)
+  --temperature <C> air temperature in °C (default: 10)
+  --surface         match the light at the ground under Venus's clouds,
+                    Titan's haze or Mars's dust, not above the atmosphere
+  --mars-tau <tau>  Mars dust optical depth, 0..8 (default: 0.5)
+  --model <name>    brightness-to-altitude mapping: twilight-slope,
+                    gentle-slope or clear-sky (default: twilight-slope)
+  --format <fmt>    table, json or csv (default: table)
+  -h, --help        show this help
+
+Negative coordinates need an equals sign: --lat=-33.87 --lon=-74.
+The next planet time is counted from now, or from the start of --date when
+given. CSV output lists the days only.
+
+Exit codes: 0 success, 1 unexpected error, 2 bad input.`;
+
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const FORMATS = ["table", "json", "csv"];
+const MAX_DAYS = 366;
+// Same cut-off the app uses before falling back to a longitude zone
+const NEAREST_PLACE_MAX_KM = 300;
+
+function fail(message) {
+  process.stderr.write(`planets-time: ${message}\n`);
+  process.stderr.write("Try 'planets-time --help' for usage.\n");
+  process.exit(EXIT_USAGE);
+}
+
+function parseNumber(name, value, min, max) {
+  const x = Number(value);
+  if (value == null || value === "" || !Number.isFinite(x)) {
+    fail(`--${name} must be a number`);
+  }
+  if (x < min || x > max) fail(`--${name} must be between ${min} and ${max}`);
+  return x;
+}
+
+// YYYY-MM-DD -> { year, month (0-based), day }, rejecting dates like 02-30
+function parseDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!m) fail("--date must look like YYYY-MM-DD");
+  const [year, month, day] = [+m[1], +m[2] - 1, +m[3]];
+  const d = new Date(Date.UTC(year, month, day));
+  if (d.getUTCMonth() !== month || d.getUTCDate() !== day) {
+    fail(`--date ${value} is not a calendar date`);
+  }
+  return { year, month, day };
+}
+
+function findPlanet(name) {
+  const q = String(name).trim().toLowerCase();
+  const p = [
+    ...PLANETS,
+    ...MOONS,
+    ...EXOPLANETS,
+    ...MINOR_BODIES,
+    ...SPACECRAFT,
+  ].find((x) => x.key === q || x.name.toLowerCase() === q);
+  if (!p) fail(`unknown planet "${name}"`);
+  if (p.key === "earth") fail("Earth has no planet time; pick another planet");
+  return p;
+}
+
+function defaultTimeZone(lat, lon) {
+  try {
+    const url = new URL("../assets/data/cities.json", import.meta.url);
+    const cities = parseCities(JSON.parse(readFileSync(url, "utf8")));
+    const hit = nearestPlace(buildNearestIndex(cities), lat, lon);
+    if (hit && hit.distanceKm <= NEAREST_PLACE_MAX_KM) return hit.place.tz;
+  } catch (_) {
+    // No gazetteer next to the script; the longitude zone still works
+  }
+  return timeZoneForLongitude(lon);
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function ymd({ year, month, day }) {
+  return `${year}-${pad(month + 1)}-${pad(day)}`;
+}
+
+// Wall-clock time in the zone with its offset: 2026-10-19T06:41:05+02:00
+function isoInZone(date, timeZone) {
+  if (!date) return null;
+  const p = zonedParts(date, timeZone);
+  const off = zoneOffsetMinutes(date, timeZone);
+  const abs = Math.abs(off);
+  const zone = off
+    ? `${off < 0 ? "-" : "+"}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+    : "Z";
+  return `${ymd(p)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` + zone;
+}
+
+function hhmm(date, timeZone) {
+  if (!date) return "—";
+  const p = zonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+const FLAG_NOTES = {
+  "polar-day": "Sun stays brighter all day",
+  "polar-night": "Sun never gets this bright",
+  single: "only one crossing",
+};
+
+const CLAMP_NOTES = {
+  low: "dimmer than any twilight; target held at -18°",
+  high: "brighter than any Sun; target held at 85°",
+};
+
+function dayNote(d) {
+  if (d.targetAltDeg == null) return "no distance for this date";
+  return [FLAG_NOTES[d.flag], CLAMP_NOTES[d.targetClamped]]
+    .filter(Boolean)
+    .join("; ");
+}
+
+function renderTable(result) {
+  const { planet, lat, lon, timeZone, days, next } = result;
+  const offset = formatUtcOffset(zoneOffsetMinutes(days[0].date, timeZone));
+  const head = [
+    "Date",
+    "Target",
+    "Morning",
+    "Evening",
+    "Sunrise",
+    "Noon",
+    "Sunset",
+    "Note",
+  ];
+  const rows = days.map((d) => [
+    ymd(d),
+    d.targetAltDeg == null ? "—" : `${d.targetAltDeg.toFixed(2)}°`,
+    hhmm(d.morning, timeZone),
+    hhmm(d.evening, timeZone),
+    hhmm(d.sunrise, timeZone),
+    hhmm(d.solarNoon, timeZone),
+    hhmm(d.sunset, timeZone),
+    dayNote(d),
+  ]);
+  const widths = head.map((h, i) =>
+    Math.max(h.length, ...rows.map((r) => r[i].length))
+  );
+  const line = (cells) =>
+    cells
+      .map((c, i) => c.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+  const out = [
+    `${planet.name} time at ${lat.toFixed(4)}, ${lon.toFixed(4)}` +
+      ` (${timeZone}, ${offset})`,
+    "",
+    line(head),
+    ...rows.map(line),
+    "",
+    next
+      ? `Next ${planet.name} time: ${isoInZone(next, timeZone)
+          .slice(0, 16)
+          .replace("T", " ")}`
+      : `Next ${planet.name} time: none found`,
+  ];
+  return out.join("\n") + "\n";
+}
+
+function renderJSON(result) {
+  const { planet, lat, lon, timeZone, days, next } = result;
+  const data = {
+    planet: { key: planet.key, name: planet.name },
+    lat,
+    lon,
+    timeZone,
+    days: days.map((d) => ({
+      date: ymd(d),
+      targetAltitudeDeg: d.targetAltDeg,
+      targetClamped: d.targetClamped,
+      morning: isoInZone(d.morning, timeZone),
+      evening: isoInZone(d.evening, timeZone),
+      sunrise: isoInZone(d.sunrise, timeZone),
+      solarNoon: isoInZone(d.solarNoon, timeZone),
+      sunset: isoInZone(d.sunset, timeZone),
+      flag: d.flag,
+    })),
+    next: isoInZone(next, timeZone),
+  };
+  return JSON.stringify(data, null, 2) + "\n";
+}
+
+function renderCSV(result) {
+  const { timeZone, days } = result;
+  const out = [
+    "date,target_altitude_deg,morning,evening,sunrise,solar_noon,sunset,flag",
+  ];
+  for (const d of days) {
+    out.push(
+      [
+        ymd(d),
+        d.targetAltDeg == null ? "" : d.targetAltDeg.toFixed(3),
+        isoInZone(d.morning, timeZone) || "",
+        isoInZone(d.evening, timeZone) || "",
+        isoInZone(d.sunrise, timeZone) || "",
+        isoInZone(d.solarNoon, timeZone) || "",
+        isoInZone(d.sunset, timeZone) || "",
+        d.flag || "",
+      ].join(",")
+    );
+  }
+  return out.join("\n") + "\n";
+}
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        planet: { type: "string" },
+        lux: { type: "string" },
+        lat: { type: "string" },
+        lon: { type: "string" },
+        date: { type: "string" },
+        days: { type: "string", default: "1" },
+        tz: { type: "string" },
+        elevation: { type: "string" },
+        pressure: { type: "string" },
+        temperature: { type: "string" },
+        surface: { type: "boolean", default: false },
+        "mars-tau": { type: "string" },
+        model: { type: "string" },
+        format: { type: "string", default: "table" },
+        help: { type: "boolean", short: "h" },
+      },
+      strict: true,
+      allowPositionals: false,
+    });
+  } catch (e) {
+    fail(e.message);
+  }
+  const opts = parsed.values;
+  if (opts.help) {
+    process.stdout.write(USAGE + "\n");
+    return;
+  }
+  if (opts.planet && opts.lux != null) fail("give --planet or --lux, not both");
+  if (!opts.planet && opts.lux == null) fail("give --planet or --lux");
+  const planet = opts.planet
+    ? findPlanet(opts.planet)
+    : luxTarget(parseNumber("lux", opts.lux, LUX_MIN, LUX_MAX));
+  const lat = parseNumber("lat", opts.lat, -90, 90);
+  const lon = parseNumber("lon", opts.lon, -180, 180);
+  if (!/^\d+$/.test(opts.days)) fail("--days must be a whole number");
+  const days = parseNumber("days", opts.days, 1, MAX_DAYS);
+  if (!FORMATS.includes(opts.format)) {
+    fail(`--format must be one of ${FORMATS.join(", ")}`);
+  }
+  if (opts.tz != null && !isValidTimeZone(opts.tz)) {
+    fail(`unknown time zone "${opts.tz}"`);
+  }
+  const timeZone = opts.tz || defaultTimeZone(lat, lon);
+  const observer = {};
+  if (opts.elevation != null) {
+    observer.elevationM = parseNumber("elevation", opts.elevation, -500, 9000);
+  }
+  if (opts.pressure != null) {
+    observer.pressureHPa = parseNumber("pressure", opts.pressure, 100, 1100);
+  }
+  if (opts.temperature != null) {
+    observer.temperatureC = parseNumber(
+      "temperature",
+      opts.temperature,
+      -90,
+      60
+    );
+  }
+
+  const light = { surface: opts.surface };
+  if (opts.model != null) {
+    const keys = MAPPING_MODELS.map((m) => m.key);
+    if (!keys.includes(opts.model)) {
+      fail(`--model must be one of ${keys.join(", ")}`);
+    }
+    light.model = opts.model;
+  }
+  if (opts["mars-tau"] != null) {
+    light.marsOpticalDepth = parseNumber(
+      "mars-tau",
+      opts["mars-tau"],
+      MARS_OPTICAL_DEPTH_MIN,
+      MARS_OPTICAL_DEPTH_MAX
+    );
+  }
+
+  const now = new Date();
+  const first = opts.date
+    ? parseDate(opts.date)
+    : zonedDayWindow(now, timeZone);
+  const summaries = [];
+  for (let i = 0; i < days; i++) {
+    summaries.push(
+      planetDaySummary(first.year, first.month, first.day + i, {
+        planetKey: planet.key,
+        lat,
+        lon,
+        timeZone,
+        observer,
+        light,
+      })
+    );
+  }
+  const from = opts.date
+    ? zonedDayWindowFor(first.year, first.month, first.day, timeZone).start
+    : now;
+  const next = nextPlanetTime(
+    from,
+    lat,
+    lon,
+    planet.au,
+    planet.key,
+    timeZone,
+    from,
+    observer,
+    light
+  );
+
+  const result = { planet, lat, lon, timeZone, days: summaries, next };
+  const render = { table: renderTable, json: renderJSON, csv: renderCSV };
+  process.stdout.write(render[opts.format](result));
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  process.stderr.write(`planets-time: ${e && e.stack ? e.stack : e}\n`);
+  process.exit(EXIT_ERROR);
+}
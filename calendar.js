@@ -0,0 +1,90 @@
+// Year-at-a-glance planet time calendar for one location.
+// Each day gets morning/evening planet time plus sunrise, solar noon and
+// sunset, all computed in the location's time zone with solar.js.
+
+import { targetAltitudeForPlanetKey } from "./planets.js";
+import {
+  findApparentAltitudeCrossings,
+  solarApparentAltitudeDeg,
+  sunTimes,
+} from "./solar.js";
+import { zonedDayWindowFor } from "./timezone.js";
+
+// Summary of one civil day. `flag` marks days without a morning/evening pair:
+// - "polar-day": the Sun stays brighter than the planet's noon all day
+// - "polar-night": the Sun never gets as bright as the planet's noon
+// - "single": only one crossing falls inside this day
+// `targetClamped` is "low" or "high" when the planet's light is beyond what
+// any Sun altitude matches (see targetAltitudeForFlux in planets.js).
+// `opts.observer` holds the elevation and weather options of solar.js,
+// `opts.light` the surface-light options of planets.js.
+export function planetDaySummary(year, month, day, opts) {
+  const { planetKey, lat, lon, timeZone, observer = {}, light = {} } = opts;
+  const win = zonedDayWindowFor(year, month, day, timeZone);
+  const target = targetAltitudeForPlanetKey(planetKey, win.start, light);
+  const targetAltDeg = target ? target.altitude : null;
+  const crossings =
+    targetAltDeg == null
+      ? []
+      : findApparentAltitudeCrossings(
+          win.start,
+          lat,
+          lon,
+          targetAltDeg,
+          timeZone,
+          observer
+        ) || [];
+  let flag = null;
+  if (targetAltDeg != null && crossings.length === 0) {
+    // No crossing means the whole day sits on one side of the target
+    const h = solarApparentAltitudeDeg(win.start, lat, lon, observer);
+    flag = h > targetAltDeg ? "polar-day" : "polar-night";
+  } else if (crossings.length === 1) {
+    flag = "single";
+  }
+  // A lone crossing is a morning if the Sun is rising through the target
+  let morning = crossings[0] || null;
+  let evening = crossings[1] || null;
+  if (crossings.length === 1) {
+    const after = new Date(morning.getTime() + 60000);
+    if (solarApparentAltitudeDeg(after, lat, lon, observer) < targetAltDeg) {
+      evening = morning;
+      morning = null;
+    }
+  }
+  const sun = sunTimes(win.start, lat, lon, timeZone, observer);
+  return {
+    date: win.start,
+    year: win.year,
+    month: win.month,
+    day: win.day,
+    targetAltDeg,
+    targetClamped: target ? target.clamped : null,
+    morning,
+    evening,
+    sunrise: sun.sunrise,
+    solarNoon: sun.solarNoon,
+    sunset: sun.sunset,
+    daylight: sun.daylight,
+    alwaysUp: sun.alwaysUp,
+    alwaysDown: sun.alwaysDown,
+    flag,
+  };
+}
+
+// All days of one month (month is 0-based).
+export function planetMonthCalendar(year, month, opts) {
+  const days = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const out = [];
+  for (let d = 1; d <= days; d++) {
+    out.push(planetDaySummary(year, month, d, opts));
+  }
+  return out;
+}
+
+// Whole year as 12 month arrays.
+export function planetYearCalendar(year, opts) {
+  const months = [];
+  for (let m = 0; m < 12; m++) months.push(planetMonthCalendar(year, m, opts));
+  return months;
+}
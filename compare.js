@@ -0,0 +1,61 @@
+// Every planet side by side for one day at one location: distance, light,
+// target altitude and planet times, in the shape the comparison table sorts.
+
+import { planetDaySummary } from "./calendar.js";
+import {
+  PLANETS,
+  heliocentricDistanceAU,
+  planetIrradianceScale,
+} from "./planets.js";
+import { zonedDayWindow } from "./timezone.js";
+
+// One row per body in PLANETS, in PLANETS order, for the civil day (in
+// `opts.timeZone`) containing `date`. Earth has no planet time: its target
+// and times are null. `opts` is that of planetDaySummary minus planetKey.
+export function planetComparison(date, opts) {
+  const { year, month, day } = zonedDayWindow(date, opts.timeZone);
+  return PLANETS.map((p, order) => {
+    const distanceAU = heliocentricDistanceAU(p.key, date);
+    const summary =
+      p.key === "earth"
+        ? null
+        : planetDaySummary(year, month, day, { ...opts, planetKey: p.key });
+    return {
+      key: p.key,
+      name: p.name,
+      color: p.color,
+      order,
+      distanceAU,
+      irradiance: planetIrradianceScale(distanceAU),
+      targetAltDeg: summary ? summary.targetAltDeg : null,
+      morning: summary ? summary.morning : null,
+      evening: summary ? summary.evening : null,
+      flag: summary ? summary.flag : null,
+    };
+  });
+}
+
+// Columns the table sorts by, as row -> number (null sorts last)
+export const COMPARISON_SORTS = {
+  order: (r) => r.order,
+  distance: (r) => r.distanceAU,
+  irradiance: (r) => r.irradiance,
+  target: (r) => r.targetAltDeg,
+  morning: (r) => (r.morning ? r.morning.getTime() : null),
+  evening: (r) => (r.evening ? r.evening.getTime() : null),
+  next: (r) => (r.next ? r.next.getTime() : null),
+};
+
+// Copy of `rows` sorted by `column`, ascending for dir 1 and descending for
+// -1; rows without a value stay at the bottom either way
+export function sortComparison(rows, column, dir = 1) {
+  const value = COMPARISON_SORTS[column] || COMPARISON_SORTS.order;
+  return rows.slice().sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (va == null || vb == null) {
+      return va == null && vb == null ? a.order - b.order : va == null ? 1 : -1;
+    }
+    return (va - vb) * dir || a.order - b.order;
+  });
+}
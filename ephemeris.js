@@ -0,0 +1,105 @@
+// Heliocentric distance ephemeris for the planets and Pluto.
+// - Planets: truncated VSOP87 radius series (vsop87.js, built by
+//   scripts/build_vsop87.mjs). Over 1900-2100 they stay within 1e-5 of the
+//   distance of the full series: 4e-6 AU for Mercury up to 1.6e-4 AU for
+//   Uranus. The old mean-element model was off by up to 2.4% (Mercury).
+// - Pluto: Meeus, "Astronomical Algorithms", chapter 37, a fit to the
+//   DE200 ephemeris valid from 1885 to 2099 only; outside that range callers
+//   fall back to Kepler elements.
+// Dates are treated as TT; the ~1 minute TT-UT difference moves a distance
+// by far less than these errors.
+
+import { VSOP87_RADIUS } from "./vsop87.js";
+
+const J2000 = 2451545.0;
+const PLUTO_VALID = [Date.UTC(1885, 0, 1), Date.UTC(2100, 0, 1)];
+
+function julianDay(date) {
+  return date.getTime() / 86400000 + 2440587.5;
+}
+
+// Pluto periodic terms (Meeus table 37.A): i, j, k, radius A, radius B (AU)
+// for the argument i*J + j*S + k*P
+const PLUTO_TERMS = [
+  [0, 0, 1, 6.6865439, 6.8951812],
+  [0, 0, 2, -1.1827535, -0.0332538],
+  [0, 0, 3, 0.1593179, -0.143889],
+  [0, 0, 4, -0.0018444, 0.048322],
+  [0, 0, 5, -0.0065977, -0.0085431],
+  [0, 0, 6, 0.0031174, -0.0006032],
+  [0, 1, -1, -0.0005794, 0.0022161],
+  [0, 1, 0, 0.0004601, 0.0004032],
+  [0, 1, 1, -0.0001729, 0.0000234],
+  [0, 1, 2, -0.0000415, 0.0000702],
+  [0, 1, 3, 0.0000239, 0.0000723],
+  [0, 2, -2, 0.0000067, -0.0000067],
+  [0, 2, -1, 0.0001034, -0.0000451],
+  [0, 2, 0, -0.0000129, 0.0000504],
+  [1, -1, 0, 0.000048, -0.0000231],
+  [1, -1, 1, 0.0000002, -0.0000441],
+  [1, 0, -3, -0.0003359, 0.0000265],
+  [1, 0, -2, 0.0007856, -0.0007832],
+  [1, 0, -1, 0.0000036, 0.0045763],
+  [1, 0, 0, 0.0008663, 0.0008547],
+  [1, 0, 1, -0.0000809, -0.0000769],
+  [1, 0, 2, 0.0000263, -0.0000144],
+  [1, 0, 3, -0.0000126, 0.0000032],
+  [1, 0, 4, -0.0000035, -0.0000016],
+  [1, 1, -3, -0.0000019, -0.0000004],
+  [1, 1, -2, -0.0000015, 0.0000008],
+  [1, 1, -1, -0.0000004, 0.0000012],
+  [1, 1, 0, 0.0000005, 0.0000006],
+  [1, 1, 1, 0.0000003, 0.0000001],
+  [1, 1, 3, 0.0000006, -0.0000002],
+  [2, 0, -6, 0.0000002, 0.0000002],
+  [2, 0, -5, -0.0000002, -0.0000002],
+  [2, 0, -4, 0.0000014, 0.0000013],
+  [2, 0, -3, -0.0000063, 0.0000013],
+  [2, 0, -2, 0.0000136, -0.0000236],
+  [2, 0, -1, 0.0000273, 0.0001065],
+  [2, 0, 0, 0.0000251, 0.0000149],
+  [2, 0, 1, -0.0000025, -0.0000009],
+  [2, 0, 2, 0.0000009, -0.0000002],
+  [2, 0, 3, -0.0000008, 0.0000007],
+  [3, 0, -2, 0.0000002, -0.000001],
+  [3, 0, -1, 0.0000019, 0.0000035],
+  [3, 0, 0, 0.000001, 0.0000003],
+];
+
+// Sum of VSOP87 radius series; null for bodies without one
+export function vsop87RadiusAU(planetKey, date) {
+  const series = VSOP87_RADIUS[planetKey];
+  if (!series) return null;
+  const tau = (julianDay(date) - J2000) / 365250; // Julian millennia
+  let r = 0;
+  let tk = 1;
+  for (const terms of series) {
+    let s = 0;
+    for (const [A, B, C] of terms) s += A * Math.cos(B + C * tau);
+    r += s * tk;
+    tk *= tau;
+  }
+  return r;
+}
+
+// Pluto's distance from the Sun (AU); null outside 1885-2099
+export function plutoRadiusAU(date) {
+  const t = date.getTime();
+  if (t < PLUTO_VALID[0] || t >= PLUTO_VALID[1]) return null;
+  const T = (julianDay(date) - J2000) / 36525; // Julian centuries
+  const J = 34.35 + 3034.9057 * T; // Jupiter, Saturn and Pluto mean longitudes
+  const S = 50.08 + 1222.1138 * T;
+  const P = 238.96 + 144.96 * T;
+  let r = 40.7241346;
+  for (const [i, j, k, A, B] of PLUTO_TERMS) {
+    const a = ((i * J + j * S + k * P) * Math.PI) / 180;
+    r += A * Math.sin(a) + B * Math.cos(a);
+  }
+  return r;
+}
+
+// Best available distance for a planet key, or null when none applies
+export function ephemerisDistanceAU(planetKey, date) {
+  if (planetKey === "pluto") return plutoRadiusAU(date);
+  return vsop87RadiusAU(planetKey, date);
+}
@@ -0,0 +1,104 @@
+// Small catalog of exoplanets for "other worlds" planet time.
+// A world is defined by its star's luminosity (solar units) and its mean
+// orbital distance (AU); planets.js turns L / a^2 into sunlight relative to
+// Earth's and maps that to a target Sun altitude like any planet's.
+// Values: NASA Exoplanet Archive (2024) and the discovery papers; TRAPPIST-1
+// from Agol et al. (2021).
+
+export const EXOPLANETS = [
+  {
+    key: "proxima-b",
+    name: "Proxima b",
+    star: "Proxima Centauri",
+    luminosity: 0.00155,
+    au: 0.04856,
+    color: "#f87171",
+    note: "A dim red dwarf at 4.2 light years; about two thirds of Earth's sunlight, mostly infrared.",
+  },
+  {
+    key: "trappist-1b",
+    name: "TRAPPIST-1b",
+    star: "TRAPPIST-1",
+    luminosity: 0.000553,
+    au: 0.01154,
+    color: "#fb923c",
+    note: "Four times Earth's sunlight from an ultracool dwarf, on a 1.5-day orbit.",
+  },
+  {
+    key: "trappist-1c",
+    name: "TRAPPIST-1c",
+    star: "TRAPPIST-1",
+    luminosity: 0.000553,
+    au: 0.0158,
+    color: "#fdba74",
+    note: "About twice Earth's sunlight, in deep red light.",
+  },
+  {
+    key: "trappist-1d",
+    name: "TRAPPIST-1d",
+    star: "TRAPPIST-1",
+    luminosity: 0.000553,
+    au: 0.02227,
+    color: "#fcd34d",
+    note: "Close to Earth's sunlight in total, but it would look dim and red to us.",
+  },
+  {
+    key: "trappist-1e",
+    name: "TRAPPIST-1e",
+    star: "TRAPPIST-1",
+    luminosity: 0.000553,
+    au: 0.02925,
+    color: "#86efac",
+    note: "About two thirds of Earth's sunlight; a favourite for habitability.",
+  },
+  {
+    key: "trappist-1f",
+    name: "TRAPPIST-1f",
+    star: "TRAPPIST-1",
+    luminosity: 0.000553,
+    au: 0.03849,
+    color: "#5eead4",
+    note: "About a third of Earth's sunlight.",
+  },
+  {
+    key: "trappist-1g",
+    name: "TRAPPIST-1g",
+    star: "TRAPPIST-1",
+    luminosity: 0.000553,
+    au: 0.04683,
+    color: "#7dd3fc",
+    note: "About a quarter of Earth's sunlight.",
+  },
+  {
+    key: "trappist-1h",
+    name: "TRAPPIST-1h",
+    star: "TRAPPIST-1",
+    luminosity: 0.000553,
+    au: 0.06189,
+    color: "#a5b4fc",
+    note: "The outermost, with about a seventh of Earth's sunlight.",
+  },
+  {
+    key: "toi-700d",
+    name: "TOI-700 d",
+    star: "TOI-700",
+    luminosity: 0.0233,
+    au: 0.1633,
+    color: "#c4b5fd",
+    note: "A quiet red dwarf gives it about 87% of Earth's sunlight.",
+  },
+  {
+    key: "kepler-452b",
+    name: "Kepler-452b",
+    star: "Kepler-452",
+    luminosity: 1.2,
+    au: 1.046,
+    color: "#fde047",
+    note: "A Sun-like star, slightly older and brighter: about 10% more sunlight than Earth.",
+  },
+];
+
+// Stellar flux at the world relative to Earth's (1 = 1361 W/m^2)
+export function stellarFluxRatio(world) {
+  return world.luminosity / (world.au * world.au);
+}
@@ -0,0 +1,209 @@
+// Offline place lookup over the bundled city gazetteer plus the country list.
+// Forward search folds names (case, accents, a few special letters) into one
+// sorted key array so a prefix lookup is a binary search, which keeps the
+// dropdown fast while typing. Reverse lookup finds the nearest city on-device.
+
+const CITIES_URL = "./assets/data/cities.json";
+
+let citiesPromise = null;
+
+// Letters NFD does not decompose into base letter + mark
+const FOLD_EXTRA = {
+  ł: "l",
+  đ: "d",
+  ð: "d",
+  ø: "o",
+  œ: "oe",
+  æ: "ae",
+  ß: "ss",
+  þ: "th",
+  ı: "i",
+};
+
+export function foldName(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[łđðøœæßþı]/g, (ch) => FOLD_EXTRA[ch])
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Expands the compact cities.json rows into
+// { kind: "city", name, admin, countryCode, country, lat, lon, tz, pop }.
+export function parseCities(data) {
+  return data.cities.map(([name, admin, cc, lat, lon, tz, pop]) => ({
+    kind: "city",
+    name,
+    admin,
+    countryCode: cc,
+    country: data.countries[cc] || cc,
+    lat,
+    lon,
+    tz,
+    pop,
+  }));
+}
+
+// Loads the bundled cities once (see parseCities for the shape).
+export function loadCities() {
+  if (!citiesPromise) {
+    citiesPromise = fetch(CITIES_URL)
+      .then((res) => {
+        if (!res.ok) throw new Error("city gazetteer fetch failed");
+        return res.json();
+      })
+      .then(parseCities)
+      .catch((e) => {
+        citiesPromise = null; // allow a retry later
+        throw e;
+      });
+  }
+  return citiesPromise;
+}
+
+// Display label: "Kraków, Lesser Poland, Poland" / "Poland"
+export function placeLabel(place) {
+  if (place.kind !== "city") return place.name;
+  // Skip a region that only repeats the city name ("Sao Paulo, São Paulo")
+  const admin =
+    place.admin && foldName(place.admin) !== foldName(place.name)
+      ? place.admin
+      : "";
+  return [place.name, admin, place.country].filter(Boolean).join(", ");
+}
+
+// Builds a search index over places ({ name, ... }). Every word start of a
+// name is a key, so "york" finds "New York"; full-name keys rank higher.
+export function buildPlaceIndex(places) {
+  const keys = [];
+  places.forEach((place, i) => {
+    const folded = foldName(place.name);
+    if (!folded) return;
+    keys.push({ key: folded, i, full: true });
+    let at = folded.indexOf(" ");
+    while (at !== -1) {
+      keys.push({ key: folded.slice(at + 1), i, full: false });
+      at = folded.indexOf(" ", at + 1);
+    }
+    // "springfield illinois" narrows a common name down by its region
+    if (place.admin) {
+      keys.push({ key: `${folded} ${foldName(place.admin)}`, i, full: true });
+    }
+  });
+  keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  return { places, keys };
+}
+
+function lowerBound(keys, q) {
+  let lo = 0;
+  let hi = keys.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (keys[mid].key < q) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Prefix search. Ranking: exact name, then full-name prefix, then word prefix;
+// countries before cities; then by population.
+export function searchPlaces(index, query, limit = 10) {
+  const q = foldName(query);
+  if (!index || !q) return [];
+  const best = new Map(); // place index -> rank tuple
+  const MAX_SCAN = 5000; // bound the work for one- or two-letter queries
+  for (
+    let k = lowerBound(index.keys, q), n = 0;
+    k < index.keys.length && n < MAX_SCAN;
+    k++, n++
+  ) {
+    const entry = index.keys[k];
+    if (!entry.key.startsWith(q)) break;
+    const tier = entry.full ? (entry.key === q ? 0 : 1) : 2;
+    const prev = best.get(entry.i);
+    if (prev == null || tier < prev) best.set(entry.i, tier);
+  }
+  return [...best.entries()]
+    .map(([i, tier]) => ({ place: index.places[i], tier }))
+    .sort((a, b) => {
+      if (a.tier !== b.tier) return a.tier - b.tier;
+      const ak = a.place.kind === "country" ? 0 : 1;
+      const bk = b.place.kind === "country" ? 0 : 1;
+      if (ak !== bk) return ak - bk;
+      return (b.place.pop || 0) - (a.place.pop || 0);
+    })
+    .slice(0, limit)
+    .map((m) => m.place);
+}
+
+// --- Reverse lookup ---
+// Places sit in a k-d tree over unit vectors on the sphere. Straight-line
+// (chord) distance between unit vectors orders the same as great-circle
+// distance, so the search needs no trigonometry and works across the date
+// line and the poles.
+
+const EARTH_RADIUS_KM = 6371;
+
+function toUnitVector(lat, lon) {
+  const phi = (lat * Math.PI) / 180;
+  const lambda = (lon * Math.PI) / 180;
+  return [
+    Math.cos(phi) * Math.cos(lambda),
+    Math.cos(phi) * Math.sin(lambda),
+    Math.sin(phi),
+  ];
+}
+
+function buildKdNode(items, depth) {
+  if (!items.length) return null;
+  const axis = depth % 3;
+  items.sort((a, b) => a.v[axis] - b.v[axis]);
+  const mid = items.length >> 1;
+  return {
+    item: items[mid],
+    axis,
+    left: buildKdNode(items.slice(0, mid), depth + 1),
+    right: buildKdNode(items.slice(mid + 1), depth + 1),
+  };
+}
+
+// Builds a nearest-place index over places with lat/lon.
+export function buildNearestIndex(places) {
+  const items = places.map((place) => ({
+    v: toUnitVector(place.lat, place.lon),
+    place,
+  }));
+  return { root: buildKdNode(items, 0) };
+}
+
+// Nearest place to lat/lon: { place, distanceKm }, or null for an empty index.
+export function nearestPlace(index, lat, lon) {
+  if (!index || !index.root) return null;
+  const t = toUnitVector(lat, lon);
+  let best = null;
+  let bestD2 = Infinity;
+  const visit = (node) => {
+    if (!node) return;
+    const { v } = node.item;
+    const dx = v[0] - t[0];
+    const dy = v[1] - t[1];
+    const dz = v[2] - t[2];
+    const d2 = dx * dx + dy * dy + dz * dz;
+    if (d2 < bestD2) {
+      bestD2 = d2;
+      best = node.item.place;
+    }
+    const diff = t[node.axis] - v[node.axis];
+    visit(diff < 0 ? node.left : node.right);
+    // The far side can only help if the splitting plane is closer than best
+    if (diff * diff < bestD2) visit(diff < 0 ? node.right : node.left);
+  };
+  visit(index.root);
+  const chord = Math.sqrt(bestD2);
+  return {
+    place: best,
+    distanceKm: 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, chord / 2)),
+  };
+}
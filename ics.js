@@ -0,0 +1,166 @@
+// iCalendar (RFC 5545) export of morning/evening planet times.
+// Events are in UTC, carry the target altitude in their description and use
+// UIDs derived from planet, day, place and light (orbital or surface, and
+// the mapping model) so a re-import updates instead of duplicating them,
+// and exports of different light never replace each other. Switching the
+// light or the model and exporting again adds a second set of events; the
+// first stays until deleted by hand.
+
+import { findMappingModel } from "./mapping.js";
+import { targetApparentAltitudeForPlanetKey } from "./planets.js";
+import {
+  findApparentAltitudeCrossings,
+  splitCrossings,
+  sunTimes,
+} from "./solar.js";
+import { zonedDayWindow, zonedDayWindowFor } from "./timezone.js";
+
+const PRODID = "-//Planets Time//Planet time export//EN";
+const EVENT_MINUTES = 10; // planet time is a moment; give it a short slot
+
+function pad(n, w = 2) {
+  return String(n).padStart(w, "0");
+}
+
+// 20261019T051230Z
+function formatUTC(d) {
+  return (
+    `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(
+      d.getUTCSeconds()
+    )}Z`
+  );
+}
+
+// TEXT value escaping (RFC 5545 3.3.11)
+function escapeText(s) {
+  return String(s)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1), never splitting
+// a UTF-8 sequence.
+function foldLine(line) {
+  const enc = new TextEncoder();
+  if (enc.encode(line).length <= 75) return line;
+  const out = [];
+  let cur = "";
+  let curLen = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    const limit = out.length ? 74 : 75; // continuation lines start with a space
+    if (curLen + n > limit) {
+      out.push(cur);
+      cur = "";
+      curLen = 0;
+    }
+    cur += ch;
+    curLen += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+// Morning/evening crossings for `days` civil days starting with the day that
+// contains `from` in the location's zone. `opts.observer` holds the elevation
+// and weather options of solar.js, `opts.light` the surface-light options of
+// planets.js.
+export function planetTimeEvents(opts) {
+  const { planet, lat, lon, timeZone, from = new Date(), days = 30 } = opts;
+  const observer = opts.observer || {};
+  const light = opts.light || {};
+  const first = zonedDayWindow(from, timeZone);
+  const variant = `${light.surface ? "surface" : "orbital"}-${
+    findMappingModel(light.model).key
+  }`;
+  const events = [];
+  for (let i = 0; i < days; i++) {
+    const day = zonedDayWindowFor(
+      first.year,
+      first.month,
+      first.day + i,
+      timeZone
+    );
+    const targetAltDeg = targetApparentAltitudeForPlanetKey(
+      planet.key,
+      day.start,
+      light
+    );
+    if (targetAltDeg == null) continue;
+    const times =
+      findApparentAltitudeCrossings(
+        day.start,
+        lat,
+        lon,
+        targetAltDeg,
+        timeZone,
+        observer
+      ) || [];
+    // Split at solar noon, so polar-edge days with one crossing keep it
+    const { solarNoon } = sunTimes(day.start, lat, lon, timeZone, observer);
+    const { morning, evening } = splitCrossings(times, solarNoon);
+    const ymd = `${day.year}${pad(day.month + 1)}${pad(day.day)}`;
+    [
+      ["morning", morning],
+      ["evening", evening],
+    ].forEach(([kind, start]) => {
+      if (!start) return;
+      events.push({
+        uid: `${planet.key}-${kind}-${ymd}-${variant}-${lat.toFixed(
+          3
+        )}_${lon.toFixed(3)}@planets-time`,
+        kind,
+        start,
+        targetAltDeg,
+      });
+    });
+  }
+  return events;
+}
+
+// Full VCALENDAR text with CRLF line endings.
+export function buildPlanetTimeICS(opts, now = new Date()) {
+  const { planet, lat, lon, timeZone, place } = opts;
+  const stamp = formatUTC(now);
+  const where = place || `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(`${planet.name} time · ${where}`)}`,
+  ];
+  const light = opts.light || {};
+  const variant = light.surface ? "surface" : "orbital";
+  const model = findMappingModel(light.model).name.toLowerCase();
+  for (const ev of planetTimeEvents(opts)) {
+    const end = new Date(ev.start.getTime() + EVENT_MINUTES * 60000);
+    const label = ev.kind === "morning" ? "Morning" : "Evening";
+    const alt = ev.targetAltDeg.toFixed(2);
+    const description =
+      `${label} ${planet.name} time: the Sun is at ${alt}° apparent altitude, ` +
+      `so daylight matches noon on ${planet.name}.\n` +
+      `Light: ${variant}, ${model} model.\n` +
+      `Location: ${lat.toFixed(4)}, ${lon.toFixed(4)}` +
+      (timeZone ? ` (${timeZone})` : "");
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${ev.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatUTC(ev.start)}`,
+      `DTEND:${formatUTC(end)}`,
+      `SUMMARY:${escapeText(`${label} ${planet.name} time (${variant})`)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `LOCATION:${escapeText(where)}`,
+      `GEO:${lat.toFixed(6)};${lon.toFixed(6)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,90 @@
+// Kepler's equation for every conic: elliptic, hyperbolic and, near e = 1,
+// the universal-variable form that stays well conditioned for comets on
+// near-parabolic orbits. Angles in radians, distances in AU, times in days.
+
+// Gaussian gravitational constant: sqrt(GM_sun) in AU^1.5 / day
+export const GAUSS_K = 0.01720209895;
+
+// Orbits this close to parabolic go through the universal-variable solver
+const NEAR_PARABOLIC = 0.01;
+
+// Eccentric anomaly E for mean anomaly M, 0 <= e < 1. Newton's method from
+// Danby's starting guess, which converges for any e < 1.
+export function solveKeplerE(M, e) {
+  const twoPi = 2 * Math.PI;
+  // Solve in [-π, π] and put the whole turns back afterwards
+  const turns = Math.round(M / twoPi) * twoPi;
+  const m = M - turns;
+  let E = m + 0.85 * e * Math.sign(Math.sin(m));
+  for (let i = 0; i < 50; i++) {
+    const f = E - e * Math.sin(E) - m;
+    const dE = -f / (1 - e * Math.cos(E));
+    E += dE;
+    if (Math.abs(dE) < 1e-12) break;
+  }
+  return E + turns;
+}
+
+// Hyperbolic anomaly H for mean anomaly M = e sinh H - H, e > 1
+export function solveKeplerH(M, e) {
+  let H = Math.sign(M) * Math.log((2 * Math.abs(M)) / e + 1.8);
+  for (let i = 0; i < 50; i++) {
+    const f = e * Math.sinh(H) - H - M;
+    const dH = -f / (e * Math.cosh(H) - 1);
+    H += dH;
+    if (Math.abs(dH) < 1e-12) break;
+  }
+  return H;
+}
+
+// Stumpff functions C(z) and S(z), with series near z = 0
+function stumpff(z) {
+  if (Math.abs(z) < 1e-3) {
+    return {
+      C: 1 / 2 - z / 24 + (z * z) / 720,
+      S: 1 / 6 - z / 120 + (z * z) / 5040,
+    };
+  }
+  if (z > 0) {
+    const s = Math.sqrt(z);
+    return { C: (1 - Math.cos(s)) / z, S: (s - Math.sin(s)) / (s * s * s) };
+  }
+  const s = Math.sqrt(-z);
+  return { C: (Math.cosh(s) - 1) / -z, S: (Math.sinh(s) - s) / (s * s * s) };
+}
+
+// Universal anomaly χ at `dt` days after perihelion (distance q, eccentricity
+// e), starting from the exact parabolic solution
+export function solveUniversal(dt, q, e) {
+  const alpha = (1 - e) / q; // 1/a; 0 for a parabola
+  const t = GAUSS_K * dt;
+  // Parabola: χ^3/6 + qχ = t, solved with Cardano
+  const root = Math.sqrt(9 * t * t + 8 * q * q * q);
+  let chi = Math.cbrt(3 * t + root) + Math.cbrt(3 * t - root);
+  for (let i = 0; i < 50; i++) {
+    const { C, S } = stumpff(alpha * chi * chi);
+    const f = e * chi * chi * chi * S + q * chi - t;
+    const dChi = -f / (e * chi * chi * C + q);
+    chi += dChi;
+    if (Math.abs(dChi) < 1e-12 * Math.max(1, Math.abs(chi))) break;
+  }
+  return chi;
+}
+
+// Distance from the Sun `dt` days after perihelion for an orbit given by its
+// perihelion distance q and eccentricity e (any conic)
+export function radiusFromPerihelionAU(q, e, dt) {
+  if (Math.abs(e - 1) < NEAR_PARABOLIC) {
+    const chi = solveUniversal(dt, q, e);
+    const { C } = stumpff(((1 - e) / q) * chi * chi);
+    return q + e * chi * chi * C;
+  }
+  const a = q / Math.abs(1 - e);
+  const n = GAUSS_K / Math.pow(a, 1.5); // mean motion, rad/day
+  if (e < 1) {
+    const E = solveKeplerE(n * dt, e);
+    return a * (1 - e * Math.cos(E));
+  }
+  const H = solveKeplerH(n * dt, e);
+  return a * (e * Math.cosh(H) - 1);
+}
@@ -0,0 +1,75 @@
+// Lux targets: "when is it X lux outside?" A lux target is a body like any
+// planet (key "lux-500", name "500 lux"), so reminders, calendars and the
+// timeline all work; its target Sun altitude comes straight from Earth's
+// clear-sky illuminance model instead of a world's distance.
+
+import { clampTargetAltitude, illuminanceToAltitudeDeg } from "./solar.js";
+
+export const LUX_MIN = 0.0001;
+export const LUX_MAX = 120000;
+
+// Bundled presets; typical values, clear sky, horizontal surface
+export const LUX_PRESETS = [
+  { name: "Overcast day", lux: 10000 },
+  { name: "Bright office", lux: 500 },
+  { name: "Living room", lux: 50 },
+  { name: "Streetlights", lux: 10 },
+  { name: "End of civil twilight", lux: 3.4 },
+  { name: "Full Moon", lux: 0.25 },
+];
+
+const KEY_PREFIX = "lux-";
+
+export function formatLux(lux) {
+  return lux >= 100
+    ? String(Math.round(lux))
+    : String(Number(lux.toPrecision(3)));
+}
+
+// Sun altitude (degrees) where the clear-sky model gives `lux`
+export function luxAltitudeDeg(lux) {
+  return illuminanceToAltitudeDeg(lux);
+}
+
+// Body for `lux`; throws with a message fit for the UI
+export function luxTarget(lux) {
+  if (!Number.isFinite(lux) || lux < LUX_MIN || lux > LUX_MAX) {
+    throw new Error(
+      `Pick an illuminance between ${LUX_MIN} and ${LUX_MAX} lux.`
+    );
+  }
+  const value = Number(formatLux(lux));
+  const preset = LUX_PRESETS.find((p) => p.lux === value);
+  // The times are for the clamped altitude, the light for the true one
+  const {
+    altitude,
+    unclamped: h,
+    clamped,
+  } = clampTargetAltitude(luxAltitudeDeg(value));
+  const where = (x) =>
+    `${Math.abs(x).toFixed(1)}° ${x >= 0 ? "above" : "below"} the horizon`;
+  return {
+    key: `${KEY_PREFIX}${value}`,
+    name: `${formatLux(value)} lux`,
+    lux: value,
+    color: "#fcd34d",
+    note:
+      (preset ? `${preset.name}. ` : "") +
+      `Outdoors the light is ${formatLux(value)} lux with the Sun ` +
+      `${where(h)}` +
+      (clamped ? `; times are for the Sun ${where(altitude)}.` : "."),
+  };
+}
+
+// Body for a "lux-…" key, or null for anything else
+export function findLuxTarget(key) {
+  const k = String(key || "").toLowerCase();
+  if (!k.startsWith(KEY_PREFIX)) return null;
+  const text = k.slice(KEY_PREFIX.length);
+  if (!/^\d+(\.\d+)?$/.test(text)) return null;
+  try {
+    return luxTarget(Number(text));
+  } catch (_) {
+    return null;
+  }
+}
@@ -0,0 +1,59 @@
+// Brightness-to-altitude mapping models: the Sun altitude on Earth whose
+// light matches noon on another world. Every model gets the world's noon
+// light as a multiple of Earth's (`flux`) and Pluto's on the same date
+// (`plutoFlux`), and returns an apparent altitude in degrees, unclamped;
+// planets.js clamps and threads the chosen model through planet times.
+
+import { EARTH_NOON_LUX, illuminanceToAltitudeDeg } from "./solar.js";
+
+// NASA's Pluto Time: Pluto's noon is the light of a Sun 1.5° below the
+// horizon. The two slope models hang off this anchor.
+const PLUTO_ALTITUDE_DEG = -1.5;
+
+// Degrees per tenfold change in light, from Earth's daylight falling from
+// 120000 lux with the Sun on the horizon to 400 lux at 6° below it
+const TWILIGHT_SLOPE = -6 / (Math.log10(400) - Math.log10(EARTH_NOON_LUX));
+
+export const MAPPING_MODELS = [
+  {
+    key: "twilight-slope",
+    name: "Twilight slope",
+    summary:
+      "Pluto's noon at 1.5° below the horizon, then 2.4° per tenfold " +
+      "change in light: the rate Earth's light fades in twilight.",
+    altitudeDeg: ({ flux, plutoFlux }) =>
+      PLUTO_ALTITUDE_DEG + TWILIGHT_SLOPE * Math.log10(flux / plutoFlux),
+  },
+  {
+    key: "gentle-slope",
+    name: "Gentle slope",
+    summary:
+      "Pluto's noon at 1.5° below the horizon, then 1.5° per tenfold " +
+      "change in light. Keeps every world's time closer to Pluto's.",
+    altitudeDeg: ({ flux, plutoFlux }) =>
+      PLUTO_ALTITUDE_DEG + 1.5 * Math.log10(Math.max(1e-9, flux / plutoFlux)),
+  },
+  {
+    key: "clear-sky",
+    name: "Clear-sky illuminance",
+    summary:
+      "Where Earth's clear-sky light model gives the same lux as the " +
+      "world's noon. No Pluto anchor; worlds brighter than Earth never match.",
+    altitudeDeg: ({ flux }) => illuminanceToAltitudeDeg(EARTH_NOON_LUX * flux),
+  },
+];
+
+export const DEFAULT_MAPPING_MODEL = "twilight-slope";
+
+// Model by key; the default for unknown or missing keys
+export function findMappingModel(key) {
+  return (
+    MAPPING_MODELS.find((m) => m.key === key) ||
+    MAPPING_MODELS.find((m) => m.key === DEFAULT_MAPPING_MODEL)
+  );
+}
+
+// Unclamped target altitude (degrees) for noon light `flux` times Earth's
+export function mappedAltitudeDeg(flux, plutoFlux, modelKey) {
+  return findMappingModel(modelKey).altitudeDeg({ flux, plutoFlux });
+}
@@ -0,0 +1,244 @@
+// Dwarf planets, asteroids and comets from osculating orbital elements.
+// Every body is kept in perihelion form (q, e, time of perihelion), which
+// covers ellipses, parabolas and hyperbolas alike; kepler.js turns that into
+// a distance from the Sun at any date. Bodies come bundled, typed in, or
+// parsed from the Minor Planet Center's one-line formats (MPCORB.DAT for
+// asteroids, CometEls.txt for comets).
+//
+// Distances ignore planetary perturbations, so they drift slowly away from
+// the elements' epoch: a fraction of a percent per decade for these bodies.
+
+import { GAUSS_K, radiusFromPerihelionAU } from "./kepler.js";
+
+const DAY_MS = 86400000;
+
+// Elements from the JPL Small-Body Database, rounded. Angles in degrees.
+export const MINOR_BODIES = [
+  {
+    key: "ceres",
+    name: "Ceres",
+    kind: "dwarf",
+    q: 2.5464,
+    e: 0.0794,
+    tp: Date.parse("2022-12-07T00:00Z"),
+    i: 10.588,
+    node: 80.252,
+    peri: 73.273,
+    color: "#cbd5e1",
+    note: "The largest body in the asteroid belt.",
+  },
+  {
+    key: "eris",
+    name: "Eris",
+    kind: "dwarf",
+    q: 38.284,
+    e: 0.4361,
+    tp: Date.parse("2257-02-28T00:00Z"),
+    i: 44.04,
+    node: 35.95,
+    peri: 151.64,
+    color: "#e5e7eb",
+    note: "Near its farthest point, nearly three times Pluto's distance.",
+  },
+  {
+    key: "makemake",
+    name: "Makemake",
+    kind: "dwarf",
+    q: 38.51,
+    e: 0.1559,
+    tp: Date.parse("2186-11-01T00:00Z"),
+    i: 28.98,
+    node: 79.62,
+    peri: 294.83,
+    color: "#fca5a5",
+    note: "A reddish Kuiper belt dwarf near the far end of its orbit.",
+  },
+  {
+    key: "sedna",
+    name: "Sedna",
+    kind: "dwarf",
+    q: 76.19,
+    e: 0.8496,
+    tp: Date.parse("2076-03-18T00:00Z"),
+    i: 11.93,
+    node: 144.4,
+    peri: 311.29,
+    color: "#f87171",
+    note: "Heading for perihelion in 2076 on an 11,000-year orbit.",
+  },
+  {
+    key: "1p-halley",
+    name: "1P/Halley",
+    kind: "comet",
+    q: 0.5871,
+    e: 0.96714,
+    tp: Date.parse("1986-02-09T11:00Z"),
+    i: 162.26,
+    node: 58.42,
+    peri: 111.33,
+    color: "#93c5fd",
+    note: "Back at perihelion in July 2061.",
+  },
+];
+
+// Bodies added by the user (see setCustomMinorBodies)
+let customBodies = [];
+
+// Bundled and custom bodies
+export function minorBodies() {
+  return [...MINOR_BODIES, ...customBodies];
+}
+
+// Replace the user's bodies; entries without a key, or with one `isTaken`
+// says belongs to another body, are dropped. Pass planets.js's
+// isBuiltInBodyKey so no planet, moon or spacecraft can be shadowed; the
+// default only guards the bundled bodies.
+export function setCustomMinorBodies(
+  list,
+  isTaken = (key) => MINOR_BODIES.some((b) => b.key === key)
+) {
+  customBodies = (list || [])
+    .filter((b) => b && b.key && !isTaken(b.key))
+    .map((b) => ({ ...b, custom: true }));
+}
+
+export function findMinorBody(key) {
+  return minorBodies().find((b) => b.key === key) || null;
+}
+
+// Semi-major axis (AU) of a bound orbit; perihelion distance otherwise
+export function characteristicDistanceAU(body) {
+  return body.e < 1 ? body.q / (1 - body.e) : body.q;
+}
+
+// Orbital period in years, or null for parabolic and hyperbolic orbits
+export function orbitalPeriodYears(body) {
+  if (body.e >= 1) return null;
+  const a = body.q / (1 - body.e);
+  const n = GAUSS_K / Math.pow(a, 1.5); // rad/day
+  return (2 * Math.PI) / n / 365.25;
+}
+
+// Distance from the Sun (AU) at `date`, or null for unknown bodies
+export function minorBodyDistanceAU(key, date = new Date()) {
+  const body = typeof key === "string" ? findMinorBody(key) : key;
+  if (!body) return null;
+  const dt = (date.getTime() - body.tp) / DAY_MS;
+  return radiusFromPerihelionAU(body.q, body.e, dt);
+}
+
+export function slugify(name) {
+  return String(name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Body from typed-in elements; throws with a message fit for the UI
+export function minorBodyFromElements({ name, q, e, perihelion, kind }) {
+  const label = String(name || "").trim();
+  const key = slugify(label);
+  if (!label) throw new Error("Give the body a name.");
+  if (!key) throw new Error("Give the body a name in Latin letters or digits.");
+  if (!(q > 0)) throw new Error("Perihelion distance must be above 0 AU.");
+  if (!(e >= 0) || e > 100) {
+    throw new Error("Eccentricity must be between 0 and 100.");
+  }
+  const tp = perihelion instanceof Date ? perihelion.getTime() : perihelion;
+  if (!Number.isFinite(tp)) throw new Error("Give a perihelion date.");
+  return {
+    key,
+    name: label,
+    kind: kind || (e >= 0.9 ? "comet" : "asteroid"),
+    q,
+    e,
+    tp,
+  };
+}
+
+// --- MPC one-line formats ---
+// Columns below are the MPC's 1-based, inclusive ones.
+function col(line, from, to) {
+  return line.slice(from - 1, to).trim();
+}
+
+function num(line, from, to, what) {
+  const text = col(line, from, to);
+  const x = Number(text);
+  if (text === "" || !Number.isFinite(x)) {
+    throw new Error(`Could not read the ${what} (columns ${from}-${to}).`);
+  }
+  return x;
+}
+
+// Packed dates: century letter (I=18, J=19, K=20), two-digit year, then
+// month and day as 1-9 or A-V (A = 10), e.g. K2555 = 2025-05-05
+const PACKED_DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUV";
+
+export function unpackMPCDate(packed) {
+  const m = /^([IJK])(\d\d)([1-9A-C])([1-9A-V])$/.exec(packed);
+  if (!m) throw new Error(`Not a packed MPC date: "${packed}".`);
+  const year = (m[1].charCodeAt(0) - 55) * 100 + Number(m[2]);
+  const month = PACKED_DIGITS.indexOf(m[3]);
+  const day = PACKED_DIGITS.indexOf(m[4]);
+  return Date.UTC(year, month - 1, day);
+}
+
+// MPCORB.DAT: epoch, mean anomaly, angles, e, n and a
+function parseMPCORB(line) {
+  const epoch = unpackMPCDate(col(line, 21, 25));
+  const M = num(line, 27, 35, "mean anomaly");
+  const e = num(line, 71, 79, "eccentricity");
+  const n = num(line, 81, 91, "mean motion");
+  const a = num(line, 93, 103, "semi-major axis");
+  if (e >= 1) throw new Error("MPCORB lines are for bound orbits only.");
+  // Readable designation, e.g. "(1) Ceres" or "2015 BP519"
+  const readable = col(line, 167, 194) || col(line, 1, 7);
+  const name = readable.replace(/^\(\d+\)\s*/, "") || readable;
+  const tp = epoch - (M / n) * DAY_MS; // last perihelion before the epoch
+  return {
+    key: slugify(name),
+    name,
+    kind: "asteroid",
+    q: a * (1 - e),
+    e,
+    tp,
+    i: num(line, 60, 68, "inclination"),
+    node: num(line, 49, 57, "ascending node"),
+    peri: num(line, 38, 46, "argument of perihelion"),
+    H: Number(col(line, 9, 13)) || null,
+  };
+}
+
+// CometEls.txt: perihelion date, q, e and angles
+function parseComet(line) {
+  const year = num(line, 15, 18, "perihelion year");
+  const month = num(line, 20, 21, "perihelion month");
+  const day = num(line, 23, 29, "perihelion day");
+  const name = col(line, 103, 158) || col(line, 1, 12);
+  return {
+    key: slugify(name),
+    name,
+    kind: "comet",
+    q: num(line, 31, 39, "perihelion distance"),
+    e: num(line, 42, 49, "eccentricity"),
+    tp: Date.UTC(year, month - 1, 1) + (day - 1) * DAY_MS,
+    i: num(line, 72, 79, "inclination"),
+    node: num(line, 62, 69, "ascending node"),
+    peri: num(line, 52, 59, "argument of perihelion"),
+  };
+}
+
+// One line in either MPC format -> body; throws with a message fit for the UI
+export function parseMPCLine(line) {
+  const text = String(line || "").replace(/\s+$/, "");
+  if (/^[IJK]\d\d[1-9A-C][1-9A-V]$/.test(col(text, 21, 25))) {
+    return parseMPCORB(text);
+  }
+  if (/^[CPDXIA]$/.test(text[4] || "") && /^\d{4}$/.test(col(text, 15, 18))) {
+    return parseComet(text);
+  }
+  throw new Error("Not an MPC one-line orbit (MPCORB or comet format).");
+}
@@ -0,0 +1,93 @@
+// Which planet's noon is it outside right now? The Sun's apparent altitude is
+// turned into illuminance and placed among the planets' noon light. Each
+// planet's noon light is the illuminance at its target altitude, so the
+// answer agrees with the planet times (and the mapping model) shown
+// everywhere else: at Pluto time it is Pluto noon.
+
+import { PLANETS, targetAltitudeForPlanetKey } from "./planets.js";
+import {
+  EARTH_NOON_LUX,
+  TWILIGHT_H0_LUX,
+  earthIlluminanceLuxFromAltRad,
+} from "./solar.js";
+
+const rad = Math.PI / 180;
+
+// Within about 15% of a planet's noon light counts as that planet's noon
+const MATCH_LOG10 = 0.06;
+
+// The gauge runs on a log scale from deep twilight to Earth's noon
+export const GAUGE_MIN_LUX = 1;
+export const GAUGE_MAX_LUX = EARTH_NOON_LUX;
+
+// Clear-sky illuminance for a Sun altitude, as the inverse of
+// illuminanceToAltitudeDeg. The model steps at the horizon (twilight ends at
+// 400 lux, daylight starts from 0), so the light is held at 400 lux until
+// daylight passes it at about 0.55°; brighter then always means higher.
+export function altitudeToLux(altitudeDeg) {
+  const lux = earthIlluminanceLuxFromAltRad(altitudeDeg * rad);
+  if (altitudeDeg < 0) return lux;
+  return Math.max(lux, TWILIGHT_H0_LUX);
+}
+
+// Planets (Earth aside) with their noon light on `date`, dimmest first.
+// `light` is the surface/model options of targetAltitudeForPlanetKey.
+export function planetNoonScale(date = new Date(), light = {}) {
+  return PLANETS.filter((p) => p.key !== "earth")
+    .map((p) => {
+      const { altitude } = targetAltitudeForPlanetKey(p.key, date, light);
+      return {
+        key: p.key,
+        name: p.name,
+        color: p.color,
+        altitudeDeg: altitude,
+        lux: altitudeToLux(altitude),
+      };
+    })
+    .sort((a, b) => a.lux - b.lux);
+}
+
+// Place a Sun altitude on `scale`: the planet whose noon it matches, if
+// any, and the nearest planets with dimmer and brighter noons
+export function matchNoonLight(altitudeDeg, scale) {
+  const lux = altitudeToLux(altitudeDeg);
+  let dimmer = null;
+  let brighter = null;
+  let nearest = null;
+  let nearestOff = Infinity;
+  for (const body of scale) {
+    if (body.lux <= lux) dimmer = body;
+    else if (!brighter) brighter = body;
+    const off = Math.abs(Math.log10(lux / body.lux));
+    if (off < nearestOff) {
+      nearest = body;
+      nearestOff = off;
+    }
+  }
+  return {
+    altitudeDeg,
+    lux,
+    match: nearestOff <= MATCH_LOG10 ? nearest : null,
+    dimmer,
+    brighter,
+  };
+}
+
+// "Saturn noon", "Between Saturn and Uranus noon", "Darker than Pluto noon"
+export function noonLightPhrase(m) {
+  if (m.match) return `${m.match.name} noon`;
+  if (m.dimmer && m.brighter) {
+    return `Between ${m.brighter.name} and ${m.dimmer.name} noon`;
+  }
+  if (m.brighter) return `Darker than ${m.brighter.name} noon`;
+  if (m.dimmer) return `Brighter than ${m.dimmer.name} noon`;
+  return "";
+}
+
+// Position of `lux` along the gauge, 0 (left) to 1 (right)
+export function gaugeFraction(lux) {
+  const lo = Math.log10(GAUGE_MIN_LUX);
+  const hi = Math.log10(GAUGE_MAX_LUX);
+  const x = (Math.log10(Math.max(lux, GAUGE_MIN_LUX)) - lo) / (hi - lo);
+  return Math.min(1, Math.max(0, x));
+}
@@ -2,6 +2,29 @@
 // Distances are mean heliocentric distances in AU (approx).
 // Emoji and color for UI.
 
+import {
+  clampTargetAltitude,
+  findApparentAltitudeCrossings,
+  sunTimes,
+} from "./solar.js";
+import { zonedDayWindow, zonedDayWindowFor } from "./timezone.js";
+import { ephemerisDistanceAU } from "./ephemeris.js";
+import { EXOPLANETS, stellarFluxRatio } from "./exoplanets.js";
+import { solveKeplerE } from "./kepler.js";
+import { surfaceTransmission } from "./atmospheres.js";
+import { mappedAltitudeDeg } from "./mapping.js";
+import { findLuxTarget, luxAltitudeDeg } from "./lux.js";
+import {
+  MINOR_BODIES,
+  findMinorBody,
+  minorBodyDistanceAU,
+} from "./minorbodies.js";
+import {
+  SPACECRAFT,
+  findSpacecraft,
+  spacecraftDistanceAU,
+} from "./spacecraft.js";
+
 export const PLANETS = [
   {
     key: "mercury",
@@ -68,19 +91,110 @@ export const PLANETS = [
   }, // dwarf but included
 ];
 
+// Major moons. A moon gets its parent's sunlight, so its distance from the
+// Sun (and with it the target altitude) is the parent's. `note` describes
+// the light there for the UI.
+export const MOONS = [
+  {
+    key: "moon",
+    name: "Moon",
+    parent: "earth",
+    au: 1.0,
+    color: "#d1d5db",
+    note: "Same sunlight as Earth, but with no air to soften it: the lunar day has a black sky and hard shadows.",
+  },
+  {
+    key: "europa",
+    name: "Europa",
+    parent: "jupiter",
+    au: 5.203,
+    color: "#e7d3b1",
+    note: "About 1/27 of Earth's sunlight, thrown back hard by a bright ice shell.",
+  },
+  {
+    key: "ganymede",
+    name: "Ganymede",
+    parent: "jupiter",
+    au: 5.203,
+    color: "#a8a29e",
+    note: "About 1/27 of Earth's sunlight, the same as Jupiter's other moons.",
+  },
+  {
+    key: "titan",
+    name: "Titan",
+    parent: "saturn",
+    au: 9.537,
+    color: "#f59e0b",
+    note: "About 1/90 of Earth's sunlight above the haze; the orange smog dims it several times more on the ground.",
+  },
+  {
+    key: "triton",
+    name: "Triton",
+    parent: "neptune",
+    au: 30.07,
+    color: "#fbcfe8",
+    note: "About 1/900 of Earth's sunlight, a little more than Pluto gets.",
+  },
+  {
+    key: "charon",
+    name: "Charon",
+    parent: "pluto",
+    au: 39.48,
+    color: "#9ca3af",
+    note: "Shares Pluto's sunlight, so Charon time is Pluto time.",
+  },
+];
+
+// Whether `key` names a built-in body: a planet, moon, exoplanet, bundled
+// minor body, spacecraft or lux target. Custom bodies can't take these keys.
+export function isBuiltInBodyKey(key) {
+  const k = String(key || "").toLowerCase();
+  return Boolean(
+    PLANETS.some((p) => p.key === k) ||
+      MOONS.some((m) => m.key === k) ||
+      EXOPLANETS.some((w) => w.key === k) ||
+      MINOR_BODIES.some((b) => b.key === k) ||
+      SPACECRAFT.some((c) => c.key === k) ||
+      findLuxTarget(k)
+  );
+}
+
+// Planet, moon, exoplanet, minor body, spacecraft or lux target by key
+// (case-insensitive); null when unknown
+export function findBody(key) {
+  if (!key) return null;
+  const k = String(key).toLowerCase();
+  return (
+    PLANETS.find((p) => p.key === k) ||
+    MOONS.find((m) => m.key === k) ||
+    EXOPLANETS.find((w) => w.key === k) ||
+    findMinorBody(k) ||
+    SPACECRAFT.find((c) => c.key === k) ||
+    findLuxTarget(k)
+  );
+}
+
+// Moons of a planet, in the order listed above
+export function moonsOf(planetKey) {
+  return MOONS.filter((m) => m.parent === planetKey);
+}
+
 // Convert solar constant at 1 AU to planet noon equivalent brightness scaling.
 // Using inverse-square: irradiance ~ 1 / au^2.
-export function planetIrradianceScale(au) {
-  return 1 / (au * au);
+// `luminosity` is the star's, in solar units (exoplanets.js).
+export function planetIrradianceScale(au, luminosity = 1) {
+  return luminosity / (au * au);
 }
 
 // Given Earth's clear-sky brightness proportional to sin(solar_elevation), find target elevation
 // where Earth's brightness equals noon brightness at planet.
 // We clamp to [0, 90] deg; returns null if below horizon all day.
 // Approximate orbital elements for heliocentric distance (AU) at date.
-// Values are simplified (base + linear rate) around J2000; sufficient for
-// brightness mapping. Angles in degrees; rates per day. Source: simplified
-// public-domain compilations (e.g., Schlyter/J2000), adapted lightly.
+// Values are simplified (base + linear rate) around J2000. Only a fallback
+// now: off by up to 2.4% (Mercury) over 1900-2100, and used where
+// ephemeris.js has no series (Pluto outside 1885-2099). Angles in degrees;
+// rates per day. Source: simplified public-domain compilations (e.g.,
+// Schlyter/J2000), adapted lightly.
 const ORBITS = {
   mercury: {
     a: 0.387098,
@@ -148,19 +262,20 @@ function daysSinceJ2000(date) {
   return (date.getTime() - J2000) / 86400000;
 }
 
-function solveKeplerE(Mrad, e) {
-  let E = Mrad; // initial guess
-  for (let i = 0; i < 12; i++) {
-    const f = E - e * Math.sin(E) - Mrad;
-    const fp = 1 - e * Math.cos(E);
-    const dE = -f / fp;
-    E += dE;
-    if (Math.abs(dE) < 1e-10) break;
-  }
-  return E;
-}
-
+// Distance from the Sun (AU) at a date: VSOP87 for the planets and Meeus's
+// series for Pluto (see ephemeris.js), else the Kepler elements above.
+// Moons use their parent's distance; dwarf planets, asteroids and comets
+// their own orbital elements (minorbodies.js); spacecraft their distance
+// tables (spacecraft.js), null outside them.
 export function heliocentricDistanceAU(planetKey, date = new Date()) {
+  const moon = MOONS.find((m) => m.key === planetKey);
+  if (moon) return heliocentricDistanceAU(moon.parent, date);
+  const precise = ephemerisDistanceAU(planetKey, date);
+  if (precise != null) return precise;
+  const minor = findMinorBody(planetKey);
+  if (minor) return minorBodyDistanceAU(minor, date);
+  const craft = findSpacecraft(planetKey);
+  if (craft) return spacecraftDistanceAU(craft, date);
   const el = ORBITS[planetKey];
   if (!el) return null;
   const d = daysSinceJ2000(date);
@@ -172,29 +287,154 @@ export function heliocentricDistanceAU(planetKey, date = new Date()) {
   return r;
 }
 
-export function targetElevationForPlanet(planetAU) {
-  // Science-backed approach:
-  // - Anchor Pluto noon to ~ -1.5° solar altitude (NASA/Sky & Telescope rule-of-thumb)
-  // - Generalize via a logarithmic relation of relative illuminance vs. Pluto
-  //   to map other planets to their equivalent Earth solar altitude.
-  // - This avoids hardcoding a fixed time and yields the correct daily crossings.
-
-  const S = planetIrradianceScale(planetAU); // relative to Earth noon
-  const S_PLUTO_REF = planetIrradianceScale(39.48); // Pluto mean distance baseline
-  // Target altitude (deg): alpha = A + B * log10(S / S_pluto)
-  // A ≈ -1.5° (Pluto anchor). B ≈ 1.5° per decade brightness change (gentle slope).
-  const A = -1.5;
-  const B = 1.5;
-  const alpha = A + B * Math.log10(Math.max(1e-9, S / S_PLUTO_REF));
-  // Clamp to a practical range
-  return Math.max(-12, Math.min(30, alpha));
+// Compute target apparent solar altitude (degrees) for a planet on a given date.
+// Inverse-square illuminance at planet noon is mapped to an equivalent Earth
+// Sun altitude by a mapping model (mapping.js; `light.model`, by default
+// Pluto at -1.5° as in NASA's PlutoTime), then we solve for that altitude.
+// `light.surface` switches from the light on top of the atmosphere to the
+// light at the ground (atmospheres.js), with `light.marsOpticalDepth` for
+// Mars's dust.
+export function targetApparentAltitudeForPlanetKey(
+  planetKey,
+  date = new Date(),
+  light = {}
+) {
+  const target = targetAltitudeForPlanetKey(planetKey, date, light);
+  return target ? target.altitude : null;
 }
 
-export function targetElevationForPlanetKey(planetKey, date = new Date()) {
-  const r = heliocentricDistanceAU(planetKey, date);
-  if (!r)
-    return targetElevationForPlanet(
-      PLANETS.find((p) => p.key === planetKey)?.au || 1
+// Like targetApparentAltitudeForPlanetKey, but with the clamping spelled
+// out (see targetAltitudeForFlux); null for Earth and for spacecraft on
+// dates their table doesn't cover
+export function targetAltitudeForPlanetKey(
+  planetKey,
+  date = new Date(),
+  light = {}
+) {
+  if (!planetKey) return null;
+  const key = planetKey.toLowerCase();
+  if (key === "earth") return null; // we don't show Earth times
+  // Lux targets are Earth light already: no distance, model or atmosphere
+  const lux = findLuxTarget(key);
+  if (lux) return clampTargetAltitude(luxAltitudeDeg(lux.lux));
+  const atmosphere = light.surface ? surfaceTransmission(key, light) : 1;
+  // Exoplanets: their own star's light at their own distance
+  const world = EXOPLANETS.find((w) => w.key === key);
+  if (world) {
+    const flux = stellarFluxRatio(world) * atmosphere;
+    return targetAltitudeForFlux(flux, date, light.model);
+  }
+  const r = heliocentricDistanceAU(key, date);
+  if (r == null && findSpacecraft(key)) return null;
+  const flux = planetIrradianceScale(r || 1) * atmosphere;
+  return targetAltitudeForFlux(flux, date, light.model);
+}
+
+// Limits every target is held between (solar.js)
+export { TARGET_ALTITUDE_MAX_DEG, TARGET_ALTITUDE_MIN_DEG } from "./solar.js";
+
+// Target apparent altitude for noon light `flux` times Earth's, with Pluto's
+// light on `date` for the models anchored there; `model` is a mapping.js key
+export function targetApparentAltitudeForFlux(flux, date = new Date(), model) {
+  return targetAltitudeForFlux(flux, date, model).altitude;
+}
+
+// { altitude, unclamped, clamped }: the target after and before clamping,
+// and "low" or "high" when the light is too dim or too bright for any Sun
+// altitude on Earth to match (null otherwise)
+export function targetAltitudeForFlux(flux, date = new Date(), model) {
+  const rPluto = heliocentricDistanceAU("pluto", date) || 39.48;
+  const plutoFlux = planetIrradianceScale(rPluto);
+  return clampTargetAltitude(mappedAltitudeDeg(flux, plutoFlux, model));
+}
+
+// Next planet time after `now`, searching the civil days (in `timeZone`) from
+// the one containing `date`. Bodies are looked up by `key`, or by a mean
+// distance `au` when there is no orbit for them. `observer` holds the
+// elevation and weather options of solar.js, `light` the surface-light
+// options of targetApparentAltitudeForPlanetKey.
+export function nextPlanetTime(
+  date,
+  lat,
+  lon,
+  au,
+  key,
+  timeZone,
+  now = new Date(),
+  observer = {},
+  light = {}
+) {
+  // Target apparent altitude in degrees using Pluto scaling method
+  let targetAltDeg = null;
+  if (key) {
+    targetAltDeg = targetApparentAltitudeForPlanetKey(key, date, light);
+  } else if (au) {
+    targetAltDeg = targetApparentAltitudeForFlux(
+      planetIrradianceScale(au),
+      date
     );
-  return targetElevationForPlanet(r);
+  }
+  // Earth, or a spacecraft before its distance table starts
+  if (targetAltDeg == null) return null;
+  const today = zonedDayWindow(date, timeZone);
+  // Try to find a true crossing in the next 3 days
+  for (let d = 0; d < 3; d++) {
+    const day = zonedDayWindowFor(
+      today.year,
+      today.month,
+      today.day + d,
+      timeZone
+    ).start;
+    const times =
+      findApparentAltitudeCrossings(
+        day,
+        lat,
+        lon,
+        targetAltDeg,
+        timeZone,
+        observer
+      ) || [];
+    const candidates = times.filter(Boolean);
+    if (!candidates.length) continue;
+    // Prefer the next occurrence as PlutoTime does:
+    // - If now < morning today -> morning today
+    // - Else if now < evening today -> evening today
+    // - Else -> morning tomorrow
+    if (targetAltDeg != null && targetAltDeg <= 0) {
+      const morning = candidates[0] || null;
+      const evening = candidates[1] || null;
+      if (d === 0) {
+        if (morning && morning.getTime() > now.getTime()) return morning;
+        if (evening && evening.getTime() > now.getTime()) return evening;
+        // Otherwise, continue to next day (d=1) and return its morning
+        continue;
+      }
+      // For future days (d>0) just return the morning for that day
+      if (morning) return morning;
+    }
+    // Otherwise, return the next crossing after now
+    let t = candidates[0];
+    if (d === 0) {
+      t = candidates.find((x) => x.getTime() > now.getTime()) || null;
+    }
+    if (t) return t;
+  }
+  // Fallback: no exact crossing exists (e.g., target >= max altitude).
+  // Use the time of maximum solar elevation: local solar noon today/tomorrow.
+  const noonToday = sunTimes(date, lat, lon, timeZone, observer).solarNoon;
+  if (noonToday && noonToday.getTime() > now.getTime()) return noonToday;
+  const tomorrow = zonedDayWindowFor(
+    today.year,
+    today.month,
+    today.day + 1,
+    timeZone
+  ).start;
+  const noonTomorrow = sunTimes(
+    tomorrow,
+    lat,
+    lon,
+    timeZone,
+    observer
+  ).solarNoon;
+  return noonTomorrow || null;
 }
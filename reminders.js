@@ -0,0 +1,89 @@
+// Planet time reminders: one per planet, persisted in localStorage and fired
+// as system notifications a set number of minutes before the next occurrence.
+// Scheduling is plain timers keyed by planet; the app recomputes the next
+// occurrence and calls scheduleReminder again whenever inputs change.
+
+const STORAGE_KEY = "planetsTime.reminders";
+// setTimeout overflows past ~24.8 days; longer waits re-arm in steps
+const MAX_TIMEOUT_MS = 2147483647;
+
+const timers = new Map();
+
+// { [planetKey]: { minutesBefore, lastFired } }
+export function loadReminders() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : {};
+    return data && typeof data === "object" ? data : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+export function saveReminders(reminders) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(reminders));
+  } catch (_) {
+    // storage full or disabled; reminders then last for this page only
+  }
+}
+
+export function scheduleReminder(key, fireAt, onFire) {
+  cancelReminder(key);
+  const arm = () => {
+    const wait = fireAt.getTime() - Date.now();
+    if (wait <= 0) {
+      timers.delete(key);
+      onFire();
+      return;
+    }
+    timers.set(key, setTimeout(arm, Math.min(wait, MAX_TIMEOUT_MS)));
+  };
+  arm();
+}
+
+export function cancelReminder(key) {
+  const t = timers.get(key);
+  if (t) clearTimeout(t);
+  timers.delete(key);
+}
+
+export function cancelAllReminders() {
+  [...timers.keys()].forEach(cancelReminder);
+}
+
+export function notificationsSupported() {
+  return typeof Notification !== "undefined";
+}
+
+// Resolves to true when notifications may be shown.
+export async function ensureNotificationPermission() {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === "granted") return true;
+  if (Notification.permission === "denied") return false;
+  try {
+    return (await Notification.requestPermission()) === "granted";
+  } catch (_) {
+    return false;
+  }
+}
+
+export function showReminderNotification(title, body, tag) {
+  if (!notificationsSupported() || Notification.permission !== "granted") {
+    return;
+  }
+  const options = { body, tag, icon: "./assets/icons/icon-192.png" };
+  // Prefer the service worker: mobile browsers only allow notifications there
+  const sw = typeof navigator !== "undefined" ? navigator.serviceWorker : null;
+  if (sw && sw.controller) {
+    sw.ready
+      .then((reg) => reg.showNotification(title, options))
+      .catch(() => {});
+    return;
+  }
+  try {
+    new Notification(title, options);
+  } catch (_) {
+    // No worker and no page notifications; nothing else to try
+  }
+}
@@ -0,0 +1,86 @@
+// Deep links: the selection, location, moment and panel in the URL hash,
+//   #/planet/mars?lat=52.2297&lon=21.0122&date=2026-10-19&time=06:45&view=timeline
+// Every part is optional; "#/" alone is the Solar System view. Plain
+// anchors such as #about are not routes and are left to the page.
+
+const ROUTE_PREFIX = "#/";
+
+export function isRoute(hash) {
+  return String(hash || "").startsWith(ROUTE_PREFIX);
+}
+
+function parseCoordinate(value, limit) {
+  if (value == null || value.trim() === "") return null;
+  const x = Number(value);
+  return Number.isFinite(x) && Math.abs(x) <= limit ? x : null;
+}
+
+// "2026-10-19" -> { year, month (0-based), day }, or null for non-dates
+function parseDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!m) return null;
+  const [year, month, day] = [+m[1], +m[2] - 1, +m[3]];
+  const d = new Date(Date.UTC(year, month, day));
+  if (d.getUTCMonth() !== month || d.getUTCDate() !== day) return null;
+  return { year, month, day };
+}
+
+// "06:45" -> { hour, minute }, or null
+function parseTime(value) {
+  const m = /^(\d{2}):(\d{2})$/.exec(value || "");
+  if (!m || +m[1] > 23 || +m[2] > 59) return null;
+  return { hour: +m[1], minute: +m[2] };
+}
+
+// Route for `hash`, or null when it isn't one. Parts that don't parse are
+// null, so a mangled link still opens what it can.
+export function parseRoute(hash) {
+  if (!isRoute(hash)) return null;
+  const [path, query = ""] = hash.slice(ROUTE_PREFIX.length).split("?");
+  const parts = path.split("/").filter(Boolean);
+  const params = new URLSearchParams(query);
+  let planet = null;
+  if (parts[0] === "planet" && parts[1]) {
+    try {
+      planet = decodeURIComponent(parts[1]).toLowerCase();
+    } catch (_) {
+      planet = null; // malformed escape
+    }
+  }
+  let lat = parseCoordinate(params.get("lat"), 90);
+  let lon = parseCoordinate(params.get("lon"), 180);
+  if (lat == null || lon == null) {
+    lat = null;
+    lon = null;
+  }
+  const view = params.get("view");
+  return {
+    planet,
+    lat,
+    lon,
+    date: parseDate(params.get("date")),
+    time: parseTime(params.get("time")),
+    view: view && /^[a-z0-9-]+$/.test(view) ? view : null,
+  };
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// Hash for `route` (the shape parseRoute returns; missing parts are left out)
+export function formatRoute(route) {
+  const path = route.planet ? `planet/${encodeURIComponent(route.planet)}` : "";
+  const params = [];
+  if (route.lat != null && route.lon != null) {
+    params.push(`lat=${Number(route.lat.toFixed(4))}`);
+    params.push(`lon=${Number(route.lon.toFixed(4))}`);
+  }
+  if (route.date) {
+    const { year, month, day } = route.date;
+    params.push(`date=${year}-${pad2(month + 1)}-${pad2(day)}`);
+  }
+  if (route.time) {
+    params.push(`time=${pad2(route.time.hour)}:${pad2(route.time.minute)}`);
+  }
+  if (route.view) params.push(`view=${route.view}`);
+  return `${ROUTE_PREFIX}${path}${params.length ? "?" + params.join("&") : ""}`;
+}
@@ -0,0 +1,81 @@
+// Builds assets/data/cities.json, the bundled offline city gazetteer.
+//
+// Inputs (local files, nothing is downloaded):
+//   1. cityMap.json from the `city-timezones` npm package (SimpleMaps World
+//      Cities Basic, CC BY 4.0): city, province, iso2, lat, lng, pop, timezone
+//   2. countries.json from mledoze/countries (`world-countries` on npm), used
+//      for country names so they match the country picker
+//
+// Usage:
+//   node scripts/build_gazetteer.mjs <cityMap.json> <countries.json> [minPop]
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const [citiesPath, countriesPath, minPopArg] = process.argv.slice(2);
+if (!citiesPath || !countriesPath) {
+  console.error(
+    "usage: node scripts/build_gazetteer.mjs <cityMap.json> <countries.json> [minPop]"
+  );
+  process.exit(2);
+}
+const MIN_POP = Number(minPopArg) || 15000;
+
+const cities = JSON.parse(readFileSync(citiesPath, "utf8"));
+const countries = JSON.parse(readFileSync(countriesPath, "utf8"));
+
+const countryNames = {};
+for (const c of countries) {
+  if (c.cca2 && c.name && c.name.common) countryNames[c.cca2] = c.name.common;
+}
+
+const round = (x) => Math.round(x * 1e4) / 1e4;
+const rows = [];
+for (const c of cities) {
+  if (!(c.pop >= MIN_POP)) continue;
+  if (!c.timezone || !countryNames[c.iso2]) continue;
+  rows.push([
+    c.city,
+    c.province && c.province !== c.city ? c.province : "",
+    c.iso2,
+    round(c.lat),
+    round(c.lng),
+    c.timezone,
+    Math.round(c.pop),
+  ]);
+}
+// Most populous first so ties in search favour bigger places
+rows.sort((a, b) => b[6] - a[6]);
+
+const usedCountries = {};
+for (const code of [...new Set(rows.map((r) => r[2]))].sort()) {
+  usedCountries[code] = countryNames[code];
+}
+
+const target = fileURLToPath(
+  new URL("../assets/data/cities.json", import.meta.url)
+);
+// One city per line keeps the file diffable
+const body = [
+  "{",
+  `"source": ${JSON.stringify(
+    "SimpleMaps World Cities Basic (CC BY 4.0) via city-timezones; country names from mledoze/countries (ODbL)"
+  )},`,
+  `"minPopulation": ${MIN_POP},`,
+  `"fields": ${JSON.stringify([
+    "name",
+    "admin",
+    "country",
+    "lat",
+    "lon",
+    "tz",
+    "pop",
+  ])},`,
+  `"countries": ${JSON.stringify(usedCountries)},`,
+  `"cities": [`,
+  rows.map((r) => JSON.stringify(r)).join(",\n"),
+  "]",
+  "}",
+].join("\n");
+writeFileSync(target, body + "\n");
+console.log(`wrote ${rows.length} cities to ${target}`);
@@ -0,0 +1,101 @@
+// Builds vsop87.js: truncated VSOP87 heliocentric radius series for the eight
+// planets, used by ephemeris.js.
+//
+// Input is the full VSOP87B tables from the `astronomia` npm package (MIT,
+// data by Bretagnon & Francou, Bureau des Longitudes). The radius vector R is
+// the same in every VSOP87 frame, so only R is kept. A term is dropped when
+// its largest contribution over 1900-2100 is below EPSILON times the planet's
+// mean distance; the check at the end prints the resulting error.
+//
+// Usage:
+//   node scripts/build_vsop87.mjs <astronomia/data dir> [epsilon=1e-6]
+
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const PLANETS = [
+  "mercury",
+  "venus",
+  "earth",
+  "mars",
+  "jupiter",
+  "saturn",
+  "uranus",
+  "neptune",
+];
+// |τ| in Julian millennia from J2000 stays below this for 1900-2100
+const TAU_MAX = 0.1;
+
+const [dataDir, epsArg] = process.argv.slice(2);
+if (!dataDir) {
+  console.error(
+    "usage: node scripts/build_vsop87.mjs <astronomia/data dir> [epsilon]"
+  );
+  process.exit(2);
+}
+const EPSILON = Number(epsArg) || 1e-6;
+
+function evaluate(series, tau) {
+  let r = 0;
+  let tk = 1;
+  for (const terms of series) {
+    let s = 0;
+    for (const [A, B, C] of terms) s += A * Math.cos(B + C * tau);
+    r += s * tk;
+    tk *= tau;
+  }
+  return r;
+}
+
+const out = {};
+const report = [];
+for (const name of PLANETS) {
+  const url = pathToFileURL(join(dataDir, `vsop87B${name}.js`));
+  const full = Object.values((await import(url.href)).default.R);
+  const meanR = full[0][0][0]; // leading constant term
+  const kept = full.map((terms, k) =>
+    terms.filter(([A]) => A * TAU_MAX ** k >= EPSILON * meanR)
+  );
+  while (kept.length && !kept[kept.length - 1].length) kept.pop();
+  out[name] = kept;
+
+  // Largest deviation from the full series, sampled every 5 days
+  let maxErr = 0;
+  for (let d = -36525; d <= 36525; d += 5) {
+    const tau = d / 365250;
+    const err = Math.abs(evaluate(kept, tau) - evaluate(full, tau));
+    maxErr = Math.max(maxErr, err);
+  }
+  const terms = kept.reduce((n, t) => n + t.length, 0);
+  const total = full.reduce((n, t) => n + t.length, 0);
+  report.push(
+    `${name.padEnd(8)} ${String(terms).padStart(4)}/${total} terms, ` +
+      `max error ${maxErr.toExponential(1)} AU`
+  );
+}
+
+const lines = [
+  "// Generated by scripts/build_vsop87.mjs; do not edit by hand.",
+  "// Truncated VSOP87 heliocentric radius series (Bretagnon & Francou 1988),",
+  "// from the VSOP87B tables in the astronomia package (MIT).",
+  `// Terms below ${EPSILON} x mean distance over 1900-2100 are dropped.`,
+  "// Per planet: [R0, R1, ...] where Rk is a list of [A, B, C] and",
+  "// R = sum_k tau^k * sum A cos(B + C tau), tau in Julian millennia from J2000.",
+  "",
+  "export const VSOP87_RADIUS = {",
+];
+for (const [name, series] of Object.entries(out)) {
+  lines.push(`  ${name}: [`);
+  for (const terms of series) {
+    lines.push("    [");
+    for (const t of terms) lines.push(`      [${t.join(", ")}],`);
+    lines.push("    ],");
+  }
+  lines.push("  ],");
+}
+lines.push("};", "");
+
+const target = fileURLToPath(new URL("../vsop87.js", import.meta.url));
+writeFileSync(target, lines.join("\n"));
+console.log(report.join("\n"));
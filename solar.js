@@ -1,119 +1,203 @@
-// Minimal solar position + sunrise/sunset calculations (NOAA approximation)
-// References:
-// - NOAA Solar Calculator equations (simplified)
-// - All times in UTC internally; format for local time via Intl.DateTimeFormat
+// Solar ephemeris, sunrise/sunset and altitude-crossing searches.
+// Every function here takes the Sun's position from solarEphemeris, so
+// sunrise, planet time and altitude readouts always come from the same math.
+// Precision tiers (`opts.precision`):
+// - "standard" (default): NOAA Solar Calculator, i.e. the Meeus
+//   "Astronomical Algorithms" chapter 25 formulas; about 0.01° in position
+//   and a few seconds in time over 1900-2100.
+// - "low": the Astronomical Almanac's low-precision formulas; about 0.01°
+//   for 1950-2050 and cheaper, for dense sampling.
+// Observer conditions ride along in the same `opts`: `elevationM` (metres
+// above sea level), `pressureHPa` and `temperatureC`. They scale refraction
+// and lower the visible horizon (see observerHorizonDeg).
+// All times are UTC internally. Day windows follow the observer's IANA time
+// zone when one is passed (`timeZone` argument); omitted means the browser's.
 
-export function toJulian(date) {
-  // date is JS Date in UTC
-  return date / 86400000 - 0.5 + 2440587.5;
-}
+import { zonedDayWindow, zonedTime } from "./timezone.js";
 
-function toDays(date) {
-  return toJulian(date) - 2451545.0;
+export function toJulian(date) {
+  // date is JS Date in UTC; JD 2440587.5 is 1970-01-01T00:00Z
+  return date / 86400000 + 2440587.5;
 }
 
 const rad = Math.PI / 180;
 const deg = 180 / Math.PI;
 
-function sin(x) {
-  return Math.sin(x);
-}
-function cos(x) {
-  return Math.cos(x);
-}
-function tan(x) {
-  return Math.tan(x);
-}
-function asin(x) {
-  return Math.asin(x);
-}
-function atan2(y, x) {
-  return Math.atan2(y, x);
-}
+export const SOLAR_PRECISIONS = ["standard", "low"];
 
-function frac(x) {
-  return x - Math.floor(x);
+// Wrap an angle in degrees to [-180, 180)
+function wrap180(x) {
+  return ((((x + 180) % 360) + 360) % 360) - 180;
 }
 
-function solarMeanAnomaly(d) {
-  return rad * (357.5291 + 0.98560028 * d);
-}
-function eclipticLongitude(M) {
+// Sun's declination, right ascension (deg), equation of time (minutes) and
+// distance (AU) from NOAA's implementation of Meeus chapter 25
+function sunMeeus(date) {
+  const T = (toJulian(date) - 2451545) / 36525; // Julian centuries
+  const L0 = 280.46646 + T * (36000.76983 + T * 0.0003032);
+  const M = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+  const e = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
   const C =
-    rad *
-    (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
-  const P = rad * 102.9372; // perihelion of Earth
-  return M + C + P + Math.PI;
+    Math.sin(M * rad) * (1.914602 - T * (0.004817 + 0.000014 * T)) +
+    Math.sin(2 * M * rad) * (0.019993 - 0.000101 * T) +
+    Math.sin(3 * M * rad) * 0.000289;
+  const trueAnomaly = M + C;
+  const distanceAU =
+    (1.000001018 * (1 - e * e)) / (1 + e * Math.cos(trueAnomaly * rad));
+  // Apparent longitude: nutation and aberration folded into two terms
+  const omega = 125.04 - 1934.136 * T;
+  const lambda = L0 + C - 0.00569 - 0.00478 * Math.sin(omega * rad);
+  const eps0 =
+    23 +
+    (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+  const eps = eps0 + 0.00256 * Math.cos(omega * rad);
+  const declinationDeg =
+    Math.asin(Math.sin(eps * rad) * Math.sin(lambda * rad)) * deg;
+  const rightAscensionDeg =
+    Math.atan2(
+      Math.cos(eps * rad) * Math.sin(lambda * rad),
+      Math.cos(lambda * rad)
+    ) * deg;
+  const y = Math.tan((eps / 2) * rad) ** 2;
+  const equationOfTimeMin =
+    4 *
+    deg *
+    (y * Math.sin(2 * L0 * rad) -
+      2 * e * Math.sin(M * rad) +
+      4 * e * y * Math.sin(M * rad) * Math.cos(2 * L0 * rad) -
+      0.5 * y * y * Math.sin(4 * L0 * rad) -
+      1.25 * e * e * Math.sin(2 * M * rad));
+  return { declinationDeg, rightAscensionDeg, equationOfTimeMin, distanceAU };
 }
-function declination(L) {
-  const e = rad * 23.4397; // obliquity
-  return Math.asin(Math.sin(e) * Math.sin(L));
+
+// Same quantities from the Astronomical Almanac's low-precision formulas
+function sunLow(date) {
+  const n = toJulian(date) - 2451545; // days from J2000
+  const L = 280.46 + 0.9856474 * n; // mean longitude
+  const g = (357.528 + 0.9856003 * n) * rad; // mean anomaly
+  const lambda = (L + 1.915 * Math.sin(g) + 0.02 * Math.sin(2 * g)) * rad;
+  const eps = (23.439 - 0.0000004 * n) * rad;
+  const declinationDeg = Math.asin(Math.sin(eps) * Math.sin(lambda)) * deg;
+  const rightAscensionDeg =
+    Math.atan2(Math.cos(eps) * Math.sin(lambda), Math.cos(lambda)) * deg;
+  return {
+    declinationDeg,
+    rightAscensionDeg,
+    // Mean minus apparent right ascension, at 4 minutes per degree
+    equationOfTimeMin: 4 * wrap180(L - rightAscensionDeg),
+    distanceAU: 1.00014 - 0.01671 * Math.cos(g) - 0.00014 * Math.cos(2 * g),
+  };
 }
-function rightAscension(L) {
-  const e = rad * 23.4397;
-  return Math.atan2(Math.sin(L) * Math.cos(e), Math.cos(L));
+
+// Position of the Sun for an observer (lon east-positive). Angles in degrees:
+// - altitudeDeg: geometric, above the astronomical horizon
+// - apparentAltitudeDeg: with refraction, above the observer's visible
+//   horizon (so it includes the dip from elevation)
+// - azimuthDeg: from north, clockwise
+// - hourAngleDeg: 0 at solar noon, negative in the morning
+export function solarEphemeris(date, lat, lon, opts = {}) {
+  const sun = opts.precision === "low" ? sunLow(date) : sunMeeus(date);
+  const utcMinutes = (((date.getTime() / 60000) % 1440) + 1440) % 1440;
+  const trueSolarMinutes = utcMinutes + sun.equationOfTimeMin + 4 * lon;
+  const hourAngleDeg = wrap180(trueSolarMinutes / 4 - 180);
+  const phi = lat * rad;
+  const dec = sun.declinationDeg * rad;
+  const H = hourAngleDeg * rad;
+  const sinAlt =
+    Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H);
+  const altitudeDeg = Math.asin(Math.max(-1, Math.min(1, sinAlt))) * deg;
+  const azimuthDeg =
+    (Math.atan2(
+      Math.sin(H),
+      Math.cos(H) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi)
+    ) *
+      deg +
+      540) %
+    360;
+  return {
+    altitudeDeg,
+    apparentAltitudeDeg:
+      altitudeDeg +
+      refractionDeg(altitudeDeg, opts) +
+      horizonDipDeg(opts.elevationM),
+    azimuthDeg,
+    hourAngleDeg,
+    declinationDeg: sun.declinationDeg,
+    rightAscensionDeg: sun.rightAscensionDeg,
+    equationOfTimeMin: sun.equationOfTimeMin,
+    distanceAU: sun.distanceAU,
+  };
 }
 
-function siderealTime(d, lw) {
-  return rad * (280.16 + 360.9856235 * d) - lw;
+// --- Observer conditions ---
+// Defaults are the conditions NOAA's refraction formula assumes
+export const DEFAULT_PRESSURE_HPA = 1010;
+export const DEFAULT_TEMPERATURE_C = 10;
+
+// Pressure of the standard atmosphere at an elevation, scaled so sea level
+// reads DEFAULT_PRESSURE_HPA (ISA barometric formula)
+export function standardPressureHPa(elevationM = 0) {
+  return DEFAULT_PRESSURE_HPA * Math.pow(1 - 2.25577e-5 * elevationM, 5.25588);
 }
 
-function azAlt(d, lat, lon) {
-  const lw = -lon * rad;
-  const phi = lat * rad;
-  const M = solarMeanAnomaly(d);
-  const L = eclipticLongitude(M);
-  const dec = declination(L);
-  const ra = rightAscension(L);
-  const st = siderealTime(d, lw);
-  const H = st - ra;
-  const altitude = Math.asin(
-    Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H)
-  );
-  const azimuth = Math.atan2(
-    Math.sin(H),
-    Math.cos(H) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi)
-  );
-  return { azimuth, altitude, dec, ra };
+// Dip of the sea horizon below the astronomical horizon, refraction
+// included: 1.76' * sqrt(h in metres). Zero at or below sea level.
+export function horizonDipDeg(elevationM) {
+  return elevationM > 0 ? (1.76 / 60) * Math.sqrt(elevationM) : 0;
 }
 
-export function solarPosition(date, lat, lon) {
-  const d = toDays(date);
-  const { azimuth, altitude } = azAlt(d, lat, lon);
-  return { azimuth, altitude }; // radians
+// Refraction relative to standard conditions (Meeus eq. 16.5). Pressure
+// defaults to the standard atmosphere at the observer's elevation.
+function refractionScale(opts) {
+  const P =
+    opts.pressureHPa != null
+      ? opts.pressureHPa
+      : standardPressureHPa(opts.elevationM || 0);
+  const T =
+    opts.temperatureC != null ? opts.temperatureC : DEFAULT_TEMPERATURE_C;
+  return (P / DEFAULT_PRESSURE_HPA) * (283 / (273 + T));
 }
 
-// Hour angle for given altitude
-function hourAngle(h, phi, dec) {
-  return Math.acos(
-    (Math.sin(h) - Math.sin(phi) * Math.sin(dec)) /
-      (Math.cos(phi) * Math.cos(dec))
-  );
+// Geometric altitude of the Sun's centre at sunrise/sunset at sea level in
+// standard conditions: refraction (34') plus the solar radius (16')
+const SUNRISE_ALT_DEG = -0.833;
+
+// The same for the given conditions: horizon refraction scales with
+// pressure and temperature, and the dip lowers the horizon itself
+function sunriseAltitudeDeg(opts) {
+  const extraRefraction = (refractionScale(opts) - 1) * (34 / 60);
+  return SUNRISE_ALT_DEG - extraRefraction - horizonDipDeg(opts.elevationM);
 }
 
-// Compute sunrise/sunset and solar noon using simplified equations
-export function sunTimes(date, lat, lon) {
-  // date local; compute for that civil day: we'll take 12:00 local estimate then back to UTC
-  // Use midnight local guess; but JS Date lacks tz of lat/lon; so we use user's local TZ.
-  const y = date.getFullYear();
-  const m = date.getMonth();
-  const d0 = date.getDate();
-  const noonLocal = new Date(y, m, d0, 12, 0, 0, 0);
-  const d = toDays(noonLocal);
-
-  const lw = -lon * rad;
-  const phi = lat * rad;
-  const M = solarMeanAnomaly(d);
-  const L = eclipticLongitude(M);
-  const dec = declination(L);
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60000);
+}
+
+// Hour angle (deg) at which the Sun's centre sits at altitude h0; NaN when it
+// stays above (cos < -1) or below (cos > 1) all day
+function hourAngleForAltitude(h0Deg, lat, decDeg) {
+  const cosH =
+    (Math.sin(h0Deg * rad) - Math.sin(lat * rad) * Math.sin(decDeg * rad)) /
+    (Math.cos(lat * rad) * Math.cos(decDeg * rad));
+  return Math.acos(cosH) * deg;
+}
 
-  const h0 = -0.833 * rad; // standard refraction + solar radius
-  let H = hourAngle(h0, phi, dec);
-  if (isNaN(H)) {
+// Sunrise, solar noon and sunset for the civil day containing `date` in the
+// observer's zone. Each event is refined by re-evaluating the ephemeris at
+// the estimate (hour angle runs at 4 minutes per degree).
+export function sunTimes(date, lat, lon, timeZone, opts = {}) {
+  const day = zonedDayWindow(date, timeZone);
+  let solarNoon = zonedTime(day.year, day.month, day.day, 12, 0, timeZone);
+  for (let i = 0; i < 3; i++) {
+    const { hourAngleDeg } = solarEphemeris(solarNoon, lat, lon, opts);
+    solarNoon = addMinutes(solarNoon, -4 * hourAngleDeg);
+  }
+  const noon = solarEphemeris(solarNoon, lat, lon, opts);
+  const h0 = sunriseAltitudeDeg(opts);
+  const H0 = hourAngleForAltitude(h0, lat, noon.declinationDeg);
+  if (isNaN(H0)) {
     // Polar day/night: no rise or no set
-    // Determine if Sun is above horizon all day (midnight sun) or below all day.
-    const pos = azAlt(d, lat, lon);
-    const alwaysUp = pos.altitude > h0;
+    const alwaysUp = noon.altitudeDeg > h0;
     return {
       sunrise: null,
       sunset: null,
@@ -123,17 +207,19 @@ export function sunTimes(date, lat, lon) {
       alwaysDown: !alwaysUp,
     };
   }
-
-  const Jtransit = 2451545.0 + d + (lw + rightAscension(L)) / (2 * Math.PI);
-  const Jrise = Jtransit - H / (2 * Math.PI);
-  const Jset = Jtransit + H / (2 * Math.PI);
-
-  function fromJulian(J) {
-    return new Date((J + 0.5 - 2440587.5) * 86400000);
-  }
-  const sunrise = fromJulian(Jrise);
-  const sunset = fromJulian(Jset);
-  const solarNoon = fromJulian(Jtransit);
+  // side = -1 for sunrise (hour angle -H), +1 for sunset (+H)
+  const event = (side) => {
+    let t = addMinutes(solarNoon, side * 4 * H0);
+    for (let i = 0; i < 3; i++) {
+      const e = solarEphemeris(t, lat, lon, opts);
+      const H = hourAngleForAltitude(h0, lat, e.declinationDeg);
+      if (isNaN(H)) break; // grazing the horizon; keep the last estimate
+      t = addMinutes(t, -4 * (e.hourAngleDeg - side * H));
+    }
+    return t;
+  };
+  const sunrise = event(-1);
+  const sunset = event(1);
   const daylight = (sunset - sunrise) / 3600000; // hours
 
   return {
@@ -146,12 +232,13 @@ export function sunTimes(date, lat, lon) {
   };
 }
 
-export function formatTime(d) {
+export function formatTime(d, timeZone) {
   if (!d) return "—";
-  // Use user's locale/timezone
+  // Use user's locale; zone of the location when given, else the browser's
   return new Intl.DateTimeFormat(undefined, {
     hour: "numeric",
     minute: "2-digit",
+    timeZone: timeZone || undefined,
   }).format(d);
 }
 
@@ -159,7 +246,7 @@ export function formatTime(d) {
 // Reference midday horizontal illuminance on Earth (clear sky)
 export const EARTH_NOON_LUX = 120000; // per spec
 // Twilight reference at horizon: empirical value to bridge to twilight (~hundreds of lux)
-const TWILIGHT_H0_LUX = 400; // lux at Sun altitude 0° (approx)
+export const TWILIGHT_H0_LUX = 400; // lux at Sun altitude 0° (approx)
 // Twilight decay e-fold (degrees): tuned so ~3.4 lux near -6° (civil twilight end)
 const TWILIGHT_DECAY_DEG = 1.257; // deg
 
@@ -176,128 +263,77 @@ export function earthIlluminanceLuxFromAltRad(altRad) {
   return TWILIGHT_H0_LUX * Math.exp(altDeg / TWILIGHT_DECAY_DEG);
 }
 
-// Find times during the day when Earth illuminance equals a target lux.
-export function findIlluminanceCrossings(date, lat, lon, targetLux) {
-  const y = date.getFullYear();
-  const m = date.getMonth();
-  const d0 = date.getDate();
-  const start = new Date(y, m, d0, 0, 0, 0, 0);
+// Times within the zone's civil day where f(t) changes sign: a one-minute
+// scan, then bisection to ~0.1 s. Returns up to two (morning/evening).
+function findCrossings(date, timeZone, f) {
+  const { start, end } = zonedDayWindow(date, timeZone);
+  const dayMinutes = Math.round((end - start) / 60000); // 1380/1440/1500
   const result = [];
-  let prevDiff = null;
+  let prev = null;
   let prevT = null;
-  for (let minutes = 0; minutes <= 24 * 60; minutes++) {
+  for (let minutes = 0; minutes <= dayMinutes; minutes++) {
     const t = new Date(start.getTime() + minutes * 60000);
-    const { altitude } = solarPosition(t, lat, lon);
-    const E = earthIlluminanceLuxFromAltRad(altitude);
-    const diff = E - targetLux;
-    if (prevDiff != null && diff === 0) {
-      result.push(t);
-    } else if (prevDiff != null && diff > 0 !== prevDiff > 0) {
-      // crossing; refine by binary search +/- 60s
-      let lo = new Date(prevT.getTime());
-      let hi = new Date(t.getTime());
-      for (let iter = 0; iter < 14; iter++) {
-        const mid = new Date((lo.getTime() + hi.getTime()) / 2);
-        const a =
-          earthIlluminanceLuxFromAltRad(solarPosition(mid, lat, lon).altitude) -
-          targetLux;
-        const aLo =
-          earthIlluminanceLuxFromAltRad(solarPosition(lo, lat, lon).altitude) -
-          targetLux;
-        if (a > 0 === aLo > 0) {
-          lo = mid;
-        } else {
-          hi = mid;
+    const h = f(t);
+    if (prev != null) {
+      if (h === 0) result.push(t);
+      else if (h > 0 !== prev > 0) {
+        let lo = prevT;
+        let hi = t;
+        for (let i = 0; i < 20; i++) {
+          const mid = new Date((lo.getTime() + hi.getTime()) / 2);
+          if (f(mid) > 0 === f(lo) > 0) lo = mid;
+          else hi = mid;
         }
+        result.push(new Date((lo.getTime() + hi.getTime()) / 2));
       }
-      result.push(new Date((lo.getTime() + hi.getTime()) / 2));
+      if (result.length >= 2) break;
     }
-    prevDiff = diff;
+    prev = h;
     prevT = t;
   }
-  return result.slice(0, 2);
+  return result;
 }
 
-// Find times during the day when solar altitude crosses a target elevation.
-// Returns up to two times (morning/evening). May be none.
-export function findElevationCrossings(date, lat, lon, targetDeg) {
-  const target = targetDeg * rad;
-  // Sample at 1-minute granularity and find zero-crossings of altitude - target.
-  const y = date.getFullYear();
-  const m = date.getMonth();
-  const d0 = date.getDate();
-  const start = new Date(y, m, d0, 0, 0, 0, 0);
-  const result = [];
-  let prevAlt = null;
-  let prevT = null;
-  for (let minutes = 0; minutes <= 24 * 60; minutes++) {
-    const t = new Date(start.getTime() + minutes * 60000);
-    const { altitude } = solarPosition(t, lat, lon);
-    const diff = altitude - target;
-    if (prevAlt !== null && diff === 0) {
-      result.push(t);
-    } else if (prevAlt !== null && diff > 0 !== prevAlt > 0) {
-      // crossing; refine by binary search +/- 60s
-      let lo = new Date(prevT.getTime());
-      let hi = new Date(t.getTime());
-      for (let iter = 0; iter < 14; iter++) {
-        // ~1/2^14 ~ 0.06s resolution
-        const mid = new Date((lo.getTime() + hi.getTime()) / 2);
-        const a = solarPosition(mid, lat, lon).altitude - target;
-        if (a > 0 === solarPosition(lo, lat, lon).altitude - target > 0) {
-          lo = mid;
-        } else {
-          hi = mid;
-        }
-      }
-      result.push(new Date((lo.getTime() + hi.getTime()) / 2));
-    }
-    prevAlt = diff;
-    prevT = t;
-  }
-  return result.slice(0, 2);
+// Find times during the day when Earth illuminance equals a target lux.
+export function findIlluminanceCrossings(
+  date,
+  lat,
+  lon,
+  targetLux,
+  timeZone,
+  opts = {}
+) {
+  return findCrossings(date, timeZone, (t) => {
+    const { altitudeDeg } = solarEphemeris(t, lat, lon, opts);
+    return earthIlluminanceLuxFromAltRad(altitudeDeg * rad) - targetLux;
+  });
 }
 
-// --- Meeus/NOAA apparent altitude with refraction (degrees) ---
-// Fractional year gamma (rad) using UTC time
-function fractionalYearGammaUTC(date) {
-  const start = new Date(Date.UTC(date.getUTCFullYear(), 0, 1, 0, 0, 0, 0));
-  const doy = Math.floor((date - start) / 86400000) + 1; // 1..365/366
-  const utcMinutes =
-    date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
-  const H = utcMinutes / 60; // hours
-  return ((2 * Math.PI) / 365) * (doy - 1 + (H - 12) / 24);
+// Find times during the day when the geometric solar altitude crosses a
+// target elevation (deg). Returns up to two times (morning/evening).
+export function findElevationCrossings(
+  date,
+  lat,
+  lon,
+  targetDeg,
+  timeZone,
+  opts = {}
+) {
+  return findCrossings(
+    date,
+    timeZone,
+    (t) => solarEphemeris(t, lat, lon, opts).altitudeDeg - targetDeg
+  );
 }
 
-// Equation of time Et (minutes) and solar declination delta (radians)
-function equationOfTimeAndDeclination(date) {
-  const gamma = fractionalYearGammaUTC(date);
-  const sinG = Math.sin(gamma);
-  const cosG = Math.cos(gamma);
-  const sin2G = Math.sin(2 * gamma);
-  const cos2G = Math.cos(2 * gamma);
-  const sin3G = Math.sin(3 * gamma);
-  const cos3G = Math.cos(3 * gamma);
-  const Et =
-    229.18 *
-    (0.000075 +
-      0.001868 * cosG -
-      0.032077 * sinG -
-      0.014615 * cos2G -
-      0.040849 * sin2G);
-  const delta =
-    0.006918 -
-    0.399912 * cosG +
-    0.070257 * sinG -
-    0.006758 * cos2G +
-    0.000907 * sin2G -
-    0.002697 * cos3G +
-    0.00148 * sin3G;
-  return { Et, delta };
+// Refraction correction R(h) in degrees for the observer's pressure and
+// temperature (opts as for solarEphemeris)
+export function refractionDeg(hDeg, opts = {}) {
+  return standardRefractionDeg(hDeg) * refractionScale(opts);
 }
 
 // NOAA refraction correction R(h) in degrees; input/output degrees
-function refractionDeg(hDeg) {
+function standardRefractionDeg(hDeg) {
   if (hDeg > 85) return 0;
   if (hDeg > 5) {
     const t = Math.tan(hDeg * rad);
@@ -318,30 +354,16 @@ function refractionDeg(hDeg) {
     );
   }
   // Below -0.575°
-  return (1 / 3600) * (-20.774 / Math.tan(hDeg * rad));
+  return (1 / 3600) * (-20.772 / Math.tan(hDeg * rad));
 }
 
-// Apparent solar altitude (degrees) using Meeus/NOAA TST + refraction
-export function solarApparentAltitudeDeg(date, latDeg, lonDegEast) {
-  // True solar time minutes
-  const utcMinutes =
-    date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
-  const { Et, delta } = equationOfTimeAndDeclination(date);
-  const TST = utcMinutes + Et + 4 * lonDegEast; // lon east positive
-  const omegaDeg = TST / 4 - 180; // hour angle in degrees
-  const phi = latDeg * rad;
-  const omega = omegaDeg * rad;
-  // True (geometric) altitude
-  const cosz =
-    Math.sin(phi) * Math.sin(delta) +
-    Math.cos(phi) * Math.cos(delta) * Math.cos(omega);
-  const z = Math.acos(Math.max(-1, Math.min(1, cosz)));
-  const hTrueDeg = 90 - z * deg;
-  // Apparent altitude
-  return hTrueDeg + refractionDeg(hTrueDeg);
+// Apparent solar altitude (degrees) above the observer's horizon
+export function solarApparentAltitudeDeg(date, latDeg, lonDegEast, opts = {}) {
+  return solarEphemeris(date, latDeg, lonDegEast, opts).apparentAltitudeDeg;
 }
 
-// Invert our illuminance model to an equivalent Earth Sun altitude (degrees)
+// Invert our illuminance model to an equivalent Earth Sun altitude (degrees);
+// the "clear-sky" mapping model in mapping.js
 export function illuminanceToAltitudeDeg(targetLux) {
   if (targetLux == null || !isFinite(targetLux)) return null;
   if (targetLux <= 0) return -90; // dark limit
@@ -357,44 +379,82 @@ export function illuminanceToAltitudeDeg(targetLux) {
   return h * deg;
 }
 
+// Planet-time targets are held between the end of astronomical twilight,
+// below which Earth's sky is as dark as it gets, and a Sun high enough to be
+// reached somewhere on most days
+export const TARGET_ALTITUDE_MIN_DEG = -18;
+export const TARGET_ALTITUDE_MAX_DEG = 85;
+
+// { altitude, unclamped, clamped }: a target altitude (deg) after and before
+// clamping, and "low" or "high" when it was clamped (null otherwise)
+export function clampTargetAltitude(unclamped) {
+  let clamped = null;
+  if (unclamped < TARGET_ALTITUDE_MIN_DEG) clamped = "low";
+  if (unclamped > TARGET_ALTITUDE_MAX_DEG) clamped = "high";
+  const altitude = Math.max(
+    TARGET_ALTITUDE_MIN_DEG,
+    Math.min(TARGET_ALTITUDE_MAX_DEG, unclamped)
+  );
+  return { altitude, unclamped, clamped };
+}
+
 // Find times during the day when apparent altitude equals a target (deg)
 export function findApparentAltitudeCrossings(
   date,
   latDeg,
   lonDegEast,
-  targetDeg
+  targetDeg,
+  timeZone,
+  opts = {}
 ) {
-  const y = date.getFullYear();
-  const m = date.getMonth();
-  const d0 = date.getDate();
-  const start = new Date(y, m, d0, 0, 0, 0, 0);
-  const result = [];
-  let prev = null;
-  let prevT = null;
-  for (let minutes = 0; minutes <= 24 * 60; minutes++) {
+  return findCrossings(
+    date,
+    timeZone,
+    (t) => solarApparentAltitudeDeg(t, latDeg, lonDegEast, opts) - targetDeg
+  );
+}
+
+// A day's crossings of a target altitude as morning (before solar noon) and
+// evening (after it), so a lone evening crossing isn't taken for a morning.
+// Without a solar noon (polar day or night) they are taken in order.
+export function splitCrossings(crossings, solarNoon) {
+  if (!solarNoon) {
+    return { morning: crossings[0] || null, evening: crossings[1] || null };
+  }
+  const noon = solarNoon.getTime();
+  return {
+    morning: crossings.find((t) => t.getTime() < noon) || null,
+    evening: crossings.find((t) => t.getTime() >= noon) || null,
+  };
+}
+
+// Twilight bands by the Sun's altitude in degrees, brightest first
+export const TWILIGHT_BANDS = [
+  { key: "civil", name: "Civil twilight", from: -6, to: 0 },
+  { key: "nautical", name: "Nautical twilight", from: -12, to: -6 },
+  { key: "astronomical", name: "Astronomical twilight", from: -18, to: -12 },
+];
+
+// Apparent solar altitude every `stepMinutes` through the zone's civil day
+// containing `date`, for charts: [{ t, minutes, altitudeDeg }] with
+// `minutes` counted from the start of that day (23-25 h long). Uses the
+// "low" precision tier unless `opts.precision` says otherwise.
+export function sunAltitudeSamples(
+  date,
+  lat,
+  lon,
+  timeZone,
+  opts = {},
+  stepMinutes = 5
+) {
+  const { start, end } = zonedDayWindow(date, timeZone);
+  const dayMinutes = Math.round((end - start) / 60000);
+  const sampleOpts = { precision: "low", ...opts };
+  const samples = [];
+  for (let minutes = 0; minutes <= dayMinutes; minutes += stepMinutes) {
     const t = new Date(start.getTime() + minutes * 60000);
-    const h = solarApparentAltitudeDeg(t, latDeg, lonDegEast) - targetDeg;
-    if (prev != null) {
-      if (h === 0) result.push(t);
-      else if (h > 0 !== prev > 0) {
-        // crossing between prevT and t; bisection to ~0.1s
-        let lo = prevT;
-        let hi = t;
-        for (let i = 0; i < 20; i++) {
-          const mid = new Date((lo.getTime() + hi.getTime()) / 2);
-          const hm =
-            solarApparentAltitudeDeg(mid, latDeg, lonDegEast) - targetDeg;
-          const hlo =
-            solarApparentAltitudeDeg(lo, latDeg, lonDegEast) - targetDeg;
-          if (hm > 0 === hlo > 0) lo = mid;
-          else hi = mid;
-        }
-        result.push(new Date((lo.getTime() + hi.getTime()) / 2));
-        if (result.length >= 2) break;
-      }
-    }
-    prev = h;
-    prevT = t;
+    const altitudeDeg = solarApparentAltitudeDeg(t, lat, lon, sampleOpts);
+    samples.push({ t, minutes, altitudeDeg });
   }
-  return result;
+  return samples;
 }
@@ -0,0 +1,159 @@
+// Spacecraft as planet-time targets. Each probe has a table of distances
+// from the Sun (AU) by date, interpolated linearly; planets.js maps the
+// sunlight at that distance to a target Sun altitude like any planet's.
+//
+// Tables: JPL Horizons, rounded, through 2025; later rows extrapolate the
+// probes' coasting speed. A `repeatDays` table holds one orbit that repeats
+// from `since` on (Parker Solar Probe's final orbit).
+
+const DAY_MS = 86400000;
+
+export const SPACECRAFT = [
+  {
+    key: "voyager-1",
+    name: "Voyager 1",
+    color: "#fef3c7",
+    note: "The farthest spacecraft, in interstellar space since 2012.",
+    track: [
+      ["1977-09-05", 1.01],
+      ["1979-03-05", 5.2],
+      ["1980-11-12", 9.6],
+      ["1985-01-01", 24.0],
+      ["1990-02-14", 40.5],
+      ["1995-01-01", 58.5],
+      ["2000-01-01", 75.9],
+      ["2004-12-16", 94.0],
+      ["2010-01-01", 112.0],
+      ["2012-08-25", 121.6],
+      ["2015-01-01", 129.9],
+      ["2020-01-01", 147.9],
+      ["2025-01-01", 165.8],
+      ["2030-01-01", 183.7],
+      ["2040-01-01", 219.5],
+      ["2050-01-01", 255.3],
+    ],
+  },
+  {
+    key: "voyager-2",
+    name: "Voyager 2",
+    color: "#fde68a",
+    note: "The only probe to have visited Uranus and Neptune.",
+    track: [
+      ["1977-08-20", 1.01],
+      ["1979-07-09", 5.3],
+      ["1981-08-26", 9.6],
+      ["1986-01-24", 19.1],
+      ["1989-08-25", 30.1],
+      ["1995-01-01", 46.0],
+      ["2000-01-01", 61.6],
+      ["2007-08-30", 84.0],
+      ["2010-01-01", 91.6],
+      ["2018-11-05", 119.0],
+      ["2025-01-01", 138.8],
+      ["2030-01-01", 155.0],
+      ["2040-01-01", 187.3],
+      ["2050-01-01", 219.6],
+    ],
+  },
+  {
+    key: "new-horizons",
+    name: "New Horizons",
+    color: "#c4b5fd",
+    note: "Flew past Pluto in 2015 and Arrokoth in 2019.",
+    track: [
+      ["2006-01-19", 0.98],
+      ["2006-07-01", 2.8],
+      ["2007-02-28", 5.3],
+      ["2010-01-01", 15.8],
+      ["2012-01-01", 22.4],
+      ["2015-07-14", 32.9],
+      ["2019-01-01", 43.3],
+      ["2025-01-01", 61.0],
+      ["2030-01-01", 75.5],
+      ["2040-01-01", 104.3],
+      ["2050-01-01", 133.0],
+    ],
+  },
+  {
+    key: "parker",
+    name: "Parker Solar Probe",
+    color: "#fb923c",
+    note: "Dives to 0.046 AU every 88 days, closer to the Sun than anything built.",
+    // One orbit, perihelion to perihelion, after the last Venus flyby
+    since: "2024-11-06",
+    repeatDays: 88,
+    track: [
+      ["2024-12-24T11:53Z", 0.0459],
+      ["2024-12-24T23:53Z", 0.0588],
+      ["2024-12-25T11:53Z", 0.0833],
+      ["2024-12-25T23:53Z", 0.1089],
+      ["2024-12-26T11:53Z", 0.1333],
+      ["2024-12-27T11:53Z", 0.1778],
+      ["2024-12-28T11:53Z", 0.2175],
+      ["2024-12-29T11:53Z", 0.2534],
+      ["2024-12-31T11:53Z", 0.3165],
+      ["2025-01-02T11:53Z", 0.3709],
+      ["2025-01-05T11:53Z", 0.4404],
+      ["2025-01-09T11:53Z", 0.5162],
+      ["2025-01-13T11:53Z", 0.577],
+      ["2025-01-18T11:53Z", 0.6361],
+      ["2025-01-23T11:53Z", 0.6793],
+      ["2025-01-29T11:53Z", 0.7126],
+      ["2025-02-06T11:53Z", 0.7285],
+      ["2025-02-14T11:53Z", 0.7127],
+      ["2025-02-20T11:53Z", 0.6793],
+      ["2025-02-25T11:53Z", 0.6361],
+      ["2025-03-02T11:53Z", 0.577],
+      ["2025-03-06T11:53Z", 0.5162],
+      ["2025-03-10T11:53Z", 0.4405],
+      ["2025-03-13T11:53Z", 0.3709],
+      ["2025-03-15T11:53Z", 0.3165],
+      ["2025-03-17T11:53Z", 0.2534],
+      ["2025-03-18T11:53Z", 0.2175],
+      ["2025-03-19T11:53Z", 0.1779],
+      ["2025-03-20T11:53Z", 0.1334],
+      ["2025-03-20T23:53Z", 0.109],
+      ["2025-03-21T11:53Z", 0.0834],
+      ["2025-03-21T23:53Z", 0.0588],
+      ["2025-03-22T11:53Z", 0.0459],
+    ],
+  },
+];
+
+// Parsed tables, built on first use: key -> { t: [ms], r: [AU] }
+const parsed = new Map();
+
+function table(craft) {
+  if (!parsed.has(craft.key)) {
+    parsed.set(craft.key, {
+      t: craft.track.map(([d]) => Date.parse(d)),
+      r: craft.track.map(([, au]) => au),
+    });
+  }
+  return parsed.get(craft.key);
+}
+
+export function findSpacecraft(key) {
+  return SPACECRAFT.find((c) => c.key === key) || null;
+}
+
+// Distance from the Sun (AU) at `date`; null before the table starts
+// (before launch, or before a repeating orbit's `since`)
+export function spacecraftDistanceAU(key, date = new Date()) {
+  const craft = typeof key === "string" ? findSpacecraft(key) : key;
+  if (!craft) return null;
+  const { t, r } = table(craft);
+  let ms = date.getTime();
+  if (craft.repeatDays) {
+    if (ms < Date.parse(craft.since)) return null;
+    const period = craft.repeatDays * DAY_MS;
+    ms = t[0] + ((((ms - t[0]) % period) + period) % period);
+  } else if (ms < t[0]) {
+    return null;
+  }
+  // Past the last row: keep the last segment's speed (the probes coast)
+  let i = t.findIndex((x) => x > ms);
+  if (i === -1) i = t.length - 1;
+  const f = (ms - t[i - 1]) / (t[i] - t[i - 1]);
+  return r[i - 1] + f * (r[i] - r[i - 1]);
+}
@@ -0,0 +1,144 @@
+// Service worker: precaches the app shell and textures so Planets Time works
+// with no signal, and keeps a runtime copy of the third-party data it uses
+// (Google Fonts, the country list).
+// Bump CACHE_VERSION whenever the precache list or shell files change.
+
+const CACHE_VERSION = "v31";
+const SHELL_CACHE = `planets-time-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `planets-time-runtime-${CACHE_VERSION}`;
+
+const PLANET_KEYS = [
+  "sun",
+  "mercury",
+  "venus",
+  "earth",
+  "mars",
+  "jupiter",
+  "saturn",
+  "uranus",
+  "neptune",
+  "pluto",
+];
+
+const PRECACHE = [
+  "./",
+  "./index.html",
+  "./styles.css",
+  "./app.js",
+  "./solar.js",
+  "./planets.js",
+  "./ephemeris.js",
+  "./vsop87.js",
+  "./exoplanets.js",
+  "./kepler.js",
+  "./minorbodies.js",
+  "./spacecraft.js",
+  "./atmospheres.js",
+  "./mapping.js",
+  "./lux.js",
+  "./noonlight.js",
+  "./compare.js",
+  "./router.js",
+  "./timezone.js",
+  "./calendar.js",
+  "./ics.js",
+  "./reminders.js",
+  "./gazetteer.js",
+  "./assets/data/cities.json",
+  "./manifest.webmanifest",
+  "./assets/icons/icon-192.png",
+  "./assets/icons/icon-512.png",
+  ...PLANET_KEYS.map((k) => `./assets/custom_textures/${k}.png`),
+];
+
+// Cross-origin data worth having offline; fetched best-effort at install
+const OPTIONAL_PRECACHE = [
+  "https://raw.githubusercontent.com/mledoze/countries/master/countries.json",
+];
+
+const RUNTIME_HOSTS = [
+  "fonts.googleapis.com",
+  "fonts.gstatic.com",
+  "raw.githubusercontent.com",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const shell = await caches.open(SHELL_CACHE);
+      await shell.addAll(PRECACHE);
+      const runtime = await caches.open(RUNTIME_CACHE);
+      await Promise.all(
+        OPTIONAL_PRECACHE.map((url) =>
+          runtime.add(new Request(url, { mode: "cors" })).catch(() => {})
+        )
+      );
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keep = new Set([SHELL_CACHE, RUNTIME_CACHE]);
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((n) => n.startsWith("planets-time-") && !keep.has(n))
+          .map((n) => caches.delete(n))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+// Serve from cache right away and refresh the cached copy in the background.
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const network = fetch(request)
+    .then((res) => {
+      if (res && (res.ok || res.type === "opaque")) {
+        cache.put(request, res.clone());
+      }
+      return res;
+    })
+    .catch(() => null);
+  if (cached) return cached;
+  const res = await network;
+  if (res) return res;
+  // Offline and never cached: fall back to the app shell for navigations
+  if (request.mode === "navigate") {
+    const shell = await caches.open(SHELL_CACHE);
+    const page = await shell.match("./index.html");
+    if (page) return page;
+  }
+  return Response.error();
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    return;
+  }
+  if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+  }
+  // Everything else goes straight to the network
+});
+
+// Reminder notifications shown through the worker bring the app forward
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: "window" });
+      if (windows.length) return windows[0].focus();
+      return self.clients.openWindow("./");
+    })()
+  );
+});
@@ -0,0 +1,101 @@
+// Surface light: atmospheric transmission on Venus, Titan and Mars, and the
+// surface option threaded through planet times.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  ATMOSPHERES,
+  hasAtmosphere,
+  surfaceTransmission,
+} from "../atmospheres.js";
+import { planetDaySummary } from "../calendar.js";
+import {
+  heliocentricDistanceAU,
+  nextPlanetTime,
+  planetIrradianceScale,
+  targetApparentAltitudeForFlux,
+  targetApparentAltitudeForPlanetKey,
+} from "../planets.js";
+import { zonedDayWindowFor } from "../timezone.js";
+
+const SURFACE = { surface: true };
+
+describe("surface light", () => {
+  it("lets a fraction of the light through thick atmospheres only", () => {
+    assert.equal(surfaceTransmission("venus"), 0.025);
+    assert.equal(surfaceTransmission("titan"), 0.1);
+    assert.ok(Math.abs(surfaceTransmission("mars") - Math.exp(-0.13)) < 1e-12);
+    for (const key of ["mercury", "moon", "europa", "pluto", "ceres"]) {
+      assert.equal(hasAtmosphere(key), false, key);
+      assert.equal(surfaceTransmission(key), 1, key);
+    }
+    for (const key of Object.keys(ATMOSPHERES)) {
+      assert.ok(ATMOSPHERES[key].note, key);
+    }
+  });
+
+  it("dims Mars as the dust thickens", () => {
+    let last = 1;
+    for (const tau of [0, 0.5, 1, 3, 6]) {
+      const t = surfaceTransmission("mars", { marsOpticalDepth: tau });
+      assert.ok(t <= last, `τ=${tau}`);
+      last = t;
+    }
+    // A global dust storm lets through about a quarter of the light
+    const storm = surfaceTransmission("mars", { marsOpticalDepth: 5 });
+    assert.ok(storm > 0.2 && storm < 0.35, `${storm}`);
+  });
+
+  it("lowers the target by the transmitted flux", () => {
+    const date = new Date("2026-10-19T12:00Z");
+    for (const key of ["venus", "titan", "mars"]) {
+      const orbital = targetApparentAltitudeForPlanetKey(key, date);
+      const surface = targetApparentAltitudeForPlanetKey(key, date, SURFACE);
+      assert.ok(surface < orbital, key);
+      const r = heliocentricDistanceAU(key, date);
+      const flux = planetIrradianceScale(r) * surfaceTransmission(key);
+      assert.equal(surface, targetApparentAltitudeForFlux(flux, date), key);
+    }
+    assert.equal(
+      targetApparentAltitudeForPlanetKey("mercury", date, SURFACE),
+      targetApparentAltitudeForPlanetKey("mercury", date)
+    );
+    assert.equal(
+      targetApparentAltitudeForPlanetKey("earth", date, SURFACE),
+      null
+    );
+  });
+
+  it("only applies when the surface option is on", () => {
+    const date = new Date("2026-10-19T12:00Z");
+    assert.equal(
+      targetApparentAltitudeForPlanetKey("mars", date, {
+        marsOpticalDepth: 5,
+      }),
+      targetApparentAltitudeForPlanetKey("mars", date)
+    );
+  });
+
+  it("moves Venus surface time closer to sunrise", () => {
+    const tz = "Europe/Warsaw";
+    const { start } = zonedDayWindowFor(2026, 9, 19, tz);
+    const opts = { planetKey: "venus", lat: 52.23, lon: 21.01, timeZone: tz };
+    const orbital = planetDaySummary(2026, 9, 19, opts);
+    const surface = planetDaySummary(2026, 9, 19, { ...opts, light: SURFACE });
+    assert.ok(surface.targetAltDeg < orbital.targetAltDeg);
+    assert.ok(surface.morning < orbital.morning);
+    assert.ok(surface.evening > orbital.evening);
+    const next = nextPlanetTime(
+      start,
+      52.23,
+      21.01,
+      null,
+      "venus",
+      tz,
+      start,
+      {},
+      SURFACE
+    );
+    assert.equal(next.getTime(), surface.morning.getTime());
+  });
+});
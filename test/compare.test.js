@@ -0,0 +1,47 @@
+// All planets side by side: rows and sorting for the comparison table.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { planetDaySummary } from "../calendar.js";
+import { planetComparison, sortComparison } from "../compare.js";
+import { PLANETS } from "../planets.js";
+import { zonedDayWindowFor } from "../timezone.js";
+
+const TZ = "Europe/Warsaw";
+const OPTS = { lat: 52.23, lon: 21.01, timeZone: TZ };
+const DAY = zonedDayWindowFor(2026, 9, 19, TZ);
+const ROWS = planetComparison(new Date(DAY.start.getTime() + 3600000), OPTS);
+const names = (rows) => rows.map((r) => r.key).join(",");
+
+describe("planet comparison", () => {
+  it("lists every planet with the day's times", () => {
+    assert.equal(names(ROWS), PLANETS.map((p) => p.key).join(","));
+    for (const r of ROWS) {
+      if (r.key === "earth") {
+        assert.equal(r.targetAltDeg, null);
+        assert.equal(r.morning, null);
+        continue;
+      }
+      const day = planetDaySummary(2026, 9, 19, { ...OPTS, planetKey: r.key });
+      assert.equal(r.morning.getTime(), day.morning.getTime(), r.key);
+      assert.equal(r.evening.getTime(), day.evening.getTime(), r.key);
+      assert.equal(r.targetAltDeg, day.targetAltDeg, r.key);
+    }
+    const earth = ROWS.find((r) => r.key === "earth");
+    assert.ok(Math.abs(earth.irradiance - 1) < 0.04);
+  });
+
+  it("sorts by any column, empty values last", () => {
+    const byLight = sortComparison(ROWS, "irradiance", -1);
+    assert.equal(byLight[0].key, "mercury");
+    assert.equal(byLight.at(-1).key, "pluto");
+    for (const dir of [1, -1]) {
+      const byMorning = sortComparison(ROWS, "morning", dir);
+      assert.equal(byMorning.at(-1).key, "earth", `dir ${dir}`);
+    }
+    assert.equal(sortComparison(ROWS, "morning", 1)[0].key, "pluto");
+    assert.equal(names(sortComparison(ROWS, "nope")), names(ROWS));
+    // The input order is left alone
+    assert.equal(ROWS[0].key, "mercury");
+  });
+});
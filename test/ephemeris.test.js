@@ -0,0 +1,62 @@
+// Heliocentric distances against published orbital events and extremes.
+// Tolerances sit well above the series' truncation error (see ephemeris.js)
+// and well below the up-to-2.4% error of the old Kepler elements.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { plutoRadiusAU, vsop87RadiusAU } from "../ephemeris.js";
+import { heliocentricDistanceAU } from "../planets.js";
+
+const DAY = 86400000;
+
+// Smallest and largest distance in [from, to), sampled every `stepDays`
+function extremes(key, from, to, stepDays) {
+  let min = { r: Infinity };
+  let max = { r: -Infinity };
+  for (let t = Date.parse(from); t < Date.parse(to); t += stepDays * DAY) {
+    const r = heliocentricDistanceAU(key, new Date(t));
+    if (r < min.r) min = { r, t };
+    if (r > max.r) max = { r, t };
+  }
+  return { min, max };
+}
+
+describe("heliocentricDistanceAU", () => {
+  it("finds Earth's 2026 perihelion and aphelion", () => {
+    // Perihelion 2026-01-03 17:15 UT at 0.98330 AU; aphelion 2026-07-06
+    // 17:31 UT at 1.01665 AU
+    const { min, max } = extremes("earth", "2026-01-01", "2027-01-01", 0.125);
+    assert.ok(Math.abs(min.r - 0.9833) < 1e-4, `perihelion ${min.r}`);
+    assert.ok(Math.abs(min.t - Date.parse("2026-01-03T17:15Z")) < DAY);
+    assert.ok(Math.abs(max.r - 1.01665) < 1e-4, `aphelion ${max.r}`);
+    assert.ok(Math.abs(max.t - Date.parse("2026-07-06T17:31Z")) < DAY);
+  });
+
+  it("keeps Mars between its perihelion and aphelion distances", () => {
+    // 1.3814 and 1.6660 AU (NASA planetary fact sheet)
+    const { min, max } = extremes("mars", "2000-01-01", "2030-01-01", 1);
+    assert.ok(Math.abs(min.r - 1.3814) < 1e-3, `perihelion ${min.r}`);
+    assert.ok(Math.abs(max.r - 1.666) < 1e-3, `aphelion ${max.r}`);
+  });
+
+  it("finds Pluto's 1989 perihelion", () => {
+    // 1989-09-05 at 29.66 AU
+    const { min } = extremes("pluto", "1985-01-01", "1995-01-01", 1);
+    assert.ok(Math.abs(min.r - 29.66) < 0.01, `perihelion ${min.r}`);
+    assert.ok(Math.abs(min.t - Date.parse("1989-09-05")) < 10 * DAY);
+  });
+
+  it("falls back to Kepler elements outside Pluto's series range", () => {
+    const inside = new Date("2099-12-31T00:00Z");
+    const outside = new Date("2100-01-02T00:00Z");
+    assert.equal(plutoRadiusAU(outside), null);
+    const jump =
+      heliocentricDistanceAU("pluto", outside) - plutoRadiusAU(inside);
+    assert.ok(Math.abs(jump) < 0.5, `jump of ${jump} AU at the seam`);
+  });
+
+  it("has no series for unknown bodies", () => {
+    assert.equal(vsop87RadiusAU("vulcan", new Date()), null);
+    assert.equal(heliocentricDistanceAU("vulcan"), null);
+  });
+});
@@ -0,0 +1,72 @@
+// Exoplanet catalog: stellar flux from luminosity and distance, and the same
+// flux-to-altitude mapping the Solar System planets use.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { EXOPLANETS, stellarFluxRatio } from "../exoplanets.js";
+import {
+  findBody,
+  heliocentricDistanceAU,
+  planetIrradianceScale,
+  targetApparentAltitudeForFlux,
+  targetApparentAltitudeForPlanetKey,
+} from "../planets.js";
+
+describe("exoplanets", () => {
+  it("get the published flux (Earth = 1) within 3%", () => {
+    // Anglada-Escudé et al. 2016, Agol et al. 2021, Gilbert et al. 2020,
+    // Jenkins et al. 2015
+    for (const [key, published] of [
+      ["proxima-b", 0.65],
+      ["trappist-1b", 4.153],
+      ["trappist-1e", 0.646],
+      ["trappist-1h", 0.144],
+      ["toi-700d", 0.87],
+      ["kepler-452b", 1.1],
+    ]) {
+      const flux = stellarFluxRatio(findBody(key));
+      assert.ok(Math.abs(flux / published - 1) < 0.03, `${key}: ${flux}`);
+    }
+  });
+
+  it("map flux to altitude exactly as the planets do", () => {
+    const date = new Date("2026-10-19T12:00Z");
+    const r = heliocentricDistanceAU("mars", date);
+    assert.equal(
+      targetApparentAltitudeForFlux(planetIrradianceScale(r), date),
+      targetApparentAltitudeForPlanetKey("mars", date)
+    );
+    for (const w of EXOPLANETS) {
+      assert.equal(
+        targetApparentAltitudeForPlanetKey(w.key, date),
+        targetApparentAltitudeForFlux(stellarFluxRatio(w), date),
+        w.key
+      );
+    }
+  });
+
+  it("scale irradiance with the star's luminosity", () => {
+    assert.equal(planetIrradianceScale(2), 0.25);
+    assert.equal(planetIrradianceScale(2, 4), 1);
+  });
+
+  it("order TRAPPIST-1 targets from the innermost planet out", () => {
+    const date = new Date("2026-10-19T12:00Z");
+    const targets = EXOPLANETS.filter((w) => w.star === "TRAPPIST-1").map((w) =>
+      targetApparentAltitudeForPlanetKey(w.key, date)
+    );
+    assert.equal(targets.length, 7);
+    for (let i = 1; i < targets.length; i++) {
+      assert.ok(targets[i] < targets[i - 1], `index ${i}`);
+    }
+  });
+
+  it("have unique keys and no distance from our Sun", () => {
+    const keys = new Set(EXOPLANETS.map((w) => w.key));
+    assert.equal(keys.size, EXOPLANETS.length);
+    for (const w of EXOPLANETS) {
+      assert.equal(findBody(w.key.toUpperCase()), w);
+      assert.equal(heliocentricDistanceAU(w.key), null, w.key);
+    }
+  });
+});
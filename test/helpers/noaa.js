@@ -0,0 +1,143 @@
+// Reference solar calculator: a port of NOAA's Solar Calculator
+// (https://gml.noaa.gov/grad/solcalc/), which implements the low-accuracy
+// Meeus algorithms from "Astronomical Algorithms". NOAA quotes about
+// ±1 minute for rise/set between ±72° latitude, and ±10 minutes nearer the
+// poles. It is written independently of solar.js so the tests compare two
+// implementations, not one with itself.
+
+const rad = Math.PI / 180;
+const deg = 180 / Math.PI;
+
+function julianCentury(date) {
+  const jd = date.getTime() / 86400000 + 2440587.5;
+  return (jd - 2451545) / 36525;
+}
+
+function mod360(x) {
+  return ((x % 360) + 360) % 360;
+}
+
+// Sun's declination (deg), equation of time (min) and distance (AU)
+export function noaaSun(date) {
+  const T = julianCentury(date);
+  const L0 = mod360(280.46646 + T * (36000.76983 + T * 0.0003032));
+  const M = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+  const e = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+  const C =
+    Math.sin(M * rad) * (1.914602 - T * (0.004817 + 0.000014 * T)) +
+    Math.sin(2 * M * rad) * (0.019993 - 0.000101 * T) +
+    Math.sin(3 * M * rad) * 0.000289;
+  const trueLong = L0 + C;
+  const trueAnom = M + C;
+  const distanceAU =
+    (1.000001018 * (1 - e * e)) / (1 + e * Math.cos(trueAnom * rad));
+  const omega = 125.04 - 1934.136 * T;
+  const appLong = trueLong - 0.00569 - 0.00478 * Math.sin(omega * rad);
+  const meanObliq =
+    23 +
+    (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+  const obliq = meanObliq + 0.00256 * Math.cos(omega * rad);
+  const declDeg =
+    Math.asin(Math.sin(obliq * rad) * Math.sin(appLong * rad)) * deg;
+  const y = Math.tan((obliq / 2) * rad) ** 2;
+  const eqTimeMin =
+    4 *
+    deg *
+    (y * Math.sin(2 * L0 * rad) -
+      2 * e * Math.sin(M * rad) +
+      4 * e * y * Math.sin(M * rad) * Math.cos(2 * L0 * rad) -
+      0.5 * y * y * Math.sin(4 * L0 * rad) -
+      1.25 * e * e * Math.sin(2 * M * rad));
+  return { declDeg, eqTimeMin, distanceAU };
+}
+
+// Atmospheric refraction (deg) for a true elevation (deg), as NOAA applies it
+export function noaaRefractionDeg(hDeg) {
+  if (hDeg > 85) return 0;
+  const t = Math.tan(hDeg * rad);
+  let arcsec;
+  if (hDeg > 5) arcsec = 58.1 / t - 0.07 / t ** 3 + 0.000086 / t ** 5;
+  else if (hDeg > -0.575) {
+    const h = hDeg;
+    arcsec = 1735 + h * (-518.2 + h * (103.4 + h * (-12.79 + h * 0.711)));
+  } else arcsec = -20.772 / t;
+  return arcsec / 3600;
+}
+
+// True and apparent elevation (deg) at an instant; lon is east-positive
+export function noaaElevation(date, lat, lon) {
+  const { declDeg, eqTimeMin } = noaaSun(date);
+  const utcMin = (date.getTime() / 60000) % 1440;
+  const trueSolarMin = (((utcMin + eqTimeMin + 4 * lon) % 1440) + 1440) % 1440;
+  const hourAngle = trueSolarMin / 4 - 180;
+  const cosZ =
+    Math.sin(lat * rad) * Math.sin(declDeg * rad) +
+    Math.cos(lat * rad) * Math.cos(declDeg * rad) * Math.cos(hourAngle * rad);
+  const trueDeg = 90 - Math.acos(Math.max(-1, Math.min(1, cosZ))) * deg;
+  return { trueDeg, apparentDeg: trueDeg + noaaRefractionDeg(trueDeg) };
+}
+
+// Solar noon on the UTC calendar day starting at `base`
+function noaaSolarNoon(base, lon) {
+  let noon = new Date(base.getTime() + (720 - 4 * lon) * 60000);
+  // Re-evaluate the equation of time at the estimate, as NOAA does
+  for (let i = 0; i < 2; i++) {
+    const { eqTimeMin } = noaaSun(noon);
+    noon = new Date(base.getTime() + (720 - 4 * lon - eqTimeMin) * 60000);
+  }
+  return noon;
+}
+
+// Sunrise/sunset with the standard -0.833° altitude (refraction + radius).
+// The day is the one whose solar noon is nearest `localNoon`. Rise/set are
+// null when the Sun stays up or down all day.
+export function noaaSunTimes(localNoon, lat, lon) {
+  let base = new Date(Math.floor(localNoon.getTime() / 86400000) * 86400000);
+  let solarNoon = noaaSolarNoon(base, lon);
+  const shift = Math.round((localNoon - solarNoon) / 86400000);
+  if (shift) {
+    base = new Date(base.getTime() + shift * 86400000);
+    solarNoon = noaaSolarNoon(base, lon);
+  }
+  const event = (hourAngleSign) => {
+    let t = solarNoon;
+    for (let i = 0; i < 3; i++) {
+      const { declDeg, eqTimeMin } = noaaSun(t);
+      const cosH =
+        Math.cos(90.833 * rad) /
+          (Math.cos(lat * rad) * Math.cos(declDeg * rad)) -
+        Math.tan(lat * rad) * Math.tan(declDeg * rad);
+      if (cosH < -1 || cosH > 1) return null;
+      const H = hourAngleSign * Math.acos(cosH) * deg;
+      t = new Date(base.getTime() + (720 - 4 * (lon + H) - eqTimeMin) * 60000);
+    }
+    return t;
+  };
+  return { solarNoon, sunrise: event(1), sunset: event(-1) };
+}
+
+// Times in [start, end) when NOAA's apparent elevation crosses `targetDeg`,
+// found by a one-minute scan and bisection
+export function noaaAltitudeCrossings(start, end, lat, lon, targetDeg) {
+  const f = (ms) =>
+    noaaElevation(new Date(ms), lat, lon).apparentDeg - targetDeg;
+  const out = [];
+  let prevT = start.getTime();
+  let prev = f(prevT);
+  for (let t = prevT + 60000; t <= end.getTime(); t += 60000) {
+    const cur = f(t);
+    if (cur > 0 !== prev > 0) {
+      let lo = prevT;
+      let hi = t;
+      while (hi - lo > 100) {
+        const mid = (lo + hi) / 2;
+        if (f(mid) > 0 === f(lo) > 0) lo = mid;
+        else hi = mid;
+      }
+      out.push(new Date((lo + hi) / 2));
+    }
+    prevT = t;
+    prev = cur;
+  }
+  return out;
+}
@@ -0,0 +1,61 @@
+// iCalendar export: events and UIDs for each light variant.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildPlanetTimeICS, planetTimeEvents } from "../ics.js";
+import { findBody } from "../planets.js";
+import { zonedTime } from "../timezone.js";
+
+const OPTS = {
+  planet: findBody("venus"),
+  lat: 52.23,
+  lon: 21.01,
+  timeZone: "Europe/Warsaw",
+  from: zonedTime(2026, 9, 19, 12, 0, "Europe/Warsaw"),
+  days: 1,
+};
+
+describe("planet time export", () => {
+  it("keeps orbital and surface light apart", () => {
+    const orbital = planetTimeEvents(OPTS);
+    const surface = planetTimeEvents({ ...OPTS, light: { surface: true } });
+    assert.equal(orbital.length, 2);
+    assert.equal(
+      orbital[0].uid,
+      "venus-morning-20261019-orbital-twilight-slope-52.230_21.010@planets-time"
+    );
+    assert.notEqual(orbital[0].start.getTime(), surface[0].start.getTime());
+    assert.notEqual(orbital[0].uid, surface[0].uid);
+    const gentle = planetTimeEvents({
+      ...OPTS,
+      light: { model: "gentle-slope" },
+    });
+    assert.notEqual(orbital[0].uid, gentle[0].uid);
+  });
+
+  it("keeps the lone crossing of a polar-edge day", () => {
+    // Tromsø, 13 May 2026: the Sun rises through Pluto's -1.5° at 01:23
+    // and doesn't set below it again until after midnight
+    const tz = "Europe/Oslo";
+    const events = planetTimeEvents({
+      planet: findBody("pluto"),
+      lat: 69.65,
+      lon: 18.96,
+      timeZone: tz,
+      from: zonedTime(2026, 4, 13, 12, 0, tz),
+      days: 1,
+    });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].kind, "morning");
+    assert.equal(
+      events[0].start.toISOString().slice(0, 16),
+      "2026-05-12T23:23"
+    );
+  });
+
+  it("names the light in the event text", () => {
+    const ics = buildPlanetTimeICS({ ...OPTS, light: { surface: true } });
+    assert.match(ics, /SUMMARY:Morning Venus time \(surface\)/);
+    assert.match(ics, /Light: surface\\, twilight slope model\./);
+  });
+});
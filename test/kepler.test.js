@@ -0,0 +1,75 @@
+// Kepler's equation for elliptic, hyperbolic and near-parabolic orbits.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  GAUSS_K,
+  radiusFromPerihelionAU,
+  solveKeplerE,
+  solveKeplerH,
+  solveUniversal,
+} from "../kepler.js";
+
+describe("kepler", () => {
+  it("solves the elliptic equation for any e < 1 and any M", () => {
+    for (const e of [0, 0.1, 0.5, 0.9, 0.99, 0.999999]) {
+      for (const M of [-20, -3, -0.001, 0, 0.3, 1, Math.PI, 5, 100]) {
+        const E = solveKeplerE(M, e);
+        assert.ok(Math.abs(E - e * Math.sin(E) - M) < 1e-10, `e=${e} M=${M}`);
+      }
+    }
+  });
+
+  it("solves the hyperbolic equation", () => {
+    for (const e of [1.001, 1.2, 3, 50]) {
+      for (const M of [-100, -1, 0, 0.01, 2, 1e4]) {
+        const H = solveKeplerH(M, e);
+        const residual = e * Math.sinh(H) - H - M;
+        assert.ok(Math.abs(residual) < 1e-9 * Math.max(1, Math.abs(M)));
+      }
+    }
+  });
+
+  it("solves the universal equation near e = 1", () => {
+    for (const e of [0.995, 1, 1.005]) {
+      for (const dt of [-5000, -10, 0, 3, 400]) {
+        const q = 0.3;
+        const chi = solveUniversal(dt, q, e);
+        // Parabola check at e = 1: chi^3 / 6 + q chi = k dt
+        if (e === 1) {
+          const residual = (chi * chi * chi) / 6 + q * chi - GAUSS_K * dt;
+          assert.ok(Math.abs(residual) < 1e-12, `dt=${dt}`);
+        }
+        assert.ok(Number.isFinite(chi), `e=${e} dt=${dt}`);
+      }
+    }
+  });
+
+  it("is continuous across the near-parabolic seams", () => {
+    const q = 1.2;
+    for (const dt of [-300, 20, 150, 2000]) {
+      for (const seam of [0.99, 1.01]) {
+        const below = radiusFromPerihelionAU(q, seam - 1e-9, dt);
+        const above = radiusFromPerihelionAU(q, seam + 1e-9, dt);
+        assert.ok(Math.abs(below / above - 1) < 1e-7, `e=${seam} dt=${dt}`);
+      }
+    }
+  });
+
+  it("is at q at perihelion and symmetric about it", () => {
+    for (const e of [0, 0.3, 0.97, 1, 1.5]) {
+      assert.ok(Math.abs(radiusFromPerihelionAU(0.8, e, 0) - 0.8) < 1e-12);
+      const before = radiusFromPerihelionAU(0.8, e, -40);
+      const after = radiusFromPerihelionAU(0.8, e, 40);
+      assert.ok(Math.abs(before - after) < 1e-9, `e=${e}`);
+      assert.ok(after >= 0.8 - 1e-12, `e=${e}`);
+    }
+  });
+
+  it("returns to perihelion after one period", () => {
+    const a = 2.7660512;
+    const period = (2 * Math.PI) / (GAUSS_K / Math.pow(a, 1.5));
+    const q = a * (1 - 0.0794);
+    assert.ok(Math.abs(radiusFromPerihelionAU(q, 0.0794, period) - q) < 1e-9);
+  });
+});
@@ -0,0 +1,106 @@
+// Lux targets: any outdoor illuminance as a planet-like target.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { planetDaySummary } from "../calendar.js";
+import {
+  LUX_MAX,
+  LUX_MIN,
+  LUX_PRESETS,
+  findLuxTarget,
+  luxAltitudeDeg,
+  luxTarget,
+} from "../lux.js";
+import {
+  findBody,
+  nextPlanetTime,
+  targetAltitudeForPlanetKey,
+} from "../planets.js";
+import { earthIlluminanceLuxFromAltRad } from "../solar.js";
+import { zonedDayWindowFor } from "../timezone.js";
+
+describe("lux targets", () => {
+  it("round-trip through their keys", () => {
+    for (const p of LUX_PRESETS) {
+      const body = luxTarget(p.lux);
+      assert.equal(findLuxTarget(body.key).lux, p.lux, p.name);
+      assert.equal(findBody(body.key).name, body.name, p.name);
+      assert.ok(body.note.startsWith(p.name), p.name);
+    }
+    assert.equal(luxTarget(3.4).key, "lux-3.4");
+    assert.equal(findLuxTarget("mars"), null);
+    assert.equal(findLuxTarget("lux-abc"), null);
+    assert.equal(findLuxTarget("lux-500000"), null);
+  });
+
+  it("reject illuminances outside the model", () => {
+    for (const lux of [0, -1, LUX_MIN / 2, LUX_MAX * 2, NaN]) {
+      assert.throws(() => luxTarget(lux), /Pick an illuminance/, `${lux}`);
+    }
+  });
+
+  it("say when the times are for a clamped altitude", () => {
+    const dim = luxTarget(LUX_MIN);
+    const { altitude } = targetAltitudeForPlanetKey(dim.key);
+    assert.match(dim.note, /19\.1° below the horizon; times are for/);
+    assert.ok(dim.note.endsWith(`${-altitude}.0° below the horizon.`));
+    assert.ok(!luxTarget(500).note.includes("times are for"));
+  });
+
+  it("target the Sun altitude that gives the light", () => {
+    for (const lux of [50000, 400, 3.4, 0.01]) {
+      const h = luxAltitudeDeg(lux);
+      const back = earthIlluminanceLuxFromAltRad((h * Math.PI) / 180);
+      assert.ok(Math.abs(back / lux - 1) < 1e-6, `${lux}`);
+    }
+    // Brighter outdoors means a higher Sun
+    assert.ok(luxAltitudeDeg(500) > luxAltitudeDeg(10));
+    assert.ok(luxAltitudeDeg(3.4) < 0);
+  });
+
+  it("ignore the mapping model and surface light", () => {
+    const date = new Date("2026-10-19T12:00Z");
+    const plain = targetAltitudeForPlanetKey("lux-10", date);
+    for (const model of ["gentle-slope", "clear-sky"]) {
+      const t = targetAltitudeForPlanetKey("lux-10", date, {
+        model,
+        surface: true,
+      });
+      assert.equal(t.altitude, plain.altitude, model);
+    }
+    assert.equal(plain.clamped, null);
+    // Full daylight is above the 85° ceiling: the target is clamped and says so
+    assert.equal(
+      targetAltitudeForPlanetKey("lux-120000", date).clamped,
+      "high"
+    );
+  });
+
+  it("give morning and evening times like a planet", () => {
+    const tz = "Europe/Warsaw";
+    const opts = { lat: 52.23, lon: 21.01, timeZone: tz };
+    const office = planetDaySummary(2026, 9, 19, {
+      ...opts,
+      planetKey: "lux-500",
+    });
+    const dusk = planetDaySummary(2026, 9, 19, {
+      ...opts,
+      planetKey: "lux-3.4",
+    });
+    assert.ok(office.morning && office.evening);
+    // Dimmer light comes earlier in the morning and later in the evening
+    assert.ok(dusk.morning < office.morning);
+    assert.ok(dusk.evening > office.evening);
+    const { start } = zonedDayWindowFor(2026, 9, 19, tz);
+    const next = nextPlanetTime(
+      start,
+      52.23,
+      21.01,
+      null,
+      "lux-500",
+      tz,
+      start
+    );
+    assert.equal(next.getTime(), office.morning.getTime());
+  });
+});
@@ -0,0 +1,81 @@
+// Brightness-to-altitude mapping models and their use for planet targets.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  DEFAULT_MAPPING_MODEL,
+  MAPPING_MODELS,
+  findMappingModel,
+  mappedAltitudeDeg,
+} from "../mapping.js";
+import {
+  heliocentricDistanceAU,
+  planetIrradianceScale,
+  targetAltitudeForPlanetKey,
+  targetApparentAltitudeForPlanetKey,
+} from "../planets.js";
+import { EARTH_NOON_LUX, earthIlluminanceLuxFromAltRad } from "../solar.js";
+
+const PLUTO_FLUX = planetIrradianceScale(39.48);
+
+describe("mapping models", () => {
+  it("have unique keys, names and summaries", () => {
+    assert.equal(new Set(MAPPING_MODELS.map((m) => m.key)).size, 3);
+    for (const m of MAPPING_MODELS) {
+      assert.ok(m.name && m.summary, m.key);
+    }
+    assert.equal(findMappingModel("nope").key, DEFAULT_MAPPING_MODEL);
+    assert.equal(findMappingModel().key, DEFAULT_MAPPING_MODEL);
+  });
+
+  it("put Pluto's noon within a degree of -1.5°", () => {
+    for (const m of MAPPING_MODELS) {
+      const h = mappedAltitudeDeg(PLUTO_FLUX, PLUTO_FLUX, m.key);
+      assert.ok(Math.abs(h + 1.5) < 1, `${m.key}: ${h}`);
+    }
+    assert.equal(mappedAltitudeDeg(PLUTO_FLUX, PLUTO_FLUX), -1.5);
+  });
+
+  it("raise the target as the light grows", () => {
+    for (const m of MAPPING_MODELS) {
+      let last = -Infinity;
+      for (const flux of [1e-6, 1e-4, 1e-3, 0.01, 0.1, 0.5]) {
+        const h = mappedAltitudeDeg(flux, PLUTO_FLUX, m.key);
+        assert.ok(h > last, `${m.key} flux=${flux}`);
+        last = h;
+      }
+    }
+  });
+
+  it("invert the clear-sky illuminance model", () => {
+    for (const flux of [0.5, 0.04, 0.001, 1e-5]) {
+      const h = mappedAltitudeDeg(flux, PLUTO_FLUX, "clear-sky");
+      const lux = earthIlluminanceLuxFromAltRad((h * Math.PI) / 180);
+      assert.ok(Math.abs(lux / (EARTH_NOON_LUX * flux) - 1) < 1e-9, `${flux}`);
+    }
+  });
+
+  it("keep the twilight slope as the default target", () => {
+    const date = new Date("2026-10-19T12:00Z");
+    const flux = planetIrradianceScale(heliocentricDistanceAU("mars", date));
+    const pluto = planetIrradianceScale(heliocentricDistanceAU("pluto", date));
+    const slope = -6 / (Math.log10(400) - Math.log10(120000));
+    const expected = -1.5 + slope * Math.log10(flux / pluto);
+    const h = targetApparentAltitudeForPlanetKey("mars", date);
+    assert.ok(Math.abs(h - expected) < 1e-9);
+  });
+
+  it("feed the chosen model into planet targets", () => {
+    const date = new Date("2026-10-19T12:00Z");
+    const gentle = targetAltitudeForPlanetKey("saturn", date, {
+      model: "gentle-slope",
+    });
+    const steep = targetAltitudeForPlanetKey("saturn", date);
+    assert.ok(gentle.altitude < steep.altitude);
+    // Brighter than Earth: the clear-sky model never matches, and says so
+    const venus = targetAltitudeForPlanetKey("venus", date, {
+      model: "clear-sky",
+    });
+    assert.equal(venus.clamped, "high");
+  });
+});
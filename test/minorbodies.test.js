@@ -0,0 +1,176 @@
+// Dwarf planets, asteroids and comets: bundled elements, MPC one-line
+// parsing, and planet times from their own distance.
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import {
+  MINOR_BODIES,
+  findMinorBody,
+  minorBodies,
+  minorBodyDistanceAU,
+  minorBodyFromElements,
+  orbitalPeriodYears,
+  parseMPCLine,
+  setCustomMinorBodies,
+  unpackMPCDate,
+} from "../minorbodies.js";
+import {
+  findBody,
+  heliocentricDistanceAU,
+  isBuiltInBodyKey,
+  planetIrradianceScale,
+  targetApparentAltitudeForFlux,
+  targetApparentAltitudeForPlanetKey,
+} from "../planets.js";
+
+const CERES_MPCORB =
+  "00001    3.34  0.15 K2555 188.70269   73.27343   80.25221   10.58780  0.0794013  0.21424651   2.7660512  0 E2024-V47  7330 125 1801-2024 0.80 M-v 30k MPCLINUX   4000 (1) Ceres                   20241101";
+const HALLEY_COMETELS =
+  "0001P         1986 02  9.4589  0.587104  0.967143  111.8657   58.8601  162.1951  19860205   4.0  6.0  1P/Halley                                                98, 883";
+
+describe("minor bodies", () => {
+  afterEach(() => setCustomMinorBodies([]));
+
+  it("are where JPL Horizons puts them on 2024-01-01 (within 1%)", () => {
+    const date = new Date("2024-01-01T00:00Z");
+    for (const [key, horizons] of [
+      ["ceres", 2.76],
+      ["eris", 95.8],
+      ["makemake", 52.6],
+      ["sedna", 83.7],
+      ["1p-halley", 35.1],
+    ]) {
+      const r = minorBodyDistanceAU(key, date);
+      assert.ok(Math.abs(r / horizons - 1) < 0.01, `${key}: ${r}`);
+    }
+  });
+
+  it("put Halley at its 1986 perihelion and back around 2061", () => {
+    const r = minorBodyDistanceAU("1p-halley", new Date("1986-02-09T11:00Z"));
+    assert.ok(Math.abs(r - 0.5871) < 1e-4);
+    const period = orbitalPeriodYears(findMinorBody("1p-halley"));
+    assert.ok(period > 75 && period < 77, `${period}`);
+  });
+
+  it("unpack MPC dates", () => {
+    assert.equal(unpackMPCDate("K2555"), Date.UTC(2025, 4, 5));
+    assert.equal(unpackMPCDate("J96CV"), Date.UTC(1996, 11, 31));
+    assert.throws(() => unpackMPCDate("K25D1"), /packed MPC date/);
+  });
+
+  it("parse an MPCORB line into perihelion form", () => {
+    const ceres = parseMPCLine(CERES_MPCORB);
+    assert.equal(ceres.key, "ceres");
+    assert.equal(ceres.name, "Ceres");
+    assert.equal(ceres.kind, "asteroid");
+    assert.ok(Math.abs(ceres.q - 2.7660512 * (1 - 0.0794013)) < 1e-12);
+    assert.equal(ceres.i, 10.5878);
+    // Agrees with the bundled elements to within a day of perihelion
+    assert.ok(Math.abs(ceres.tp - findMinorBody("ceres").tp) < 86400000);
+  });
+
+  it("parse a CometEls line", () => {
+    const halley = parseMPCLine(HALLEY_COMETELS);
+    assert.equal(halley.key, "1p-halley");
+    assert.equal(halley.kind, "comet");
+    assert.equal(halley.q, 0.587104);
+    assert.equal(halley.e, 0.967143);
+    assert.equal(halley.tp, Date.UTC(1986, 1, 9) + 0.4589 * 86400000);
+  });
+
+  it("reject lines in neither format", () => {
+    assert.throws(() => parseMPCLine(""), /MPC one-line/);
+    assert.throws(() => parseMPCLine("Ceres 2.77 0.08"), /MPC one-line/);
+    const broken =
+      CERES_MPCORB.slice(0, 70) + "  ???    " + CERES_MPCORB.slice(79);
+    assert.throws(() => parseMPCLine(broken), /eccentricity/);
+  });
+
+  it("validate typed-in elements", () => {
+    const body = minorBodyFromElements({
+      name: " C/2023 A3 (Tsuchinshan–ATLAS) ",
+      q: 0.3914,
+      e: 1.0001,
+      perihelion: new Date("2024-09-27T18:00Z"),
+    });
+    assert.equal(body.key, "c-2023-a3-tsuchinshan-atlas");
+    assert.equal(body.kind, "comet");
+    assert.throws(() => minorBodyFromElements({ q: 1, e: 0 }), /name/);
+    assert.throws(
+      () => minorBodyFromElements({ name: "x", q: 0, e: 0, perihelion: 0 }),
+      /Perihelion distance/
+    );
+    assert.throws(
+      () => minorBodyFromElements({ name: "x", q: 1, e: 0, perihelion: NaN }),
+      /perihelion date/
+    );
+    assert.throws(
+      () =>
+        minorBodyFromElements({ name: "谷神星", q: 1, e: 0, perihelion: 0 }),
+      /name/
+    );
+    assert.throws(
+      () => minorBodyFromElements({ name: "x", q: 1, e: 101, perihelion: 0 }),
+      /between 0 and 100/
+    );
+    assert.equal(
+      minorBodyFromElements({ name: "Ñandú", q: 1, e: 0, perihelion: 0 }).key,
+      "nandu"
+    );
+  });
+
+  it("never take over a built-in body", () => {
+    const date = new Date("2026-10-19T00:00Z");
+    const mars = heliocentricDistanceAU("mars", date);
+    const voyager = heliocentricDistanceAU("voyager-1", date);
+    const fake = (name) =>
+      minorBodyFromElements({ name, q: 40, e: 0.1, perihelion: 0 });
+    setCustomMinorBodies(
+      [
+        fake("Mars"),
+        fake("Voyager 1"),
+        fake("Europa"),
+        fake("lux-500"),
+        { ...fake("x"), key: "" },
+      ],
+      isBuiltInBodyKey
+    );
+    assert.equal(minorBodies().filter((b) => b.custom).length, 0);
+    assert.equal(heliocentricDistanceAU("mars", date), mars);
+    assert.equal(heliocentricDistanceAU("voyager-1", date), voyager);
+  });
+
+  it("plan custom bodies like any other, hyperbolic ones included", () => {
+    const comet = minorBodyFromElements({
+      name: "C/2023 A3",
+      q: 0.3914,
+      e: 1.0001,
+      perihelion: new Date("2024-09-27T18:00Z"),
+    });
+    setCustomMinorBodies([comet, { ...comet, key: "ceres" }]);
+    assert.equal(findBody("C-2023-A3").custom, true);
+    assert.equal(findBody("ceres"), MINOR_BODIES[0]);
+    const date = new Date("2024-10-12T00:00Z");
+    const r = heliocentricDistanceAU("c-2023-a3", date);
+    assert.ok(r > 0.5 && r < 0.65, `${r}`);
+    assert.equal(
+      targetApparentAltitudeForPlanetKey("c-2023-a3", date),
+      targetApparentAltitudeForFlux(planetIrradianceScale(r), date)
+    );
+  });
+
+  it("have unique keys and a target from their own distance", () => {
+    const keys = new Set(MINOR_BODIES.map((b) => b.key));
+    assert.equal(keys.size, MINOR_BODIES.length);
+    const date = new Date("2026-10-19T12:00Z");
+    // Ceres is in sunlight between Mars and Jupiter; Sedna below Pluto's
+    assert.ok(
+      targetApparentAltitudeForPlanetKey("ceres", date) >
+        targetApparentAltitudeForPlanetKey("jupiter", date)
+    );
+    assert.ok(
+      targetApparentAltitudeForPlanetKey("sedna", date) <
+        targetApparentAltitudeForPlanetKey("pluto", date)
+    );
+  });
+});
@@ -0,0 +1,71 @@
+// Moons take their parent's sunlight: same distance from the Sun, same
+// target altitude, same planet times.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  MOONS,
+  PLANETS,
+  findBody,
+  heliocentricDistanceAU,
+  moonsOf,
+  nextPlanetTime,
+  targetApparentAltitudeForPlanetKey,
+} from "../planets.js";
+import { zonedDayWindowFor } from "../timezone.js";
+
+describe("moons", () => {
+  it("each orbit a listed planet and have a light note", () => {
+    for (const m of MOONS) {
+      const parent = PLANETS.find((p) => p.key === m.parent);
+      assert.ok(parent, m.key);
+      assert.equal(m.au, parent.au, m.key);
+      assert.ok(m.note, m.key);
+    }
+  });
+
+  it("use the parent's distance and target altitude", () => {
+    for (const iso of ["1990-01-01", "2026-10-19", "2080-06-01"]) {
+      const date = new Date(iso);
+      for (const m of MOONS) {
+        assert.equal(
+          heliocentricDistanceAU(m.key, date),
+          heliocentricDistanceAU(m.parent, date),
+          `${m.key} ${iso}`
+        );
+      }
+      for (const key of ["europa", "ganymede", "titan", "triton", "charon"]) {
+        const m = findBody(key);
+        assert.equal(
+          targetApparentAltitudeForPlanetKey(key, date),
+          targetApparentAltitudeForPlanetKey(m.parent, date),
+          `${key} ${iso}`
+        );
+      }
+    }
+  });
+
+  it("give the Moon a target even though Earth has none", () => {
+    assert.equal(targetApparentAltitudeForPlanetKey("earth"), null);
+    assert.ok(Number.isFinite(targetApparentAltitudeForPlanetKey("moon")));
+  });
+
+  it("make Charon time Pluto time", () => {
+    const tz = "Europe/Warsaw";
+    const { start } = zonedDayWindowFor(2026, 9, 19, tz);
+    const next = (key) =>
+      nextPlanetTime(start, 52.23, 21.01, null, key, tz, start);
+    assert.deepEqual(next("charon"), next("pluto"));
+  });
+
+  it("are found by key in any case and grouped by parent", () => {
+    assert.equal(findBody("Titan").parent, "saturn");
+    assert.equal(findBody("mars").key, "mars");
+    assert.equal(findBody("vulcan"), null);
+    assert.deepEqual(
+      moonsOf("jupiter").map((m) => m.key),
+      ["europa", "ganymede"]
+    );
+    assert.deepEqual(moonsOf("mercury"), []);
+  });
+});
@@ -0,0 +1,82 @@
+// Reverse lookup: which planet's noon the light outside matches.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  altitudeToLux,
+  gaugeFraction,
+  matchNoonLight,
+  noonLightPhrase,
+  planetNoonScale,
+} from "../noonlight.js";
+import { targetApparentAltitudeForPlanetKey } from "../planets.js";
+
+const DATE = new Date("2026-10-19T12:00Z");
+const SCALE = planetNoonScale(DATE);
+const byKey = (key) => SCALE.find((b) => b.key === key);
+
+describe("noon light now", () => {
+  it("orders the planets dimmest first, Earth aside", () => {
+    assert.equal(SCALE.length, 8);
+    assert.equal(SCALE[0].key, "pluto");
+    assert.ok(!byKey("earth"));
+    for (let i = 1; i < SCALE.length; i++) {
+      assert.ok(SCALE[i].lux > SCALE[i - 1].lux, SCALE[i].key);
+    }
+  });
+
+  it("calls a planet's target altitude its noon", () => {
+    for (const key of ["pluto", "saturn", "mars"]) {
+      const h = targetApparentAltitudeForPlanetKey(key, DATE);
+      const m = matchNoonLight(h, SCALE);
+      assert.equal(m.match.key, key);
+      assert.equal(noonLightPhrase(m), `${byKey(key).name} noon`);
+    }
+  });
+
+  it("names the planets on either side", () => {
+    const saturn = byKey("saturn").altitudeDeg;
+    const uranus = byKey("uranus").altitudeDeg;
+    const m = matchNoonLight((saturn + uranus) / 2, SCALE);
+    assert.equal(m.match, null);
+    assert.equal(m.brighter.key, "saturn");
+    assert.equal(m.dimmer.key, "uranus");
+    assert.equal(noonLightPhrase(m), "Between Saturn and Uranus noon");
+    assert.equal(
+      noonLightPhrase(matchNoonLight(-12, SCALE)),
+      "Darker than Pluto noon"
+    );
+    assert.equal(
+      noonLightPhrase(matchNoonLight(60, SCALE)),
+      "Brighter than Mercury noon"
+    );
+  });
+
+  it("follows the mapping model", () => {
+    const gentle = planetNoonScale(DATE, { model: "gentle-slope" });
+    const saturn = gentle.find((b) => b.key === "saturn");
+    assert.ok(saturn.lux < byKey("saturn").lux);
+    assert.equal(
+      matchNoonLight(saturn.altitudeDeg, gentle).match.key,
+      "saturn"
+    );
+  });
+
+  it("never dims as the Sun rises through the horizon", () => {
+    let last = 0;
+    for (let h = -3; h <= 3; h += 0.05) {
+      const lux = altitudeToLux(h);
+      assert.ok(lux >= last, `${h}`);
+      last = lux;
+    }
+  });
+
+  it("places the light on a log gauge", () => {
+    assert.equal(gaugeFraction(0.001), 0);
+    assert.equal(gaugeFraction(1e6), 1);
+    assert.equal(gaugeFraction(altitudeToLux(90)), 1);
+    const pluto = gaugeFraction(byKey("pluto").lux);
+    const mars = gaugeFraction(byKey("mars").lux);
+    assert.ok(pluto > 0 && pluto < mars && mars < 1);
+  });
+});
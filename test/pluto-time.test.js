@@ -0,0 +1,146 @@
+// Pluto time: the moment Earth's daylight matches the brightness of noon on
+// Pluto, shortly before sunrise and after sunset. These checks pin the -1.5°
+// apparent-altitude anchor the app takes from NASA's Pluto Time, crossings a
+// few minutes outside sunrise and sunset at populated latitudes, and a table
+// of fixed times.
+//
+// No published NASA Pluto Time examples are checked here: NASA offers the
+// calculator, not a table of place/date/time results, and none were
+// available to copy. The fixed times come from a second solar model instead
+// (see below), so they test the implementation, not agreement with NASA.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  PLANETS,
+  nextPlanetTime,
+  targetApparentAltitudeForPlanetKey,
+} from "../planets.js";
+import {
+  findApparentAltitudeCrossings,
+  solarApparentAltitudeDeg,
+  sunTimes,
+} from "../solar.js";
+import { planetDaySummary } from "../calendar.js";
+import { zonedDayWindowFor, zonedTime } from "../timezone.js";
+
+const CITIES = [
+  { name: "Warsaw", lat: 52.23, lon: 21.01, tz: "Europe/Warsaw" },
+  { name: "Washington", lat: 38.9, lon: -77.04, tz: "America/New_York" },
+  { name: "Quito", lat: -0.18, lon: -78.47, tz: "America/Guayaquil" },
+  { name: "Sydney", lat: -33.87, lon: 151.21, tz: "Australia/Sydney" },
+  { name: "Helsinki", lat: 60.17, lon: 24.94, tz: "Europe/Helsinki" },
+];
+
+describe("Pluto time", () => {
+  it("is anchored at -1.5° apparent solar altitude on any date", () => {
+    for (const iso of [
+      "1990-01-01",
+      "2015-07-14",
+      "2026-10-19",
+      "2080-06-01",
+    ]) {
+      const h = targetApparentAltitudeForPlanetKey("pluto", new Date(iso));
+      assert.equal(h, -1.5, iso);
+    }
+  });
+
+  it("falls shortly before sunrise and after sunset", () => {
+    for (const city of CITIES) {
+      for (let month = 0; month < 12; month++) {
+        const { start } = zonedDayWindowFor(2026, month, 15, city.tz);
+        const [morning, evening] = findApparentAltitudeCrossings(
+          start,
+          city.lat,
+          city.lon,
+          -1.5,
+          city.tz
+        );
+        const sun = sunTimes(start, city.lat, city.lon, city.tz);
+        const before = (sun.sunrise - morning) / 60000;
+        const after = (evening - sun.sunset) / 60000;
+        const when = `${city.name} 2026-${month + 1}-15`;
+        assert.ok(before > 1 && before < 20, `${when}: ${before} min before`);
+        assert.ok(after > 1 && after < 20, `${when}: ${after} min after`);
+        for (const t of [morning, evening]) {
+          const h = solarApparentAltitudeDeg(t, city.lat, city.lon);
+          assert.ok(Math.abs(h + 1.5) < 0.01, when);
+        }
+      }
+    }
+  });
+
+  // Local Pluto times to the minute, computed with Astronomy Engine 2 (not
+  // NASA) for the Sun's centre at -1.5° with NOAA's refraction (-1.695°
+  // geometric), so they don't lean on solar.js. Allowed: one minute, for the
+  // rounding.
+  it("matches reference times through the planet key", () => {
+    const table = [
+      ["Warsaw", "2026-10-19", "07:02", "17:39"],
+      ["Washington", "2026-07-14", "05:49", "20:38"],
+      ["Quito", "2026-03-20", "06:15", "18:28"],
+      ["Sydney", "2026-12-21", "05:36", "20:10"],
+      ["Helsinki", "2026-06-21", "03:41", "23:03"],
+    ];
+    for (const [name, date, morning, evening] of table) {
+      const city = CITIES.find((c) => c.name === name);
+      const [year, month, day] = date.split("-").map(Number);
+      const got = planetDaySummary(year, month - 1, day, {
+        lat: city.lat,
+        lon: city.lon,
+        timeZone: city.tz,
+        planetKey: "pluto",
+      });
+      for (const [t, time] of [
+        [got.morning, morning],
+        [got.evening, evening],
+      ]) {
+        const [hour, minute] = time.split(":").map(Number);
+        const expected = zonedTime(year, month - 1, day, hour, minute, city.tz);
+        const off = Math.abs(t - expected) / 60000;
+        assert.ok(off <= 1, `${name} ${date} ${time}: ${off.toFixed(2)} min`);
+      }
+    }
+  });
+
+  it("comes next after the given moment", () => {
+    const city = CITIES[0];
+    const { start } = zonedDayWindowFor(2026, 9, 19, city.tz);
+    const [morning, evening] = findApparentAltitudeCrossings(
+      start,
+      city.lat,
+      city.lon,
+      -1.5,
+      city.tz
+    );
+    const next = (now) =>
+      nextPlanetTime(now, city.lat, city.lon, 39.48, "pluto", city.tz, now);
+    assert.deepEqual(next(start), morning);
+    assert.deepEqual(next(new Date(morning.getTime() + 1000)), evening);
+    const tomorrow = zonedDayWindowFor(2026, 9, 20, city.tz).start;
+    const [nextMorning] = findApparentAltitudeCrossings(
+      tomorrow,
+      city.lat,
+      city.lon,
+      -1.5,
+      city.tz
+    );
+    assert.deepEqual(next(new Date(evening.getTime() + 1000)), nextMorning);
+  });
+});
+
+describe("planet target altitudes", () => {
+  it("rise with brightness: nearer planets need a higher Sun", () => {
+    const date = new Date("2026-10-19T12:00Z");
+    const targets = PLANETS.filter((p) => p.key !== "earth")
+      .sort((a, b) => a.au - b.au)
+      .map((p) => targetApparentAltitudeForPlanetKey(p.key, date));
+    for (let i = 1; i < targets.length; i++) {
+      assert.ok(targets[i] <= targets[i - 1], `order at index ${i}`);
+    }
+  });
+
+  it("has no target for Earth", () => {
+    assert.equal(targetApparentAltitudeForPlanetKey("earth"), null);
+  });
+});
@@ -0,0 +1,55 @@
+// Deep links: parsing and formatting hash routes.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { formatRoute, isRoute, parseRoute } from "../router.js";
+
+describe("hash routes", () => {
+  it("round-trip every part", () => {
+    const hash =
+      "#/planet/mars?lat=52.2297&lon=21.0122&date=2026-10-19&time=06:45&view=timeline";
+    const route = parseRoute(hash);
+    assert.deepEqual(route, {
+      planet: "mars",
+      lat: 52.2297,
+      lon: 21.0122,
+      date: { year: 2026, month: 9, day: 19 },
+      time: { hour: 6, minute: 45 },
+      view: "timeline",
+    });
+    assert.equal(formatRoute(route), hash);
+    assert.equal(
+      formatRoute(parseRoute("#/planet/lux-3.4")),
+      "#/planet/lux-3.4"
+    );
+  });
+
+  it("leave plain anchors to the page", () => {
+    for (const hash of ["", "#", "#about", "#how"]) {
+      assert.equal(isRoute(hash), false, hash);
+      assert.equal(parseRoute(hash), null, hash);
+    }
+    const home = parseRoute("#/");
+    assert.equal(home.planet, null);
+    assert.equal(formatRoute(home), "#/");
+  });
+
+  it("drop the parts that don't parse", () => {
+    const route = parseRoute(
+      "#/planet/Mars?lat=95&lon=21&date=2026-02-30&time=25:00&view=<x>"
+    );
+    assert.equal(route.planet, "mars");
+    assert.equal(route.lat, null);
+    assert.equal(route.lon, null);
+    assert.equal(route.date, null);
+    assert.equal(route.time, null);
+    assert.equal(route.view, null);
+    assert.equal(parseRoute("#/planet/%E0%A4%A").planet, null);
+    assert.equal(parseRoute("#/?lat=-33.87&lon=").lat, null);
+  });
+
+  it("round coordinates to about ten metres", () => {
+    const hash = formatRoute({ lat: -33.868819, lon: 151.209295 });
+    assert.equal(hash, "#/?lat=-33.8688&lon=151.2093");
+  });
+});
@@ -0,0 +1,462 @@
+// solar.js against NOAA's Solar Calculator (ported in helpers/noaa.js) and a
+// table of fixed reference times.
+//
+// The "standard" precision tier implements the same Meeus formulas as NOAA,
+// so the two must agree to rounding: 1e-6° in altitude and under a second in
+// every event time (sunTimes iterates to convergence, crossings bisect to
+// ~0.1 s). The "low" tier is the Astronomical Almanac's shorter series and
+// must stay within 0.02° of NOAA. Distance is also checked against VSOP87.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { vsop87RadiusAU } from "../ephemeris.js";
+import {
+  SOLAR_PRECISIONS,
+  findApparentAltitudeCrossings,
+  horizonDipDeg,
+  refractionDeg,
+  solarApparentAltitudeDeg,
+  solarEphemeris,
+  standardPressureHPa,
+  sunAltitudeSamples,
+  sunTimes,
+} from "../solar.js";
+import { zonedDayWindowFor, zonedParts, zonedTime } from "../timezone.js";
+import {
+  noaaAltitudeCrossings,
+  noaaElevation,
+  noaaRefractionDeg,
+  noaaSun,
+  noaaSunTimes,
+} from "./helpers/noaa.js";
+
+const PLACES = [
+  { name: "Warsaw", lat: 52.23, lon: 21.01, tz: "Europe/Warsaw" },
+  { name: "New York", lat: 40.71, lon: -74.0, tz: "America/New_York" },
+  { name: "Quito", lat: -0.18, lon: -78.47, tz: "America/Guayaquil" },
+  { name: "Sydney", lat: -33.87, lon: 151.21, tz: "Australia/Sydney" },
+  { name: "Tokyo", lat: 35.68, lon: 139.69, tz: "Asia/Tokyo" },
+  { name: "Ushuaia", lat: -54.8, lon: -68.3, tz: "America/Argentina/Ushuaia" },
+  { name: "Reykjavik", lat: 64.15, lon: -21.94, tz: "Atlantic/Reykjavik" },
+  { name: "Tromsø", lat: 69.65, lon: 18.96, tz: "Europe/Oslo" },
+];
+
+// Either side of the date line, in zones 25 hours apart
+const DATE_LINE = [
+  { name: "Kiritimati", lat: 1.87, lon: -157.4, tz: "Pacific/Kiritimati" },
+  { name: "Pago Pago", lat: -14.28, lon: -170.7, tz: "Pacific/Pago_Pago" },
+  { name: "Fiji (179.9°E)", lat: -16.5, lon: 179.9, tz: "Pacific/Fiji" },
+  { name: "179.9°W", lat: -16.5, lon: -179.9, tz: "Etc/GMT+12" },
+];
+
+const YEARS = [2000, 2013, 2026, 2039];
+const DAYS = [1, 11, 21]; // in every month: solstices, equinoxes and between
+
+function* days() {
+  for (const year of YEARS) {
+    for (let month = 0; month < 12; month++) {
+      for (const day of DAYS) yield { year, month, day };
+    }
+  }
+}
+
+const minutesApart = (a, b) => Math.abs(a.getTime() - b.getTime()) / 60000;
+
+// One second, in minutes
+const SECOND = 1 / 60;
+
+describe("refractionDeg", () => {
+  it("matches NOAA's piecewise refraction formula", () => {
+    for (let h = -5; h <= 90; h += 0.25) {
+      assert.ok(
+        Math.abs(refractionDeg(h) - noaaRefractionDeg(h)) < 1e-12,
+        `h=${h}`
+      );
+    }
+  });
+
+  it("is zero near the zenith and about half a degree at the horizon", () => {
+    assert.equal(refractionDeg(86), 0);
+    assert.ok(Math.abs(refractionDeg(0) - 1735 / 3600) < 1e-12);
+  });
+
+  it("has no large jumps between the formula's branches", () => {
+    for (const edge of [5, -0.575]) {
+      const jump = Math.abs(refractionDeg(edge + 1e-9) - refractionDeg(edge));
+      assert.ok(jump < 0.01, `jump of ${jump}° at ${edge}°`);
+    }
+  });
+});
+
+describe("solarEphemeris", () => {
+  it("matches NOAA's declination, equation of time and distance", () => {
+    for (const { year, month, day } of days()) {
+      const t = new Date(Date.UTC(year, month, day, 6));
+      const got = solarEphemeris(t, 0, 0);
+      const ref = noaaSun(t);
+      const when = t.toISOString();
+      assert.ok(Math.abs(got.declinationDeg - ref.declDeg) < 1e-6, when);
+      assert.ok(Math.abs(got.equationOfTimeMin - ref.eqTimeMin) < 1e-6, when);
+      assert.ok(Math.abs(got.distanceAU - ref.distanceAU) < 1e-9, when);
+    }
+  });
+
+  it("keeps every tier within 0.02° of NOAA and 1e-4 AU of VSOP87", () => {
+    for (const precision of SOLAR_PRECISIONS) {
+      for (const place of PLACES) {
+        for (const { year, month, day } of days()) {
+          for (let hour = 0; hour < 24; hour += 3) {
+            const t = zonedTime(year, month, day, hour, 17, place.tz);
+            const got = solarEphemeris(t, place.lat, place.lon, { precision });
+            const ref = noaaElevation(t, place.lat, place.lon).trueDeg;
+            const when = `${precision} ${place.name} ${t.toISOString()}`;
+            assert.ok(Math.abs(got.altitudeDeg - ref) < 0.02, when);
+            const au = vsop87RadiusAU("earth", t);
+            assert.ok(Math.abs(got.distanceAU - au) < 1e-4, when);
+          }
+        }
+      }
+    }
+  });
+
+  it("measures azimuth from north through east", () => {
+    // Warsaw on the 2026 June solstice: NE at dawn, due south at noon, NW at
+    // dusk; Sydney's noon Sun is due north
+    const warsaw = sunTimes(new Date("2026-06-21T12:00Z"), 52.23, 21.01);
+    const at = (t) => solarEphemeris(t, 52.23, 21.01);
+    assert.ok(Math.abs(at(warsaw.solarNoon).azimuthDeg - 180) < 0.01);
+    assert.ok(Math.abs(at(warsaw.solarNoon).hourAngleDeg) < 0.01);
+    assert.ok(Math.abs(at(warsaw.sunrise).azimuthDeg - 48) < 1);
+    assert.ok(Math.abs(at(warsaw.sunset).azimuthDeg - 312) < 1);
+    const sydney = sunTimes(
+      new Date("2026-06-21T02:00Z"),
+      -33.87,
+      151.21,
+      "Australia/Sydney"
+    );
+    const noon = solarEphemeris(sydney.solarNoon, -33.87, 151.21).azimuthDeg;
+    assert.ok(Math.min(noon, 360 - noon) < 0.01, `${noon}°`);
+  });
+
+  it("puts the Sun's centre at -0.833° at sunrise and sunset", () => {
+    for (const place of PLACES) {
+      const noon = zonedTime(2026, 2, 20, 12, 0, place.tz);
+      const sun = sunTimes(noon, place.lat, place.lon, place.tz);
+      for (const t of [sun.sunrise, sun.sunset]) {
+        const { altitudeDeg } = solarEphemeris(t, place.lat, place.lon);
+        assert.ok(Math.abs(altitudeDeg + 0.833) < 1e-3, place.name);
+      }
+    }
+  });
+});
+
+describe("sunTimes", () => {
+  for (const place of [...PLACES, ...DATE_LINE]) {
+    it(`agrees with NOAA in ${place.name}`, () => {
+      for (const { year, month, day } of days()) {
+        const noon = zonedTime(year, month, day, 12, 0, place.tz);
+        const got = sunTimes(noon, place.lat, place.lon, place.tz);
+        const ref = noaaSunTimes(noon, place.lat, place.lon);
+        const when = `${year}-${month + 1}-${day}`;
+        if (!ref.sunrise || !ref.sunset) {
+          // Polar day or night
+          assert.equal(got.sunrise, null, `${when}: expected no rise`);
+          continue;
+        }
+        assert.ok(got.sunrise, `${when}: missing rise/set`);
+        assert.ok(minutesApart(got.solarNoon, ref.solarNoon) < SECOND, when);
+        assert.ok(minutesApart(got.sunrise, ref.sunrise) < SECOND, when);
+        assert.ok(minutesApart(got.sunset, ref.sunset) < SECOND, when);
+      }
+    });
+  }
+
+  it("puts solar noon where the equation of time says (almanac values)", () => {
+    // At 0° longitude solar noon is 12:00 UTC minus the equation of time:
+    // about +16.4 min on 3 November and -14.2 min on 11 February
+    const nov = sunTimes(new Date("2026-11-03T12:00Z"), 51.48, 0, "UTC");
+    const feb = sunTimes(new Date("2026-02-11T12:00Z"), 51.48, 0, "UTC");
+    assert.ok(
+      minutesApart(nov.solarNoon, new Date("2026-11-03T11:43:36Z")) < 1
+    );
+    assert.ok(
+      minutesApart(feb.solarNoon, new Date("2026-02-11T12:14:14Z")) < 1
+    );
+  });
+
+  it("returns the requested civil day on both sides of the date line", () => {
+    for (const place of DATE_LINE) {
+      for (const { year, month, day } of days()) {
+        const noon = zonedTime(year, month, day, 12, 0, place.tz);
+        const got = sunTimes(noon, place.lat, place.lon, place.tz);
+        for (const t of [got.sunrise, got.solarNoon, got.sunset]) {
+          const p = zonedParts(t, place.tz);
+          assert.deepEqual(
+            [p.year, p.month, p.day],
+            [year, month, day],
+            `${place.name} ${year}-${month + 1}-${day}`
+          );
+        }
+      }
+    }
+  });
+
+  it("flags midnight sun and polar night", () => {
+    const cases = [
+      ["Tromsø", 69.65, 18.96, "Europe/Oslo", 2026, 5, 21, true],
+      ["Tromsø", 69.65, 18.96, "Europe/Oslo", 2026, 11, 21, false],
+      ["Longyearbyen", 78.22, 15.65, "Arctic/Longyearbyen", 2026, 4, 1, true],
+      ["Longyearbyen", 78.22, 15.65, "Arctic/Longyearbyen", 2026, 0, 1, false],
+      ["South Pole", -89.99, 0, "Antarctica/McMurdo", 2026, 11, 21, true],
+      ["South Pole", -89.99, 0, "Antarctica/McMurdo", 2026, 5, 21, false],
+    ];
+    for (const [name, lat, lon, tz, y, m, d, up] of cases) {
+      const noon = zonedTime(y, m, d, 12, 0, tz);
+      const got = sunTimes(noon, lat, lon, tz);
+      const ref = noaaSunTimes(noon, lat, lon);
+      assert.equal(ref.sunrise, null, `${name}: reference has a sunrise`);
+      assert.equal(got.sunrise, null, name);
+      assert.equal(got.sunset, null, name);
+      assert.equal(got.alwaysUp, up, name);
+      assert.equal(got.alwaysDown, !up, name);
+    }
+  });
+});
+
+// Fixed reference times, local and to the minute as the NOAA calculator
+// shows them (sunrise and sunset with the Sun's centre at -0.833°). They were
+// computed with Astronomy Engine 2 (full VSOP87, IAU 2006 precession and
+// nutation), not a Meeus port, so a mistake shared by solar.js and
+// helpers/noaa.js still fails here. Allowed: a minute (half a minute of
+// rounding plus NOAA's quoted accuracy), two above the polar circles,
+// where the Sun skims the horizon.
+const REFERENCE_TIMES = [
+  // place, date, "sunrise solar-noon sunset"
+  ["Warsaw", "2026-06-21", "04:14 12:38 21:01"],
+  ["Warsaw", "2026-12-21", "07:43 11:34 15:25"],
+  ["New York", "2026-03-20", "06:59 13:03 19:08"],
+  ["Quito", "2026-09-23", "06:03 12:06 18:09"],
+  ["Sydney", "2026-01-15", "05:59 13:04 20:09"],
+  ["Tokyo", "2026-10-19", "05:51 11:26 17:01"],
+  // A week before Tromsø's polar night: a 3-hour day
+  ["Tromsø", "2026-11-20", "09:59 11:30 13:00"],
+  // Either side of the date line, UTC+14 and UTC-11
+  ["Kiritimati", "2026-07-01", "06:27 12:33 18:40"],
+  ["Pago Pago", "2026-07-01", "06:48 12:27 18:06"],
+];
+
+// "2026-06-21", "04:14" in `tz` -> Date
+function localTime(date, time, tz) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  return zonedTime(year, month - 1, day, hour, minute, tz);
+}
+
+describe("sunTimes against reference times", () => {
+  for (const [name, date, times] of REFERENCE_TIMES) {
+    it(`matches ${name} on ${date}`, () => {
+      const place = [...PLACES, ...DATE_LINE].find((p) => p.name === name);
+      const tolerance = Math.abs(place.lat) > 66 ? 2 : 1;
+      const got = sunTimes(
+        localTime(date, "12:00", place.tz),
+        place.lat,
+        place.lon,
+        place.tz
+      );
+      const [sunrise, solarNoon, sunset] = times.split(" ");
+      const expected = { sunrise, solarNoon, sunset };
+      for (const [event, time] of Object.entries(expected)) {
+        const off = minutesApart(got[event], localTime(date, time, place.tz));
+        assert.ok(off <= tolerance, `${event}: ${off.toFixed(2)} min off`);
+      }
+    });
+  }
+});
+
+describe("solarApparentAltitudeDeg", () => {
+  for (const place of [...PLACES, ...DATE_LINE]) {
+    it(`agrees with NOAA in ${place.name}`, () => {
+      for (const { year, month, day } of days()) {
+        for (let hour = 0; hour < 24; hour++) {
+          const t = zonedTime(year, month, day, hour, 17, place.tz);
+          const got = solarApparentAltitudeDeg(t, place.lat, place.lon);
+          const ref = noaaElevation(t, place.lat, place.lon).apparentDeg;
+          assert.ok(
+            Math.abs(got - ref) < 1e-6,
+            `${t.toISOString()}: ${got.toFixed(3)}° vs ${ref.toFixed(3)}°`
+          );
+        }
+      }
+    });
+  }
+});
+
+describe("findApparentAltitudeCrossings", () => {
+  for (const target of [-6, -1.5, 5]) {
+    it(`finds the ${target}° crossings NOAA finds`, () => {
+      for (const place of [...PLACES, ...DATE_LINE]) {
+        for (const { year, month, day } of days()) {
+          const win = zonedDayWindowFor(year, month, day, place.tz);
+          const got = findApparentAltitudeCrossings(
+            win.start,
+            place.lat,
+            place.lon,
+            target,
+            place.tz
+          );
+          const ref = noaaAltitudeCrossings(
+            win.start,
+            win.end,
+            place.lat,
+            place.lon,
+            target
+          );
+          const when = `${place.name} ${year}-${month + 1}-${day}`;
+          // solar.js stops at two; near the Arctic Circle the Sun can dip
+          // under the target again just before midnight
+          assert.equal(got.length, Math.min(ref.length, 2), when);
+          got.forEach((t, i) => {
+            assert.ok(t >= win.start && t < win.end, `${when}: outside day`);
+            assert.ok(minutesApart(t, ref[i]) < SECOND, when);
+            const h = solarApparentAltitudeDeg(t, place.lat, place.lon);
+            assert.ok(Math.abs(h - target) < 0.01, when);
+          });
+        }
+      }
+    });
+  }
+
+  it("covers 23- and 25-hour days at DST changes", () => {
+    // Sydney and New York both shift an hour near these dates
+    for (const [place, y, m, d] of [
+      [PLACES[1], 2026, 2, 8],
+      [PLACES[1], 2026, 10, 1],
+      [PLACES[3], 2026, 3, 5],
+      [PLACES[3], 2026, 9, 4],
+    ]) {
+      const win = zonedDayWindowFor(y, m, d, place.tz);
+      const got = findApparentAltitudeCrossings(
+        win.start,
+        place.lat,
+        place.lon,
+        -1.5,
+        place.tz
+      );
+      assert.equal(got.length, 2, place.name);
+    }
+  });
+
+  it("returns nothing when the Sun never reaches the target", () => {
+    // Tromsø at midwinter: the Sun stays below -1.5° all day
+    const win = zonedDayWindowFor(2026, 11, 21, "Europe/Oslo");
+    const got = findApparentAltitudeCrossings(
+      win.start,
+      69.65,
+      18.96,
+      -1.5,
+      "Europe/Oslo"
+    );
+    assert.deepEqual(got, []);
+  });
+});
+
+describe("sunAltitudeSamples", () => {
+  it("samples the whole civil day, DST days included", () => {
+    for (const [place, y, m, d, hours] of [
+      [PLACES[0], 2026, 5, 21, 24],
+      [PLACES[1], 2026, 10, 1, 25],
+      [PLACES[1], 2026, 2, 8, 23],
+    ]) {
+      const win = zonedDayWindowFor(y, m, d, place.tz);
+      const samples = sunAltitudeSamples(
+        win.start,
+        place.lat,
+        place.lon,
+        place.tz,
+        {},
+        10
+      );
+      assert.equal(samples.length, hours * 6 + 1, place.name);
+      assert.equal(samples[0].t.getTime(), win.start.getTime());
+      assert.equal(samples.at(-1).t.getTime(), win.end.getTime());
+      for (const { t, altitudeDeg } of samples) {
+        const ref = solarApparentAltitudeDeg(t, place.lat, place.lon);
+        assert.ok(Math.abs(altitudeDeg - ref) < 0.02, t.toISOString());
+      }
+    }
+  });
+});
+
+describe("observer conditions", () => {
+  // Jungfraujoch, 3454 m
+  const JUNGFRAU = { lat: 46.55, lon: 7.98, tz: "Europe/Zurich" };
+  const HIGH = { elevationM: 3454 };
+
+  it("defaults to NOAA's standard sea-level conditions", () => {
+    const t = new Date("2026-10-19T05:30Z");
+    const a = solarEphemeris(t, JUNGFRAU.lat, JUNGFRAU.lon);
+    const b = solarEphemeris(t, JUNGFRAU.lat, JUNGFRAU.lon, {
+      elevationM: 0,
+      pressureHPa: 1010,
+      temperatureC: 10,
+    });
+    assert.equal(a.apparentAltitudeDeg, b.apparentAltitudeDeg);
+  });
+
+  it("scales refraction with pressure and temperature", () => {
+    // Meeus eq. 16.5: R * (P / 1010) * (283 / (273 + T))
+    const std = refractionDeg(0);
+    const thin = refractionDeg(0, { pressureHPa: 505 });
+    const cold = refractionDeg(0, { temperatureC: -20 });
+    assert.ok(Math.abs(thin - std / 2) < 1e-12);
+    assert.ok(Math.abs(cold - (std * 283) / 253) < 1e-12);
+    // Pressure follows the standard atmosphere unless given
+    assert.equal(standardPressureHPa(0), 1010);
+    assert.ok(Math.abs(standardPressureHPa(3454) - 660) < 5);
+    const high = refractionDeg(0, HIGH);
+    assert.ok(
+      Math.abs(high - std * (standardPressureHPa(3454) / 1010)) < 1e-12
+    );
+  });
+
+  it("lowers the horizon by 1.76' per square-root metre", () => {
+    assert.equal(horizonDipDeg(0), 0);
+    assert.equal(horizonDipDeg(-100), 0);
+    assert.ok(Math.abs(horizonDipDeg(100) - 17.6 / 60) < 1e-12);
+  });
+
+  it("brings sunrise and planet time earlier on a mountain", () => {
+    const { lat, lon, tz } = JUNGFRAU;
+    const noon = zonedTime(2026, 9, 19, 12, 0, tz);
+    const sea = sunTimes(noon, lat, lon, tz);
+    const high = sunTimes(noon, lat, lon, tz, HIGH);
+    // Dip of 1.72° less the thinner air's weaker refraction: ~9 minutes
+    const earlier = (sea.sunrise - high.sunrise) / 60000;
+    const later = (high.sunset - sea.sunset) / 60000;
+    assert.ok(earlier > 7 && earlier < 11, `sunrise ${earlier} min earlier`);
+    assert.ok(later > 7 && later < 11, `sunset ${later} min later`);
+    assert.ok(minutesApart(sea.solarNoon, high.solarNoon) < SECOND);
+
+    const win = zonedDayWindowFor(2026, 9, 19, tz);
+    const [morning, evening] = findApparentAltitudeCrossings(
+      win.start,
+      lat,
+      lon,
+      -1.5,
+      tz,
+      HIGH
+    );
+    const [seaMorning] = findApparentAltitudeCrossings(
+      win.start,
+      lat,
+      lon,
+      -1.5,
+      tz
+    );
+    assert.ok(morning < seaMorning);
+    for (const t of [morning, evening]) {
+      const h = solarApparentAltitudeDeg(t, lat, lon, HIGH);
+      assert.ok(Math.abs(h + 1.5) < 0.01);
+    }
+  });
+});
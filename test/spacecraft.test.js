@@ -0,0 +1,90 @@
+// Spacecraft: interpolated distance tables, and targets that say when the
+// flux-to-altitude mapping had to clamp.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { SPACECRAFT, spacecraftDistanceAU } from "../spacecraft.js";
+import {
+  TARGET_ALTITUDE_MAX_DEG,
+  TARGET_ALTITUDE_MIN_DEG,
+  findBody,
+  nextPlanetTime,
+  planetIrradianceScale,
+  targetAltitudeForFlux,
+  targetAltitudeForPlanetKey,
+  targetApparentAltitudeForPlanetKey,
+} from "../planets.js";
+import { zonedDayWindowFor } from "../timezone.js";
+
+describe("spacecraft", () => {
+  it("hit their table rows and interpolate between them", () => {
+    for (const craft of SPACECRAFT) {
+      for (const [date, au] of craft.track) {
+        const r = spacecraftDistanceAU(craft.key, new Date(date));
+        assert.ok(Math.abs(r - au) < 1e-9, `${craft.key} ${date}`);
+      }
+    }
+    // Halfway between the heliopause crossing and 2015-01-01
+    const mid = (Date.parse("2012-08-25") + Date.parse("2015-01-01")) / 2;
+    const r = spacecraftDistanceAU("voyager-1", new Date(mid));
+    assert.ok(Math.abs(r - (121.6 + 129.9) / 2) < 1e-9);
+  });
+
+  it("have no distance before launch and coast past the table", () => {
+    assert.equal(
+      spacecraftDistanceAU("voyager-1", new Date("1977-01-01")),
+      null
+    );
+    const r2050 = spacecraftDistanceAU("voyager-1", new Date("2050-01-01"));
+    const r2060 = spacecraftDistanceAU("voyager-1", new Date("2060-01-01"));
+    assert.ok(Math.abs(r2060 - r2050 - 35.8) < 0.05, `${r2060}`);
+  });
+
+  it("repeat Parker's final orbit every 88 days", () => {
+    const perihelion = Date.parse("2024-12-24T11:53Z");
+    for (const k of [0, 1, 5, 20]) {
+      const at = new Date(perihelion + k * 88 * 86400000);
+      assert.ok(Math.abs(spacecraftDistanceAU("parker", at) - 0.0459) < 1e-9);
+    }
+    const aphelion = new Date(Date.parse("2025-02-06T11:53Z") + 88 * 86400000);
+    assert.ok(
+      Math.abs(spacecraftDistanceAU("parker", aphelion) - 0.7285) < 1e-9
+    );
+    assert.equal(spacecraftDistanceAU("parker", new Date("2024-06-01")), null);
+  });
+
+  it("map their sunlight like a planet's, Voyager below Pluto", () => {
+    const date = new Date("2026-10-19T12:00Z");
+    const voyager = targetAltitudeForPlanetKey("voyager-1", date);
+    assert.ok(
+      voyager.altitude < targetApparentAltitudeForPlanetKey("pluto", date)
+    );
+    assert.equal(voyager.clamped, null);
+    const r = spacecraftDistanceAU("voyager-1", date);
+    assert.deepEqual(
+      voyager,
+      targetAltitudeForFlux(planetIrradianceScale(r), date)
+    );
+    assert.equal(findBody("Parker").name, "Parker Solar Probe");
+  });
+
+  it("report when the target is clamped", () => {
+    const dim = targetAltitudeForFlux(1e-12);
+    assert.equal(dim.clamped, "low");
+    assert.equal(dim.altitude, TARGET_ALTITUDE_MIN_DEG);
+    assert.ok(dim.unclamped < TARGET_ALTITUDE_MIN_DEG);
+    const bright = targetAltitudeForFlux(1e40);
+    assert.equal(bright.clamped, "high");
+    assert.equal(bright.altitude, TARGET_ALTITUDE_MAX_DEG);
+  });
+
+  it("have no target or planet time without a distance", () => {
+    const tz = "Europe/Warsaw";
+    const { start } = zonedDayWindowFor(2024, 0, 1, tz);
+    assert.equal(targetAltitudeForPlanetKey("parker", start), null);
+    assert.equal(
+      nextPlanetTime(start, 52.23, 21.01, null, "parker", tz, start),
+      null
+    );
+  });
+});
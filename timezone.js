@@ -0,0 +1,386 @@
+// Time zone helpers built on Intl (IANA zone names).
+// All instants stay as JS Dates (UTC internally); these helpers answer
+// "what civil day/time is it in zone X" and "which instant is midnight in X".
+// Omitting the zone means the browser's own zone, matching plain Date methods.
+
+const formatterCache = new Map();
+
+function partsFormatter(timeZone) {
+  const key = timeZone || "";
+  let fmt = formatterCache.get(key);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone || undefined,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    formatterCache.set(key, fmt);
+  }
+  return fmt;
+}
+
+export function browserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Nautical zone for a longitude, used when nothing better is known.
+// Note the inverted sign of the Etc/GMT zones (Etc/GMT-9 is UTC+9).
+export function timeZoneForLongitude(lon) {
+  if (lon == null || !isFinite(lon)) return "UTC";
+  const hours = Math.max(-12, Math.min(14, Math.round(lon / 15)));
+  if (hours === 0) return "UTC";
+  return `Etc/GMT${hours > 0 ? "-" : "+"}${Math.abs(hours)}`;
+}
+
+// Wall-clock fields of an instant in a zone; month is 0-based like Date.
+export function zonedParts(date, timeZone) {
+  const out = {};
+  for (const p of partsFormatter(timeZone).formatToParts(date)) {
+    if (p.type !== "literal") out[p.type] = parseInt(p.value, 10);
+  }
+  return {
+    year: out.year,
+    month: out.month - 1,
+    day: out.day,
+    hour: out.hour,
+    minute: out.minute,
+    second: out.second,
+  };
+}
+
+// Offset of the zone from UTC at the given instant, in minutes (east positive).
+export function zoneOffsetMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+  const ms = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUTC - ms) / 60000);
+}
+
+// Instant at which the wall clock in the zone reads y-m-d h:mi.
+// Out-of-range fields roll over like Date.UTC (e.g. day 32). Wall times that
+// fall into a DST gap resolve to the later side of the gap.
+export function zonedTime(y, m, d, h = 0, mi = 0, timeZone) {
+  const wall = Date.UTC(y, m, d, h, mi, 0, 0);
+  const off1 = zoneOffsetMinutes(new Date(wall), timeZone);
+  let t = wall - off1 * 60000;
+  const off2 = zoneOffsetMinutes(new Date(t), timeZone);
+  if (off2 !== off1) {
+    const t2 = wall - off2 * 60000;
+    // Inside a gap neither candidate maps back to the wall time; keep the later
+    t =
+      zoneOffsetMinutes(new Date(t2), timeZone) === off2 ? t2 : Math.max(t, t2);
+  }
+  return new Date(t);
+}
+
+// Civil-day window [start, end) containing `date` in the zone. Length is 24h
+// except on DST transition days (23h or 25h).
+export function zonedDayWindow(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return zonedDayWindowFor(p.year, p.month, p.day, timeZone);
+}
+
+export function zonedDayWindowFor(y, m, d, timeZone) {
+  const start = startOfZonedDay(y, m, d, timeZone);
+  const end = startOfZonedDay(y, m, d + 1, timeZone);
+  const p = zonedParts(start, timeZone);
+  return { start, end, year: p.year, month: p.month, day: p.day };
+}
+
+function startOfZonedDay(y, m, d, timeZone) {
+  const t = zonedTime(y, m, d, 0, 0, timeZone);
+  // Zones that jump over midnight (e.g. 00:00 -> 01:00) land on the previous
+  // day here; the day then starts at the end of the gap.
+  const p = zonedParts(t, timeZone);
+  const want = new Date(Date.UTC(y, m, d));
+  if (p.day !== want.getUTCDate()) return zonedTime(y, m, d, 1, 0, timeZone);
+  return t;
+}
+
+// Representative IANA zone per ISO 3166 alpha-2 code. For countries spanning
+// several zones this is the zone at the country's centroid, which is the point
+// the country picker places the observer at.
+export const COUNTRY_TIME_ZONES = {
+  AE: "Asia/Dubai",
+  AF: "Asia/Kabul",
+  AG: "America/Puerto_Rico",
+  AI: "America/Puerto_Rico",
+  AL: "Europe/Tirane",
+  AM: "Asia/Yerevan",
+  AO: "Africa/Lagos",
+  AQ: "Antarctica/Casey",
+  AR: "America/Argentina/Cordoba",
+  AS: "Pacific/Pago_Pago",
+  AT: "Europe/Vienna",
+  AU: "Australia/Darwin",
+  AW: "America/Puerto_Rico",
+  AX: "Europe/Helsinki",
+  AZ: "Asia/Baku",
+  BA: "Europe/Belgrade",
+  BB: "America/Barbados",
+  BD: "Asia/Dhaka",
+  BE: "Europe/Brussels",
+  BF: "Africa/Abidjan",
+  BG: "Europe/Sofia",
+  BH: "Asia/Qatar",
+  BI: "Africa/Maputo",
+  BJ: "Africa/Lagos",
+  BL: "America/Puerto_Rico",
+  BM: "Atlantic/Bermuda",
+  BN: "Asia/Kuching",
+  BO: "America/La_Paz",
+  BQ: "America/Puerto_Rico",
+  BR: "America/Cuiaba",
+  BS: "America/Toronto",
+  BT: "Asia/Thimphu",
+  BW: "Africa/Maputo",
+  BY: "Europe/Minsk",
+  BZ: "America/Belize",
+  CA: "America/Rankin_Inlet",
+  CC: "Asia/Yangon",
+  CD: "Africa/Lagos",
+  CF: "Africa/Lagos",
+  CG: "Africa/Lagos",
+  CH: "Europe/Zurich",
+  CI: "Africa/Abidjan",
+  CK: "Pacific/Rarotonga",
+  CL: "America/Santiago",
+  CM: "Africa/Lagos",
+  CN: "Asia/Shanghai",
+  CO: "America/Bogota",
+  CR: "America/Costa_Rica",
+  CU: "America/Havana",
+  CV: "Atlantic/Cape_Verde",
+  CW: "America/Puerto_Rico",
+  CX: "Asia/Bangkok",
+  CY: "Asia/Nicosia",
+  CZ: "Europe/Prague",
+  DE: "Europe/Berlin",
+  DJ: "Africa/Nairobi",
+  DK: "Europe/Berlin",
+  DM: "America/Puerto_Rico",
+  DO: "America/Santo_Domingo",
+  DZ: "Africa/Algiers",
+  EC: "America/Guayaquil",
+  EE: "Europe/Tallinn",
+  EG: "Africa/Cairo",
+  EH: "Africa/El_Aaiun",
+  ER: "Africa/Nairobi",
+  ES: "Europe/Madrid",
+  ET: "Africa/Nairobi",
+  FI: "Europe/Helsinki",
+  FJ: "Pacific/Fiji",
+  FK: "Atlantic/Stanley",
+  FM: "Pacific/Guadalcanal",
+  FO: "Atlantic/Faroe",
+  FR: "Europe/Paris",
+  GA: "Africa/Lagos",
+  GB: "Europe/London",
+  GD: "America/Puerto_Rico",
+  GE: "Asia/Tbilisi",
+  GF: "America/Cayenne",
+  GG: "Europe/London",
+  GH: "Africa/Abidjan",
+  GI: "Europe/Gibraltar",
+  GL: "America/Danmarkshavn",
+  GM: "Africa/Abidjan",
+  GN: "Africa/Abidjan",
+  GP: "America/Puerto_Rico",
+  GQ: "Africa/Lagos",
+  GR: "Europe/Athens",
+  GS: "Atlantic/South_Georgia",
+  GT: "America/Guatemala",
+  GU: "Pacific/Guam",
+  GW: "Africa/Bissau",
+  GY: "America/Guyana",
+  HK: "Asia/Hong_Kong",
+  HN: "America/Tegucigalpa",
+  HR: "Europe/Belgrade",
+  HT: "America/Port-au-Prince",
+  HU: "Europe/Budapest",
+  ID: "Asia/Makassar",
+  IE: "Europe/Dublin",
+  IL: "Asia/Jerusalem",
+  IM: "Europe/London",
+  IN: "Asia/Kolkata",
+  IO: "Indian/Chagos",
+  IQ: "Asia/Baghdad",
+  IR: "Asia/Tehran",
+  IS: "Africa/Abidjan",
+  IT: "Europe/Rome",
+  JE: "Europe/London",
+  JM: "America/Jamaica",
+  JO: "Asia/Amman",
+  JP: "Asia/Tokyo",
+  KE: "Africa/Nairobi",
+  KG: "Asia/Bishkek",
+  KH: "Asia/Bangkok",
+  KI: "Pacific/Tarawa",
+  KM: "Africa/Nairobi",
+  KN: "America/Puerto_Rico",
+  KP: "Asia/Pyongyang",
+  KR: "Asia/Seoul",
+  KW: "Asia/Riyadh",
+  KY: "America/Panama",
+  KZ: "Asia/Almaty",
+  LA: "Asia/Bangkok",
+  LB: "Asia/Beirut",
+  LC: "America/Puerto_Rico",
+  LI: "Europe/Zurich",
+  LK: "Asia/Colombo",
+  LR: "Africa/Monrovia",
+  LS: "Africa/Johannesburg",
+  LT: "Europe/Vilnius",
+  LU: "Europe/Brussels",
+  LV: "Europe/Riga",
+  LY: "Africa/Tripoli",
+  MA: "Africa/Casablanca",
+  MC: "Europe/Paris",
+  MD: "Europe/Chisinau",
+  ME: "Europe/Belgrade",
+  MF: "America/Puerto_Rico",
+  MG: "Africa/Nairobi",
+  MH: "Pacific/Kwajalein",
+  MK: "Europe/Belgrade",
+  ML: "Africa/Abidjan",
+  MM: "Asia/Yangon",
+  MN: "Asia/Ulaanbaatar",
+  MO: "Asia/Macau",
+  MP: "Pacific/Guam",
+  MQ: "America/Martinique",
+  MR: "Africa/Abidjan",
+  MS: "America/Puerto_Rico",
+  MT: "Europe/Malta",
+  MU: "Indian/Mauritius",
+  MV: "Indian/Maldives",
+  MW: "Africa/Maputo",
+  MX: "America/Mexico_City",
+  MY: "Asia/Kuching",
+  MZ: "Africa/Maputo",
+  NA: "Africa/Windhoek",
+  NC: "Pacific/Noumea",
+  NE: "Africa/Lagos",
+  NF: "Pacific/Norfolk",
+  NG: "Africa/Lagos",
+  NI: "America/Managua",
+  NL: "Europe/Brussels",
+  NO: "Europe/Berlin",
+  NP: "Asia/Kathmandu",
+  NR: "Pacific/Nauru",
+  NU: "Pacific/Niue",
+  NZ: "Pacific/Auckland",
+  OM: "Asia/Dubai",
+  PA: "America/Panama",
+  PE: "America/Lima",
+  PF: "Pacific/Tahiti",
+  PG: "Pacific/Port_Moresby",
+  PH: "Asia/Manila",
+  PK: "Asia/Karachi",
+  PL: "Europe/Warsaw",
+  PM: "America/Miquelon",
+  PN: "Pacific/Pitcairn",
+  PR: "America/Puerto_Rico",
+  PS: "Asia/Hebron",
+  PT: "Europe/Lisbon",
+  PW: "Pacific/Palau",
+  PY: "America/Asuncion",
+  QA: "Asia/Qatar",
+  RE: "Asia/Dubai",
+  RO: "Europe/Bucharest",
+  RS: "Europe/Belgrade",
+  RU: "Asia/Krasnoyarsk",
+  RW: "Africa/Maputo",
+  SA: "Asia/Riyadh",
+  SB: "Pacific/Guadalcanal",
+  SC: "Asia/Dubai",
+  SD: "Africa/Khartoum",
+  SE: "Europe/Berlin",
+  SG: "Asia/Singapore",
+  SH: "Africa/Abidjan",
+  SI: "Europe/Belgrade",
+  SJ: "Europe/Berlin",
+  SK: "Europe/Prague",
+  SL: "Africa/Abidjan",
+  SM: "Europe/Rome",
+  SN: "Africa/Abidjan",
+  SO: "Africa/Nairobi",
+  SR: "America/Paramaribo",
+  SS: "Africa/Juba",
+  ST: "Africa/Sao_Tome",
+  SV: "America/El_Salvador",
+  SX: "America/Puerto_Rico",
+  SY: "Asia/Damascus",
+  SZ: "Africa/Johannesburg",
+  TC: "America/Grand_Turk",
+  TD: "Africa/Ndjamena",
+  TF: "Asia/Dubai",
+  TG: "Africa/Abidjan",
+  TH: "Asia/Bangkok",
+  TJ: "Asia/Dushanbe",
+  TK: "Pacific/Fakaofo",
+  TL: "Asia/Dili",
+  TM: "Asia/Ashgabat",
+  TN: "Africa/Tunis",
+  TO: "Pacific/Tongatapu",
+  TR: "Europe/Istanbul",
+  TT: "America/Puerto_Rico",
+  TV: "Pacific/Tarawa",
+  TW: "Asia/Taipei",
+  TZ: "Africa/Nairobi",
+  UA: "Europe/Kyiv",
+  UG: "Africa/Nairobi",
+  UM: "Pacific/Pago_Pago",
+  US: "America/Chicago",
+  UY: "America/Montevideo",
+  UZ: "Asia/Samarkand",
+  VA: "Europe/Rome",
+  VC: "America/Puerto_Rico",
+  VE: "America/Caracas",
+  VG: "America/Puerto_Rico",
+  VI: "America/Puerto_Rico",
+  VN: "Asia/Ho_Chi_Minh",
+  VU: "Pacific/Efate",
+  WF: "Pacific/Tarawa",
+  WS: "Pacific/Apia",
+  XK: "Europe/Belgrade",
+  YE: "Asia/Riyadh",
+  YT: "Africa/Nairobi",
+  ZA: "Africa/Johannesburg",
+  ZM: "Africa/Maputo",
+  ZW: "Africa/Maputo",
+  AD: "Europe/Andorra",
+};
+
+export function timeZoneForCountry(code, lon) {
+  const tz = code ? COUNTRY_TIME_ZONES[String(code).toUpperCase()] : null;
+  return tz || timeZoneForLongitude(lon);
+}
+
+// "UTC+9", "UTC-3:30" style label for an offset in minutes.
+export function formatUtcOffset(minutes) {
+  if (!minutes) return "UTC";
+  const sign = minutes > 0 ? "+" : "-";
+  const abs = Math.abs(minutes);
+  const h = Math.floor(abs / 60);
+  const m = abs % 60;
+  return `UTC${sign}${h}${m ? ":" + String(m).padStart(2, "0") : ""}`;
+}
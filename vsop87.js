@@ -0,0 +1,393 @@
+// Generated by scripts/build_vsop87.mjs; do not edit by hand.
+// Truncated VSOP87 heliocentric radius series (Bretagnon & Francou 1988),
+// from the VSOP87B tables in the astronomia package (MIT).
+// Terms below 0.000001 x mean distance over 1900-2100 are dropped.
+// Per planet: [R0, R1, ...] where Rk is a list of [A, B, C] and
+// R = sum_k tau^k * sum A cos(B + C tau), tau in Julian millennia from J2000.
+
+export const VSOP87_RADIUS = {
+  mercury: [
+    [
+      [0.39528271651, 0, 0],
+      [0.07834131818, 6.19233722598, 26087.9031415742],
+      [0.00795525558, 2.95989690104, 52175.8062831484],
+      [0.00121281764, 6.01064153797, 78263.70942472259],
+      [0.00021921969, 2.77820093972, 104351.61256629678],
+      [0.00004354065, 5.82894543774, 130439.51570787099],
+      [0.00000918228, 2.59650562845, 156527.41884944518],
+      [0.00000260033, 3.02817753901, 27197.2816936676],
+      [0.00000289955, 1.42441937278, 25028.521211385],
+      [0.00000201855, 5.64725040577, 182615.3219910194],
+      [0.00000201498, 5.59227727403, 31749.2351907264],
+      [0.0000014198, 6.25264206514, 24978.5245894808],
+      [0.00000100144, 3.73435615066, 21535.9496445154],
+      [7.7561e-7, 3.66972523786, 20426.571092422],
+      [6.3277e-7, 4.29905566028, 25558.2121764796],
+      [6.2951e-7, 4.76588960835, 1059.3819301892],
+      [6.6753e-7, 2.52520325806, 5661.3320491522],
+      [7.55e-7, 4.47428643135, 51116.4243529592],
+      [4.8265e-7, 6.06824353565, 53285.1848352418],
+      [4.5748e-7, 2.41480951848, 208703.2251325936],
+      [4.0815e-7, 2.35882025197, 57837.1383323006],
+      [4.4235e-7, 1.21957279824, 15874.6175953632],
+    ],
+    [
+      [0.0021734774, 4.65617158665, 26087.9031415742],
+      [0.00044141826, 1.42385544001, 52175.8062831484],
+      [0.00010094479, 4.47466326327, 78263.70942472259],
+      [0.00002432805, 1.24226083323, 104351.61256629678],
+      [0.00001624367, 0, 0],
+      [0.00000603996, 4.29303116468, 130439.51570787099],
+    ],
+  ],
+  venus: [
+    [
+      [0.72334820891, 0, 0],
+      [0.00489824182, 4.02151831717, 10213.285546211],
+      [0.00001658058, 4.90206728031, 20426.571092422],
+      [0.00001632096, 2.84548795207, 7860.4193924392],
+      [0.00001378043, 1.12846591367, 11790.6290886588],
+      [0.00000498395, 2.58682193892, 9683.5945811164],
+      [0.00000373958, 1.42314832858, 3930.2096962196],
+      [0.00000263615, 5.52938716941, 9437.762934887],
+      [0.00000237454, 2.55136053886, 15720.8387848784],
+      [0.00000221985, 2.01346696541, 19367.1891622328],
+      [0.00000119466, 3.01975080538, 10404.7338123226],
+      [0.00000125896, 2.72769850819, 1577.3435424478],
+      [7.6176e-7, 1.59574968674, 9153.9036160218],
+      [8.5337e-7, 3.98598666191, 19651.048481098],
+      [7.4347e-7, 4.11957779786, 5507.5532386674],
+    ],
+    [[0.00034551041, 0.89198706276, 10213.285546211]],
+  ],
+  earth: [
+    [
+      [1.00013988784, 0, 0],
+      [0.01670699632, 3.09846350258, 6283.0758499914],
+      [0.00013956024, 3.05524609456, 12566.1516999828],
+      [0.0000308372, 5.19846674381, 77713.7714681205],
+      [0.00001628463, 1.17387558054, 5753.3848848968],
+      [0.00001575572, 2.84685214877, 7860.4193924392],
+      [0.00000924799, 5.45292236722, 11506.7697697936],
+      [0.00000542439, 4.56409151453, 3930.2096962196],
+      [0.0000047211, 3.66100022149, 5884.9268465832],
+      [0.0000032878, 5.89983686142, 5223.6939198022],
+      [0.00000345969, 0.96368627272, 5507.5532386674],
+      [0.00000306784, 0.29867139512, 5573.1428014331],
+      [0.00000174844, 3.01193636733, 18849.2275499742],
+      [0.00000243181, 4.2734953079, 11790.6290886588],
+      [0.00000211836, 5.84714461348, 1577.3435424478],
+      [0.0000018574, 5.02199710705, 10977.078804699],
+      [0.00000109835, 5.0551063586, 5486.777843175],
+    ],
+    [
+      [0.00103018607, 1.10748968172, 6283.0758499914],
+      [0.00001721238, 1.06442300386, 12566.1516999828],
+    ],
+  ],
+  mars: [
+    [
+      [1.53033488271, 0, 0],
+      [0.1418495316, 3.47971283528, 3340.6124266998],
+      [0.00660776362, 3.81783443019, 6681.2248533996],
+      [0.00046179117, 4.15595316782, 10021.8372800994],
+      [0.00008109733, 5.55958416318, 2810.9214616052],
+      [0.00007485318, 1.77239078402, 5621.8429232104],
+      [0.00005523191, 1.3643630377, 2281.2304965106],
+      [0.0000382516, 4.49407183687, 13362.4497067992],
+      [0.00002306537, 0.09081579001, 2544.3144198834],
+      [0.00001999396, 5.36059617709, 3337.0893083508],
+      [0.00002484394, 4.9254563992, 2942.4634232916],
+      [0.00001960195, 4.74249437639, 3344.1355450488],
+      [0.00001167119, 2.11260868341, 5092.1519581158],
+      [0.00001102816, 5.00908403998, 398.1490034082],
+      [0.00000899066, 4.40791133207, 529.6909650946],
+      [0.00000992252, 5.83861961952, 6151.533888305],
+      [0.00000807354, 2.10217065501, 1059.3819301892],
+      [0.00000797915, 3.44839203899, 796.2980068164],
+      [0.00000740975, 1.49906336885, 2146.1654164752],
+      [0.00000692339, 2.13378874689, 8962.4553499102],
+      [0.00000633144, 0.89353283242, 3340.5951730476],
+      [0.00000725583, 1.24516810723, 8432.7643848156],
+      [0.0000063314, 2.92430446399, 3340.629680352],
+      [0.00000574355, 0.82896244455, 2914.0142358238],
+      [0.00000526166, 5.38292991236, 3738.761430108],
+      [0.00000629978, 1.28737486495, 1751.539531416],
+      [0.00000472775, 5.19850522346, 3127.3133312618],
+      [0.00000348095, 4.83219199976, 16703.062133499],
+      [0.00000283713, 2.90692064724, 3532.0606928114],
+      [0.00000279543, 5.2574968538, 6283.0758499914],
+      [0.00000233857, 5.10545987572, 5486.777843175],
+      [0.00000219427, 5.58340231744, 191.4482661116],
+      [0.00000269896, 3.76393625127, 5884.9268465832],
+      [0.00000208335, 5.25476078693, 3340.545116397],
+      [0.00000275217, 2.90817482492, 1748.016413067],
+      [0.00000275506, 1.21767950614, 6254.6266625236],
+      [0.00000239119, 2.03669934656, 1194.4470102246],
+      [0.00000223189, 4.19861535147, 3149.1641605882],
+      [0.00000182689, 5.08062725665, 6684.7479717486],
+      [0.00000186207, 5.6987157241, 6677.7017350506],
+      [0.00000176, 5.95341919657, 3870.3033917944],
+      [0.00000178617, 4.18423004741, 3333.498879699],
+      [0.0000020833, 4.84626439637, 3340.6797370026],
+      [0.00000228126, 3.25526555588, 6872.6731195112],
+      [0.00000163527, 3.79888811958, 4136.9104335162],
+    ],
+    [
+      [0.01107433345, 2.03250524857, 3340.6124266998],
+      [0.00103175887, 2.37071847807, 6681.2248533996],
+      [0.000128772, 0, 0],
+      [0.0001081588, 2.70888095665, 10021.8372800994],
+    ],
+    [[0.00044242249, 0.47930604954, 3340.6124266998]],
+  ],
+  jupiter: [
+    [
+      [5.20887429326, 0, 0],
+      [0.25209327119, 3.49108639871, 529.6909650946],
+      [0.00610599976, 3.84115365948, 1059.3819301892],
+      [0.00282029458, 2.57419881293, 632.7837393132],
+      [0.00187647346, 2.07590383214, 522.5774180938],
+      [0.00086792905, 0.71001145545, 419.4846438752],
+      [0.00072062974, 0.21465724607, 536.8045120954],
+      [0.00065517248, 5.9799588479, 316.3918696566],
+      [0.00029134542, 1.67759379655, 103.0927742186],
+      [0.00030135335, 2.16132003734, 949.1756089698],
+      [0.00023453271, 3.54023522184, 735.8765135318],
+      [0.00022283743, 4.19362594399, 1589.0728952838],
+      [0.00023947298, 0.2745803748, 7.1135470008],
+      [0.00013032614, 2.96042965363, 1162.4747044078],
+      [0.0000970336, 1.90669633585, 206.1855484372],
+      [0.00012749023, 2.71550286592, 1052.2683831884],
+      [0.00009161393, 4.41352953117, 213.299095438],
+      [0.00007894511, 2.47907592482, 426.598190876],
+      [0.00007057931, 2.18184839926, 1265.5674786264],
+      [0.00006137703, 6.26418240033, 846.0828347512],
+      [0.00005477001, 5.65729989857, 639.897286314],
+      [0.00003502493, 0.56532365822, 1066.49547719],
+      [0.00004136822, 2.722208724, 625.6701923124],
+      [0.00004169954, 2.01603822251, 515.463871093],
+      [0.00002499967, 4.55181655381, 838.9692877504],
+      [0.00002616976, 2.00994012876, 1581.959348283],
+      [0.00001912009, 0.85621128851, 412.3710968744],
+      [0.00002127681, 6.12755221002, 742.9900605326],
+      [0.00001610567, 3.08871452594, 1368.660252845],
+      [0.00001479513, 2.68021307468, 1478.8665740644],
+      [0.0000123063, 1.89052048109, 323.5054166574],
+      [0.00001216895, 1.80176263029, 110.2063212194],
+      [0.00000961113, 4.54876995367, 2118.7638603784],
+      [0.00000885764, 4.14783869943, 533.6231183577],
+      [0.00000776583, 3.67710828843, 728.762966531],
+      [0.00000998591, 2.87205397992, 309.2783226558],
+      [0.00001014733, 1.38675822271, 454.9093665273],
+      [0.00000727156, 3.98827252563, 1155.361157407],
+      [0.00000655334, 2.7907259691, 1685.0521225016],
+      [0.00000821383, 1.59351544602, 1898.3512179396],
+      [0.00000620818, 4.82275194351, 956.2891559706],
+      [0.00000654071, 3.38140746852, 1692.1656695024],
+      [0.00000811993, 5.94093410097, 909.8187330546],
+      [0.00000562092, 0.08114877791, 543.9180590962],
+      [0.00000542222, 0.28357235311, 525.7588118315],
+      [0.0000061474, 2.27633681284, 942.062061969],
+    ],
+    [
+      [0.0127180152, 2.64937512894, 529.6909650946],
+      [0.00061661816, 3.00076460387, 1059.3819301892],
+      [0.00053443713, 3.89717383175, 522.5774180938],
+      [0.00031185171, 4.88276958012, 536.8045120954],
+      [0.00041390269, 0, 0],
+      [0.00011847263, 2.41328764459, 419.4846438752],
+      [0.00009166454, 4.75978553741, 7.1135470008],
+    ],
+    [[0.00079644957, 1.35865949884, 529.6909650946]],
+  ],
+  saturn: [
+    [
+      [9.55758135486, 0, 0],
+      [0.52921382865, 2.39226219573, 213.299095438],
+      [0.01873679867, 5.2354960466, 206.1855484372],
+      [0.01464663929, 1.64763042902, 426.598190876],
+      [0.00821891141, 5.93520042303, 316.3918696566],
+      [0.00547506923, 5.0153261898, 103.0927742186],
+      [0.0037168465, 2.27114821115, 220.4126424388],
+      [0.00361778765, 3.13904301847, 7.1135470008],
+      [0.00140617506, 5.70406606781, 632.7837393132],
+      [0.00108974848, 3.29313390175, 110.2063212194],
+      [0.00069006962, 5.94099540992, 419.4846438752],
+      [0.00061053367, 0.94037691801, 639.897286314],
+      [0.00048913294, 1.55733638681, 202.2533951741],
+      [0.00034143772, 0.19519102597, 277.0349937414],
+      [0.00032401773, 5.47084567016, 949.1756089698],
+      [0.00020936596, 0.46349251129, 735.8765135318],
+      [0.000208393, 1.52102476129, 433.7117378768],
+      [0.00020746751, 5.33255457763, 199.0720014364],
+      [0.00015298404, 3.0594381494, 529.6909650946],
+      [0.00014296484, 2.60433479142, 323.5054166574],
+      [0.00011993338, 5.98050967385, 846.0828347512],
+      [0.00011380257, 1.7310542704, 522.5774180938],
+      [0.00012884624, 1.64890652873, 138.5174968707],
+      [0.00007752664, 5.85190720634, 95.9792272178],
+      [0.00009796004, 5.20477537945, 1265.5674786264],
+      [0.00006465823, 0.17732249942, 1052.2683831884],
+      [0.00006770608, 3.00432308205, 14.2270940016],
+      [0.00005850459, 1.45520063003, 415.5524906121],
+      [0.0000530742, 0.597422002, 63.7358983034],
+      [0.00004695487, 2.14913875148, 227.5261894396],
+      [0.00004044055, 1.64006628713, 209.3669421749],
+      [0.00003688237, 0.78017261355, 412.3710968744],
+      [0.00003376576, 3.69526804193, 224.3447957019],
+      [0.00002885428, 1.38764476428, 838.9692877504],
+      [0.00002975955, 5.6846913175, 210.1177017003],
+      [0.00003419618, 4.94550542171, 1581.959348283],
+      [0.00003460944, 1.8508869805, 175.1660598002],
+      [0.00003400702, 0.55385265588, 350.3321196004],
+      [0.00002507656, 3.53854849756, 742.9900605326],
+      [0.00002448261, 6.18411000897, 1368.660252845],
+      [0.00002406134, 2.96557066697, 117.3198682202],
+      [0.000028811, 0.17962517668, 853.196381752],
+      [0.00002173933, 0.01504273441, 340.7708920448],
+      [0.00002024755, 5.05404443168, 11.0457002639],
+      [0.00001740284, 2.34658553206, 309.2783226558],
+      [0.00001861491, 5.93369815396, 625.6701923124],
+      [0.00001888373, 0.02965674854, 3.9321532631],
+      [0.00001610962, 1.17294612833, 74.7815985673],
+      [0.00001462651, 1.92592107843, 216.4804891757],
+      [0.00001474674, 5.67670456599, 203.7378678824],
+      [0.00001395118, 5.93681366484, 127.4717966068],
+      [0.00001781073, 0.76321113173, 217.2312487011],
+      [0.00001817173, 5.77721016746, 490.3340891794],
+      [0.00001472651, 1.40074361969, 137.0330241624],
+      [0.00001304238, 0.77242217158, 647.0108333148],
+      [0.00001149625, 5.74018465658, 1162.4747044078],
+      [0.0000112666, 4.46695542616, 265.9892934775],
+      [0.00001277624, 2.98416387533, 1059.3819301892],
+      [0.00001207069, 0.75304212507, 351.8165923087],
+      [0.00001071373, 1.13559402672, 1155.361157407],
+      [0.00001020836, 5.912164079, 1685.0521225016],
+      [0.00001314853, 5.11211291628, 211.8146227297],
+      [0.00001295446, 4.69181789263, 1898.3512179396],
+      [0.00001099067, 1.81772713286, 149.5631971346],
+      [0.000009987, 2.63153637392, 200.7689224658],
+      [0.00000985887, 2.25994579127, 956.2891559706],
+    ],
+    [
+      [0.0618298134, 0.2584351148, 213.299095438],
+      [0.00506577242, 0.71114625261, 206.1855484372],
+      [0.00341394029, 5.79635741658, 426.598190876],
+      [0.00188491195, 0.47215589652, 220.4126424388],
+      [0.00186261486, 3.14159265359, 0],
+      [0.00143891146, 1.40744822888, 7.1135470008],
+      [0.00049621208, 6.0174427982, 103.0927742186],
+      [0.00020928426, 5.09244947411, 639.897286314],
+      [0.00019952564, 1.1756060613, 419.4846438752],
+      [0.00018839544, 1.60818334043, 110.2063212194],
+      [0.00012892843, 5.9432943302, 433.7117378768],
+      [0.00013876849, 0.75884928866, 199.0720014364],
+    ],
+    [[0.00436902572, 4.78671677509, 213.299095438]],
+  ],
+  uranus: [
+    [
+      [19.21264847206, 0, 0],
+      [0.88784984413, 5.60377527014, 74.7815985673],
+      [0.03440836062, 0.32836099706, 73.297125859],
+      [0.0205565386, 1.7829515933, 149.5631971346],
+      [0.0064932241, 4.52247285911, 76.2660712756],
+      [0.00602247865, 3.86003823674, 63.7358983034],
+      [0.00496404167, 1.40139935333, 454.9093665273],
+      [0.00338525369, 1.58002770318, 138.5174968707],
+      [0.00243509114, 1.57086606044, 71.8126531507],
+      [0.00190522303, 1.99809394714, 1.4844727083],
+      [0.00161858838, 2.79137786799, 148.0787244263],
+      [0.00143706183, 1.38368544947, 11.0457002639],
+      [0.00093192405, 0.17437220467, 36.6485629295],
+      [0.00071424548, 4.24509236074, 224.3447957019],
+      [0.00089806014, 3.66105364565, 109.9456887885],
+      [0.00039009723, 1.66971401684, 70.8494453042],
+      [0.00046677296, 1.39976401694, 35.1640902212],
+      [0.00039025624, 3.36234773834, 277.0349937414],
+      [0.00036755274, 3.88649278513, 146.594251718],
+      [0.00030348723, 0.70100838798, 151.0476698429],
+      [0.00029156413, 3.180563367, 77.7505439839],
+      [0.00020471591, 1.55587964879, 202.2533951741],
+      [0.00025620756, 5.25656086672, 380.12776796],
+      [0.0002578588, 3.7853770987, 85.8272988312],
+      [0.00022637073, 0.72518687029, 529.6909650946],
+      [0.00020473534, 2.79640244248, 70.3281804424],
+      [0.000179013, 0.55455066863, 2.9689454166],
+      [0.00012328114, 5.96037276805, 127.4717966068],
+      [0.00014701666, 4.90434516516, 108.4612160802],
+      [0.0001149468, 0.43772043395, 65.2203710117],
+      [0.00015502375, 5.35405396163, 38.1330356378],
+      [0.00010792498, 1.42106296264, 213.299095438],
+      [0.00011695693, 3.29824190199, 3.9321532631],
+      [0.00011959076, 1.7504339214, 984.6003316219],
+      [0.00012896452, 2.62154084288, 111.4301614968],
+      [0.00011852959, 0.99344161196, 52.6901980395],
+      [0.00009111621, 4.99633582839, 62.2514255951],
+      [0.00008420792, 5.25351368389, 222.8603229936],
+      [0.00007448995, 0.79495503123, 351.8165923087],
+      [0.00008402384, 5.03876467031, 415.5524906121],
+      [0.00006046221, 5.67958564987, 78.7137518304],
+      [0.00005524411, 3.11493320824, 9.5612275556],
+      [0.00007329301, 3.97276588872, 183.2428146475],
+      [0.0000544457, 5.10574758517, 145.1097790097],
+      [0.00005238203, 2.62960535651, 33.6796175129],
+      [0.00004079523, 3.22064116734, 340.7708920448],
+      [0.00003801645, 6.10982670905, 184.7272873558],
+      [0.00003918728, 4.25017709085, 39.6175083461],
+      [0.00002940764, 2.14649735789, 137.0330241624],
+      [0.00003781197, 3.45840366912, 456.3938392356],
+      [0.00002942224, 0.42392830457, 299.1263942692],
+      [0.00003686324, 2.48725993956, 453.424893819],
+      [0.00003101496, 4.14028619712, 219.891377577],
+      [0.00002962643, 0.82981906774, 56.6223513026],
+      [0.00002937579, 3.67652211319, 140.001969579],
+      [0.00002864793, 0.30998964462, 12.5301729722],
+      [0.0000253811, 4.85443168231, 131.4039498699],
+      [0.00001962787, 5.24326793681, 84.3428261229],
+      [0.00002363719, 0.44244699485, 554.0699874828],
+      [0.00001978408, 6.12838999163, 106.9767433719],
+      [0.00002182603, 2.94042519396, 305.3461693927],
+      [0.00001963255, 0.04114614586, 221.3758502853],
+    ],
+    [
+      [0.01479896629, 3.67205697578, 74.7815985673],
+      [0.00071212143, 6.22600975161, 63.7358983034],
+      [0.0006862716, 6.13411179902, 149.5631971346],
+      [0.00020857554, 5.2462584896, 11.0457002639],
+      [0.00021468362, 2.60175716374, 76.2660712756],
+      [0.00024059369, 3.14159265359, 0],
+    ],
+  ],
+  neptune: [
+    [
+      [30.07013205828, 0, 0],
+      [0.27062259632, 1.32999459377, 38.1330356378],
+      [0.01691764014, 3.25186135653, 36.6485629295],
+      [0.00807830553, 5.18592878704, 1.4844727083],
+      [0.0053776051, 4.52113935896, 35.1640902212],
+      [0.00495725141, 1.5710564165, 491.5579294568],
+      [0.00274571975, 1.84552258866, 175.1660598002],
+      [0.00135134092, 3.37220609835, 39.6175083461],
+      [0.00121801746, 5.79754470298, 76.2660712756],
+      [0.00100896068, 0.3770272493, 73.297125859],
+      [0.00069791331, 3.79616637768, 2.9689454166],
+      [0.00046687836, 5.74938034313, 33.6796175129],
+      [0.00024594531, 0.50801745878, 109.9456887885],
+      [0.00016939478, 1.59422512526, 71.8126531507],
+      [0.00014229808, 1.07785898723, 74.7815985673],
+      [0.0001201232, 1.92059384991, 1021.2488945514],
+      [0.00008394349, 0.67818233586, 146.594251718],
+      [0.00007571796, 1.07149207335, 388.4651552382],
+      [0.00005720872, 2.59061733345, 4.4534181249],
+      [0.0000484021, 1.90681013048, 41.1019810544],
+      [0.00004483493, 2.90573464537, 529.6909650946],
+      [0.00004269595, 3.4133352687, 453.424893819],
+      [0.00004353588, 0.67984856103, 32.1951448046],
+      [0.00004420549, 1.74990681127, 108.4612160802],
+      [0.00003381113, 0.84810966225, 183.2428146475],
+    ],
+    [[0.00236338618, 0.70497954792, 38.1330356378]],
+  ],
+};